@@ -1,576 +1,2298 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Import models
-const { Admin, Event } = require('./models');
+const { Admin, Event, EventSeries, EventTemplate, EventAuditLog, EventVersion, Registration } = require('./models');
+const { getPriceRange, validateEventCurrencies } = require('./currency');
+const { countHeldSeats } = require('./seatInventory');
+const {
+    SEAT_CONFLICT_MESSAGE,
+    normalizePricingCapacities,
+    validateCapacity,
+    applyCapacity,
+    applyHeldCapacity,
+    isSeatConflict,
+    recomputeEventCapacity,
+    buildReconciliationReport
+} = require('./capacity');
+const { validateEventSchedule, computeEventSchedule, applyEventSchedule, registrationDeadline } = require('./eventSchedule');
+const { resolveImageInput } = require('./media');
+const { ONLINE_PLACE, resolveEventVenue, venuePlace, validateAttendance } = require('./venues');
+const { parseSearch, resolveEventSearch, addSearchResult, searchSummary } = require('./eventSearch');
+const { ADMIN_SORTS, ADMIN_MAX_LIMIT, parseListOptions, listQuery, listPage } = require('./eventListQuery');
+const { cancelEvent, archiveEvent } = require('./eventCancellation');
+const { recordEventAudit } = require('./eventAudit');
+const {
+    COLLABORATOR_ROLES,
+    eventRole,
+    canAccessEvent,
+    rolePermissions,
+    accessibleEventsFilter,
+    accessDeniedMessage
+} = require('./eventPermissions');
+const {
+    pickEventTemplateFields,
+    templateFromEvent,
+    applyEventTemplate,
+    templateImage,
+    cloneDate,
+    buildClone
+} = require('./eventTemplates');
+const {
+    buildRosterFilter,
+    rosterTotals,
+    loadRosterRows,
+    rosterToCsv,
+    rosterToXlsx,
+    validateRosterMessage,
+    messageRegistrants
+} = require('./roster');
+const {
+    PERIOD_FORMATS,
+    rollupsRefreshedAt,
+    buildAnalyticsMatch,
+    analyticsSummary,
+    revenueBreakdown,
+    registrationTimeSeries,
+    seriesRange
+} = require('./analytics');
+const {
+    eventSnapshot,
+    recordEventChange,
+    applyEventFields,
+    hasPendingChanges,
+    pendingChangesSummary,
+    stageEventChanges,
+    applyPendingChanges,
+    revertFields
+} = require('./eventVersions');
+const auth = require('./middleware/adminAuth');
+const imageUpload = require('./middleware/imageUpload');
+const {
+    dateKey,
+    validateRecurrence,
+    generateOccurrenceDates,
+    pickTemplateFields,
+    buildOccurrence,
+    applyTemplateUpdates
+} = require('./eventSeries');
 
-// Authentication middleware (same as in adminRoutes.js)
-const auth = async (req, res, next) => {
-    const requestId = Math.random().toString(36).substring(2, 8);
-    console.log(`[${requestId}] Auth check for: ${req.method} ${req.path}`);
-    
+// Structured event fields arrive as JSON strings in multipart/form-data requests
+const JSON_FORM_FIELDS = ['eventTime', 'venue', 'tags', 'pricing', 'discountOptions', 'refundPolicy', 'recurrence'];
+
+// Parse the JSON form fields of a multipart request in place.
+// Returns an error message, or null when every field parsed.
+const parseFormFields = (req) => {
+    if (!req.is('multipart/form-data')) return null;
+
+    for (const field of JSON_FORM_FIELDS) {
+        if (typeof req.body[field] !== 'string') continue;
+        try {
+            req.body[field] = JSON.parse(req.body[field]);
+        } catch (error) {
+            return `${field} must be valid JSON`;
+        }
+    }
+
+    return null;
+};
+
+// Store the image of a create/update request (uploaded file or data URL)
+// through the media pipeline. Returns { image, imageAsset }, null when the
+// request has no image, or { error, status } when the image is rejected.
+const resolveRequestImage = async (req) => {
     try {
-        // Get token from header
-        const authHeader = req.header('Authorization');
-        
-        if (!authHeader) {
-            console.log(`[${requestId}] No authorization header`);
-            return res.status(401).json({ 
-                success: false, 
-                message: 'No token provided'
-            });
+        return await resolveImageInput({ file: req.file, image: req.body.image });
+    } catch (error) {
+        if (!error.status) throw error;
+        return { error: error.message, status: error.status };
+    }
+};
+
+// Resolve the venue of a create/update request in place: a saved venue
+// (venueId) is copied and an inline one validated. Without a place, the
+// event's place is the venue's name and address, or "Online" for a new
+// online event. Returns an error message, or null when the venue is valid.
+const resolveRequestVenue = async (req, { creating = false } = {}) => {
+    if (req.body.venue !== undefined) {
+        const { venue, error } = await resolveEventVenue(req.body.venue);
+        if (error) return error;
+
+        req.body.venue = venue;
+        if (!req.body.place && venue) req.body.place = venuePlace(venue);
+    }
+
+    if (creating && !req.body.place && req.body.attendanceMode === 'online') {
+        req.body.place = ONLINE_PLACE;
+    }
+
+    return null;
+};
+
+// Validate the optional structured fields of an event create/update request.
+// Returns an error message, or null when every provided field is valid.
+const validateEventDetails = (body) => {
+    const { eventTime, pricing, discountOptions, refundPolicy } = body;
+
+    // Validate eventTime structure
+    if (eventTime && (!eventTime.from || !eventTime.to)) {
+        return 'eventTime must have both "from" and "to" fields';
+    }
+
+    // Validate eventTime values and timezone (IANA)
+    const scheduleError = validateEventSchedule(body);
+    if (scheduleError) return scheduleError;
+
+    // Validate event and tier currencies (ISO-4217)
+    const currencyError = validateEventCurrencies(body);
+    if (currencyError) return currencyError;
+
+    // Validate the attendance mode and meeting link
+    const attendanceError = validateAttendance(body);
+    if (attendanceError) return attendanceError;
+
+    // Validate the registration cutoff (whole minutes before the start)
+    if (body.registrationCutoffMinutes !== undefined) {
+        const cutoff = Number(body.registrationCutoffMinutes);
+        if (!Number.isInteger(cutoff) || cutoff < 0) {
+            return 'registrationCutoffMinutes must be a whole number of minutes, 0 or more';
         }
+        body.registrationCutoffMinutes = cutoff;
+    }
 
-        if (!authHeader.startsWith('Bearer ')) {
-            console.log(`[${requestId}] Invalid token format`);
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Invalid token format'
-            });
+    // Validate pricing array if provided
+    if (pricing && Array.isArray(pricing)) {
+        for (let i = 0; i < pricing.length; i++) {
+            const priceItem = pricing[i];
+            // Capacity may still be sent as slotsAvailable by older clients
+            if (!priceItem.name || typeof priceItem.price !== 'number' || !(priceItem.capacity ?? priceItem.slotsAvailable)) {
+                return `Pricing item ${i + 1} must have name, price (number), and capacity`;
+            }
+        }
+    }
+
+    // Validate discount options array if provided
+    if (discountOptions && Array.isArray(discountOptions)) {
+        for (let i = 0; i < discountOptions.length; i++) {
+            const discountItem = discountOptions[i];
+            if (!discountItem.name || !discountItem.totalMembersNeeded || !discountItem.percentageDiscount) {
+                return `Discount option ${i + 1} must have name, totalMembersNeeded, and percentageDiscount`;
+            }
+            if (discountItem.percentageDiscount < 1 || discountItem.percentageDiscount > 100) {
+                return `Discount percentage must be between 1 and 100`;
+            }
         }
+    }
 
-        const token = authHeader.replace('Bearer ', '').trim();
-        
-        try {
-            // Verify token
-            console.log(`🔍 [${requestId}] Verifying token...`);
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-            
-            console.log(`✅ [${requestId}] Token verified`);
-            
-            // Get admin ID from various possible locations in the token
-            const adminId = decoded._id || 
-                           (decoded.admin && decoded.admin.id) || 
-                           decoded.id || 
-                           (decoded.admin && decoded.admin._id);
-
-            console.log(`🔍 [${requestId}] Extracted admin ID:`, adminId);
-
-            if (!adminId) {
-                const error = new Error('No admin ID found in token');
-                console.error(`❌ [${requestId}] ${error.message}`);
-                return res.status(401).json({ 
-                    success: false, 
-                    message: 'Admin not found' 
-                });
+    // Validate refund policy if provided
+    if (refundPolicy && Array.isArray(refundPolicy)) {
+        for (let i = 0; i < refundPolicy.length; i++) {
+            const rule = refundPolicy[i];
+            if (typeof rule.daysBefore !== 'number' || rule.daysBefore < 0 || typeof rule.refundPercentage !== 'number') {
+                return `Refund policy rule ${i + 1} must have daysBefore (number, 0 or more) and refundPercentage (number)`;
             }
-            
-            // Find admin by ID
-            const admin = await Admin.findById(adminId).select('-password');
-            if (!admin) {
-                console.log(`[${requestId}] Admin not found for ID:`, adminId);
-                return res.status(401).json({ 
-                    success: false, 
-                    message: 'Admin not found' 
-                });
+            if (rule.refundPercentage < 0 || rule.refundPercentage > 100) {
+                return `Refund percentage must be between 0 and 100`;
             }
+        }
+    }
+
+    return null;
+};
+
+// Validate the event fields of a template (after merging an update into the
+// stored fields) and normalize them in place. Returns an error message, or
+// null when the template can be saved.
+const validateTemplateFields = (fields) => {
+    const detailsError = validateEventDetails(fields);
+    if (detailsError) return detailsError;
+
+    if (fields.pricing !== undefined) {
+        fields.pricing = normalizePricingCapacities(fields.pricing || []);
+    }
+
+    if (fields.maxAttendees !== undefined) {
+        fields.maxAttendees = parseInt(fields.maxAttendees);
+        return validateCapacity({ maxAttendees: fields.maxAttendees, pricing: fields.pricing || [] });
+    }
+
+    if (fields.pricing && fields.pricing.length > 0) {
+        return 'maxAttendees is required with pricing tiers';
+    }
+
+    return null;
+};
+
+// Find a template owned by the authenticated admin. Sends the 404 response
+// itself and resolves to null when it is not found.
+const loadTemplateForAdmin = async (req, res, templateId) => {
+    const template = mongoose.Types.ObjectId.isValid(templateId)
+        ? await EventTemplate.findOne({ _id: templateId, createdBy: req.admin._id })
+        : null;
+
+    if (!template) {
+        res.status(404).json({
+            success: false,
+            message: 'Template not found'
+        });
+        return null;
+    }
+
+    return template;
+};
+
+// Find an event and check that the authenticated admin's role on it allows
+// the permission (see eventPermissions.js). Only the selected fields are
+// loaded when select is given; otherwise the whole event, with its staged
+// changes. Sends the 404/403 response itself and resolves to null when
+// access fails.
+const loadEventForAdmin = async (req, res, eventId, permission, select) => {
+    const query = Event.findById(mongoose.Types.ObjectId.isValid(eventId) ? eventId : null);
+    query.select(select ? `${select} createdBy collaborators` : '+pendingChanges');
+
+    const event = await query;
+
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    if (!canAccessEvent(event, req.admin._id, permission)) {
+        res.status(403).json({
+            success: false,
+            message: accessDeniedMessage(permission)
+        });
+        return null;
+    }
+
+    return event;
+};
+
+// Load a version of an event, or send a 404
+const loadEventVersion = async (res, event, version) => {
+    const number = parseInt(version);
+    const eventVersion = Number.isInteger(number)
+        ? await EventVersion.findOne({ eventId: event._id, version: number }).populate('changedBy', 'name email')
+        : null;
+
+    if (!eventVersion) {
+        res.status(404).json({
+            success: false,
+            message: 'Version not found'
+        });
+        return null;
+    }
+
+    return eventVersion;
+};
+
+// @route   GET /api/admin-events
+// @desc    Get the events the admin owns or collaborates on (with optional
+//          filters; search ranks events by relevance unless sortBy is given,
+//          see eventSearch.js; pages by page or cursor, see eventListQuery.js)
+// @access  Private (Admin only)
+router.get('/', auth, async (req, res) => {
+    try {
+        const { 
+            status, 
+            search,
+            seriesId,
+            archived
+        } = req.query;
+
+        // Build filter object (only events the admin may view; archived events are only listed with archived=true)
+        const filter = {
+            archivedAt: archived === 'true' ? { $ne: null } : null,
+            $and: [accessibleEventsFilter(req.admin._id, 'view')]
+        };
+        if (status) filter.status = status;
+        if (seriesId) filter.seriesId = seriesId;
+
+        const { search: parsedSearch, error: searchError } = parseSearch(search);
+        if (searchError) {
+            return res.status(400).json({
+                success: false,
+                message: searchError
+            });
+        }
+        const eventSearch = parsedSearch ? await resolveEventSearch(filter, parsedSearch) : null;
+        if (eventSearch) Object.assign(filter, eventSearch.filter);
+
+        // Sort and page (see eventListQuery.js)
+        const { list, error: listError } = parseListOptions(req.query, {
+            sorts: ADMIN_SORTS,
+            maxLimit: ADMIN_MAX_LIMIT,
+            eventSearch
+        });
+        if (listError) {
+            return res.status(400).json({
+                success: false,
+                message: listError
+            });
+        }
+
+        // Get events with pagination - all fields
+        const [events, total] = await Promise.all([
+            listQuery(list, filter).populate('createdBy', 'name email'),
+            Event.countDocuments(filter)
+        ]);
+        const page = listPage(list, events, total);
+
+        // Process events to add computed fields
+        const processedEvents = page.events.map(event => {
+            const eventObj = event.toObject();
             
-            // Attach admin to request
-            req.admin = admin;
-            req.requestId = requestId;
+            // Add attendees count
+            eventObj.attendeesCount = event.attendees ? event.attendees.length : 0;
+
+            // Add the admin's role on the event (owner, collaborator role or null)
+            eventObj.myRole = eventRole(event, req.admin._id);
             
-            console.log(`[${requestId}] Authenticated as:`, admin.email);
-            next();
-        } catch (error) {
-            console.error(`[${requestId}] Auth failed:`, error.message);
+            // Add price range in the event's currency
+            eventObj.priceRange = getPriceRange(event);
             
-            const errorMessage = error.name === 'TokenExpiredError' 
-                ? 'Token has expired' 
-                : 'Invalid token';
+            // Add formatted date and time
+            eventObj.formattedDate = event.date.toISOString().split('T')[0]; // YYYY-MM-DD
+            eventObj.formattedTime = `${event.eventTime.from} - ${event.eventTime.to}`;
+
+            if (eventSearch) addSearchResult(eventObj, eventSearch);
             
-            return res.status(401).json({ 
-                success: false, 
-                message: errorMessage
+            return eventObj;
+        });
+
+        res.json({
+            success: true,
+            data: processedEvents,
+            pagination: page.pagination,
+            search: searchSummary(eventSearch)
+        });
+    } catch (error) {
+        console.error('Error fetching events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch events',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Template routes are registered before GET /:id, which would otherwise
+// take "templates" for an event ID
+
+// @route   GET /api/admin-events/templates
+// @desc    List the admin's event templates
+// @access  Private (Admin only)
+router.get('/templates', auth, async (req, res) => {
+    try {
+        const templates = await EventTemplate.find({ createdBy: req.admin._id })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Error fetching event templates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event templates',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin-events/templates
+// @desc    Save a named template from the given event fields, or from one of
+//          the admin's events (eventId) with the given fields overriding it
+// @access  Private (Admin only)
+router.post('/templates', auth, imageUpload, async (req, res) => {
+    try {
+        const formError = parseFormFields(req);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        const venueError = await resolveRequestVenue(req);
+        if (venueError) {
+            return res.status(400).json({
+                success: false,
+                message: venueError
+            });
+        }
+
+        const { name, eventId } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a template name of at most 100 characters'
+            });
+        }
+
+        let fields = {};
+        if (eventId) {
+            const event = await loadEventForAdmin(req, res, eventId, 'view');
+            if (!event) return;
+
+            fields = templateFromEvent(event);
+        }
+
+        const { image, imageAsset, ...bodyFields } = pickEventTemplateFields(req.body);
+        fields = { ...fields, ...bodyFields };
+
+        const templateError = validateTemplateFields(fields);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                message: templateError
+            });
+        }
+
+        const imageInput = await resolveRequestImage(req);
+        if (imageInput && imageInput.error) {
+            return res.status(imageInput.status).json({
+                success: false,
+                message: imageInput.error
+            });
+        }
+        if (imageInput) {
+            fields.image = imageInput.image;
+            fields.imageAsset = imageInput.imageAsset;
+        }
+
+        const template = new EventTemplate({
+            name: name.trim(),
+            template: fields,
+            ...(eventId && { sourceEventId: eventId }),
+            createdBy: req.admin._id
+        });
+
+        await template.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Template saved successfully',
+            data: template
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a template with this name'
+            });
+        }
+
+        console.error('Error saving event template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save event template',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/templates/:templateId
+// @desc    Get one of the admin's event templates
+// @access  Private (Admin only)
+router.get('/templates/:templateId', auth, async (req, res) => {
+    try {
+        const template = await loadTemplateForAdmin(req, res, req.params.templateId);
+        if (!template) return;
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        console.error('Error fetching event template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event template',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/admin-events/templates/:templateId
+// @desc    Rename a template or replace some of its fields
+// @access  Private (Admin only)
+router.put('/templates/:templateId', auth, imageUpload, async (req, res) => {
+    try {
+        const formError = parseFormFields(req);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        const venueError = await resolveRequestVenue(req);
+        if (venueError) {
+            return res.status(400).json({
+                success: false,
+                message: venueError
+            });
+        }
+
+        const template = await loadTemplateForAdmin(req, res, req.params.templateId);
+        if (!template) return;
+
+        const { name } = req.body;
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template name must be at most 100 characters'
+            });
+        }
+
+        const { image, imageAsset, ...bodyFields } = pickEventTemplateFields(req.body);
+        const fields = { ...template.template, ...bodyFields };
+
+        const templateError = validateTemplateFields(fields);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                message: templateError
+            });
+        }
+
+        const imageInput = await resolveRequestImage(req);
+        if (imageInput && imageInput.error) {
+            return res.status(imageInput.status).json({
+                success: false,
+                message: imageInput.error
+            });
+        }
+        if (imageInput) {
+            fields.image = imageInput.image;
+            fields.imageAsset = imageInput.imageAsset;
+        }
+
+        if (name !== undefined) template.name = name.trim();
+        template.template = fields;
+        template.markModified('template');
+
+        await template.save();
+
+        res.json({
+            success: true,
+            message: 'Template updated successfully',
+            data: template
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a template with this name'
+            });
+        }
+
+        console.error('Error updating event template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update event template',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/admin-events/templates/:templateId
+// @desc    Delete a template (events created from it are not affected)
+// @access  Private (Admin only)
+router.delete('/templates/:templateId', auth, async (req, res) => {
+    try {
+        const template = await loadTemplateForAdmin(req, res, req.params.templateId);
+        if (!template) return;
+
+        await EventTemplate.deleteOne({ _id: template._id });
+
+        res.json({
+            success: true,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting event template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete event template',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/:id
+// @desc    Get single event by ID, with any staged changes (owner and collaborators)
+// @access  Private (Admin only)
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'view');
+        if (!event) return;
+
+        await event.populate([
+            { path: 'createdBy', select: 'name email' },
+            { path: 'attendees', select: 'name email phone' }
+        ]);
+
+        const role = eventRole(event, req.admin._id);
+
+        res.json({
+            success: true,
+            data: event,
+            access: {
+                role,
+                permissions: rolePermissions(role)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin-events
+// @desc    Create a new event, optionally filling the fields left out from a
+//          saved template (templateId)
+// @access  Private (Admin only)
+router.post('/', auth, imageUpload, async (req, res) => {
+    try {
+        const formError = parseFormFields(req);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        let template = null;
+        if (req.body.templateId) {
+            template = await loadTemplateForAdmin(req, res, req.body.templateId);
+            if (!template) return;
+
+            req.body = applyEventTemplate(req.body, template.template);
+        }
+
+        const venueError = await resolveRequestVenue(req, { creating: true });
+        if (venueError) {
+            return res.status(400).json({
+                success: false,
+                message: venueError
+            });
+        }
+
+        const {
+            eventName,
+            date,
+            eventTime,
+            place,
+            tags,
+            currency,
+            pricing,
+            discountOptions,
+            refundPolicy,
+            organizer,
+            description,
+            duration,
+            maxAttendees,
+            status
+        } = req.body;
+
+        // Validation for required fields
+        if (!eventName || !date || !eventTime || !place || !organizer || !description || !duration || !maxAttendees) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide all required fields: eventName, date, eventTime, place (or venue), organizer, description, duration, maxAttendees'
+            });
+        }
+
+        // Validate date
+        const eventDate = new Date(date);
+        if (isNaN(eventDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format'
+            });
+        }
+
+        // Validate eventTime, timezone, currencies, pricing, discounts and refund policy
+        const detailsError = validateEventDetails(req.body);
+        if (detailsError) {
+            return res.status(400).json({
+                success: false,
+                message: detailsError
+            });
+        }
+
+        // Tier capacities must fit in the event's capacity
+        const tiers = normalizePricingCapacities(pricing || []);
+        const capacityError = validateCapacity({ maxAttendees: parseInt(maxAttendees), pricing: tiers });
+        if (capacityError) {
+            return res.status(400).json({
+                success: false,
+                message: capacityError
+            });
+        }
+
+        // Derive the real start and end instants
+        const schedule = computeEventSchedule({ date: eventDate, eventTime, timezone: req.body.timezone });
+        if (schedule.error) {
+            return res.status(400).json({
+                success: false,
+                message: schedule.error
+            });
+        }
+
+        // Store the image file and thumbnails; the event keeps only URLs
+        const imageInput = await resolveRequestImage(req);
+        if (imageInput && imageInput.error) {
+            return res.status(imageInput.status).json({
+                success: false,
+                message: imageInput.error
+            });
+        }
+
+        // Without an image of its own, the event uses its template's image
+        const eventImage = imageInput || (template && templateImage(template.template));
+
+        // Create new event
+        const event = new Event({
+            eventName,
+            date: eventDate,
+            eventTime,
+            ...(req.body.timezone !== undefined && { timezone: req.body.timezone }),
+            startsAt: schedule.startsAt,
+            endsAt: schedule.endsAt,
+            place,
+            ...(req.body.venue && { venue: req.body.venue }),
+            ...(req.body.attendanceMode !== undefined && { attendanceMode: req.body.attendanceMode }),
+            ...(req.body.meetingUrl && { meetingUrl: req.body.meetingUrl }),
+            tags: tags || [],
+            image: eventImage ? eventImage.image : null,
+            imageAsset: eventImage ? eventImage.imageAsset : null,
+            ...(currency !== undefined && { currency: req.body.currency }),
+            pricing: tiers,
+            discountOptions: discountOptions || [],
+            ...(Array.isArray(refundPolicy) && { refundPolicy }),
+            ...(req.body.registrationCutoffMinutes !== undefined && { registrationCutoffMinutes: req.body.registrationCutoffMinutes }),
+            organizer,
+            description,
+            duration,
+            maxAttendees: parseInt(maxAttendees),
+            status: status || 'draft',
+            createdBy: req.admin._id
+        });
+
+        // Every seat starts out available
+        applyCapacity(event);
+
+        await event.save();
+        await recordEventChange(event, null, {
+            action: 'created',
+            changedBy: req.admin._id,
+            ...(template && { details: { templateId: template._id } })
+        });
+
+        // Populate createdBy field
+        await event.populate('createdBy', 'name email');
+
+        res.status(201).json({
+            success: true,
+            message: 'Event created successfully',
+            data: event
+        });
+    } catch (error) {
+        console.error('Error creating event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/admin-events/:id?scope=this|future
+// @desc    Update an event; for a series occurrence, scope=future applies the
+//          changes to this and all later occurrences and to the series template.
+//          Changes to a published event are staged until it is published again
+// @access  Private (Admin only)
+router.put('/:id', auth, imageUpload, async (req, res) => {
+    try {
+        const formError = parseFormFields(req);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        const event = await loadEventForAdmin(req, res, req.params.id, 'edit');
+        if (!event) return;
+
+        const before = eventSnapshot(event);
+
+        const venueError = await resolveRequestVenue(req);
+        if (venueError) {
+            return res.status(400).json({
+                success: false,
+                message: venueError
+            });
+        }
+
+        const {
+            eventName,
+            date,
+            eventTime,
+            timezone,
+            place,
+            tags,
+            currency,
+            pricing,
+            discountOptions,
+            refundPolicy,
+            organizer,
+            description,
+            duration,
+            maxAttendees,
+            status
+        } = req.body;
+
+        // Validate eventTime, timezone, currencies, pricing, discounts and refund policy
+        const detailsError = validateEventDetails(req.body);
+        if (detailsError) {
+            return res.status(400).json({
+                success: false,
+                message: detailsError
+            });
+        }
+
+        // Cancelling cascades to registrations and needs a reason, so it has its own route
+        if (status === 'cancelled' && event.status !== 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Use PATCH /api/admin-events/:id/status with a reason to cancel an event'
+            });
+        }
+
+        // A published event's edits are staged, so its status can't change along with them
+        if (status && event.status === 'published' && status !== 'published') {
+            return res.status(400).json({
+                success: false,
+                message: 'Use PATCH /api/admin-events/:id/status to change the status of a published event'
+            });
+        }
+
+        const scope = req.query.scope || 'this';
+        if (!['this', 'future'].includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: 'scope must be "this" or "future"'
+            });
+        }
+
+        // Store a new image file and thumbnails; the event keeps only URLs
+        const imageInput = await resolveRequestImage(req);
+        if (imageInput && imageInput.error) {
+            return res.status(imageInput.status).json({
+                success: false,
+                message: imageInput.error
+            });
+        }
+
+        if (scope === 'future') {
+            if (!event.seriesId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Event is not part of a series'
+                });
+            }
+
+            if (date) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'date can only be changed on a single occurrence (scope=this)'
+                });
+            }
+
+            // Collaborators work on single events; the series belongs to its creator
+            if (eventRole(event, req.admin._id) !== 'owner') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the creator of the series can edit all future occurrences'
+                });
+            }
+
+            const updates = pickTemplateFields(req.body);
+            delete updates.image;
+            if (imageInput && imageInput.image !== event.image) Object.assign(updates, imageInput);
+            if (updates.maxAttendees !== undefined) updates.maxAttendees = parseInt(updates.maxAttendees);
+            if (updates.pricing !== undefined) updates.pricing = normalizePricingCapacities(updates.pricing);
+
+            const occurrences = await Event.find({
+                seriesId: event.seriesId,
+                date: { $gte: event.date },
+                archivedAt: null
+            })
+            .select('+pendingChanges')
+            .sort({ date: 1 });
+
+            // Apply to every occurrence before saving any, so a bad update changes nothing
+            const snapshots = new Map();
+            for (const occurrence of occurrences) {
+                snapshots.set(occurrence, eventSnapshot(occurrence));
+                const updateError = await applyTemplateUpdates(occurrence, updates);
+                if (updateError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: updateError
+                    });
+                }
+            }
+
+            // Published occurrences get the changes staged, like a single published event
+            let stagedCount = 0;
+            for (const occurrence of occurrences) {
+                const occurrenceBefore = snapshots.get(occurrence);
+                if (occurrenceBefore.status === 'published') {
+                    await stageEventChanges(occurrence, occurrenceBefore, req.admin._id);
+                    stagedCount++;
+                    continue;
+                }
+
+                await occurrence.save();
+                await recordEventChange(occurrence, occurrenceBefore, {
+                    action: 'updated',
+                    changedBy: req.admin._id,
+                    details: { scope: 'future', seriesId: event.seriesId }
+                });
+            }
+
+            // Keep the template in step for anyone reading the series
+            const series = await EventSeries.findById(event.seriesId);
+            if (series) {
+                series.template = { ...series.template, ...updates };
+                series.markModified('template');
+                await series.save();
+            }
+
+            // Return the live occurrences; staged changes show under pendingChanges
+            const updated = await Event.find({ _id: { $in: occurrences.map(occurrence => occurrence._id) } })
+                .select('+pendingChanges')
+                .sort({ date: 1 });
+
+            return res.json({
+                success: true,
+                message: stagedCount > 0
+                    ? `Updated ${occurrences.length} occurrence(s) of the series; changes to ${stagedCount} published occurrence(s) are staged until they are published again`
+                    : `Updated ${occurrences.length} occurrence(s) of the series`,
+                data: updated
+            });
+        }
+
+        // Update fields
+        if (eventName) event.eventName = eventName;
+        if (description) event.description = description;
+        if (place) event.place = place;
+        if (req.body.venue !== undefined) event.venue = req.body.venue;
+        if (req.body.attendanceMode !== undefined) event.attendanceMode = req.body.attendanceMode;
+        if (req.body.meetingUrl !== undefined) event.meetingUrl = req.body.meetingUrl || undefined;
+        if (organizer) event.organizer = organizer;
+        if (duration) event.duration = duration;
+        // Sending back the current image URL leaves the stored asset as it is
+        if (imageInput && imageInput.image !== event.image) {
+            event.image = imageInput.image;
+            event.imageAsset = imageInput.imageAsset;
+        }
+        if (status) event.status = status;
+        if (currency !== undefined) event.currency = req.body.currency;
+        
+        if (date) {
+            const eventDate = new Date(date);
+            if (isNaN(eventDate.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date format'
+                });
+            }
+            event.date = eventDate;
+        }
+        
+        if (eventTime) event.eventTime = eventTime;
+        if (timezone !== undefined) event.timezone = req.body.timezone;
+        if (req.body.registrationCutoffMinutes !== undefined) event.registrationCutoffMinutes = req.body.registrationCutoffMinutes;
+
+        // Keep the start and end instants in step with the date, times and timezone
+        if (date || eventTime || timezone !== undefined) {
+            const scheduleError = applyEventSchedule(event);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    message: scheduleError
+                });
+            }
+        }
+
+        // Reopen registration that was closed automatically if the new deadline is still ahead
+        if (event.registrationClosedAt && registrationDeadline(event) > new Date()) {
+            event.registrationClosedAt = null;
+        }
+        
+        if (tags !== undefined) event.tags = tags;
+
+        // Capacities may not drop below the seats already held; the seat counters follow them
+        if (maxAttendees || pricing !== undefined) {
+            if (maxAttendees) event.maxAttendees = parseInt(maxAttendees);
+            if (pricing !== undefined) event.pricing = normalizePricingCapacities(pricing);
+
+            const capacityError = await applyHeldCapacity(event);
+            if (capacityError) {
+                return res.status(400).json({
+                    success: false,
+                    message: capacityError
+                });
+            }
+        }
+        
+        if (discountOptions !== undefined) event.discountOptions = discountOptions;
+        if (refundPolicy !== undefined) event.refundPolicy = refundPolicy;
+
+        // The live event keeps its details until the staged changes are published
+        if (before.status === 'published') {
+            const pendingChanges = await stageEventChanges(event, before, req.admin._id);
+
+            return res.json({
+                success: true,
+                message: pendingChanges
+                    ? 'Changes staged; they go live when the event is published again'
+                    : 'No changes to stage',
+                data: { pendingChanges }
+            });
+        }
+
+        await event.save();
+        await recordEventChange(event, before, {
+            action: 'updated',
+            changedBy: req.admin._id
+        });
+        await event.populate('createdBy', 'name email');
+
+        res.json({
+            success: true,
+            message: 'Event updated successfully',
+            data: event
+        });
+    } catch (error) {
+        if (isSeatConflict(error)) {
+            return res.status(409).json({
+                success: false,
+                message: SEAT_CONFLICT_MESSAGE
+            });
+        }
+
+        console.error('Error updating event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/admin-events/:id
+// @desc    Delete an event. Events with registrations are archived instead:
+//          upcoming ones are cancelled first (reason required, in the body
+//          or ?reason=), which cancels/refunds registrations and notifies customers
+// @access  Private (Admin only)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'delete');
+        if (!event) return;
+
+        if (event.archivedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Event is already archived'
+            });
+        }
+
+        // Registrations keep referring to their event, so it is archived rather than deleted
+        if (await Registration.exists({ eventId: event._id })) {
+            const reason = (req.body && req.body.reason) || req.query.reason;
+            const hasReason = typeof reason === 'string' && reason.trim() !== '';
+
+            if (!['cancelled', 'completed'].includes(event.status) && !hasReason) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This event has registrations and will be cancelled and archived; please provide a reason for the customers'
+                });
+            }
+
+            // An already cancelled event keeps the reason it was cancelled with
+            const cancellation = await archiveEvent(event, {
+                reason: hasReason ? reason.trim() : (event.cancellation && event.cancellation.reason) || 'The event was cancelled',
+                adminId: req.admin._id
+            });
+
+            if (event.seriesId) {
+                await EventSeries.updateOne(
+                    { _id: event.seriesId },
+                    { $addToSet: { 'recurrence.exceptions': event.date } }
+                );
+            }
+
+            return res.json({
+                success: true,
+                message: 'Event has registrations, so it was archived instead of deleted',
+                data: {
+                    archived: true,
+                    cancellation
+                }
+            });
+        }
+
+        await Event.findByIdAndDelete(req.params.id);
+
+        // A deleted occurrence becomes an exception of its series
+        if (event.seriesId) {
+            await EventSeries.updateOne(
+                { _id: event.seriesId },
+                { $addToSet: { 'recurrence.exceptions': event.date } }
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Event deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PATCH /api/admin-events/:id/status
+// @desc    Update event status. Cancelling requires a reason and cancels or
+//          refunds every registration and notifies the customers. Publishing
+//          applies the event's staged changes
+// @access  Private (Admin only)
+router.patch('/:id/status', auth, async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        if (!status || !['draft', 'published', 'cancelled', 'completed'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Must be one of: draft, published, cancelled, completed'
+            });
+        }
+
+        const event = await loadEventForAdmin(req, res, req.params.id, 'status');
+        if (!event) return;
+
+        const before = eventSnapshot(event);
+        const publishingChanges = status === 'published' && hasPendingChanges(event);
+
+        let cancellation;
+        if (status === 'cancelled') {
+            if (typeof reason !== 'string' || !reason.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide a reason for cancelling; it is sent to the registered customers'
+                });
+            }
+
+            cancellation = await cancelEvent(event, { reason: reason.trim(), adminId: req.admin._id });
+        } else {
+            // Staged changes go live when the event is (re)published or back in draft, where
+            // edits apply directly; a completed event won't be published again, so they are dropped
+            if (status === 'published' || status === 'draft') {
+                const applyError = await applyPendingChanges(event);
+                if (applyError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `The staged changes can't be ${status === 'published' ? 'published' : 'applied'}: ${applyError}`
+                    });
+                }
+            } else {
+                event.pendingChanges = null;
+            }
+
+            event.status = status;
+            await event.save();
+        }
+
+        await recordEventChange(event, before, {
+            action: publishingChanges ? 'published-changes' : 'status-changed',
+            changedBy: req.admin._id,
+            ...(cancellation && { details: { reason: reason.trim() } })
+        });
+
+        await event.populate('createdBy', 'name email');
+        await event.populate('attendees', 'name email phone');
+
+        res.json({
+            success: true,
+            message: 'Event status updated successfully',
+            data: event,
+            ...(cancellation && { cancellation })
+        });
+    } catch (error) {
+        if (isSeatConflict(error)) {
+            return res.status(409).json({
+                success: false,
+                message: SEAT_CONFLICT_MESSAGE
+            });
+        }
+
+        console.error('Error updating event status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update event status',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin-events/series
+// @desc    Create a recurring event series and all of its occurrences
+// @access  Private (Admin only)
+router.post('/series', auth, imageUpload, async (req, res) => {
+    try {
+        const formError = parseFormFields(req);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        const venueError = await resolveRequestVenue(req, { creating: true });
+        if (venueError) {
+            return res.status(400).json({
+                success: false,
+                message: venueError
+            });
+        }
+
+        const {
+            eventName,
+            eventTime,
+            place,
+            organizer,
+            description,
+            duration,
+            maxAttendees,
+            recurrence
+        } = req.body;
+
+        // Validation for required fields (dates come from the recurrence)
+        if (!eventName || !eventTime || !place || !organizer || !description || !duration || !maxAttendees || !recurrence) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide all required fields: eventName, eventTime, place (or venue), organizer, description, duration, maxAttendees, recurrence'
+            });
+        }
+
+        // Validate eventTime, timezone, currencies, pricing, discounts and refund policy
+        const detailsError = validateEventDetails(req.body);
+        if (detailsError) {
+            return res.status(400).json({
+                success: false,
+                message: detailsError
+            });
+        }
+
+        // Tier capacities must fit in each occurrence's capacity
+        const tiers = normalizePricingCapacities(req.body.pricing || []);
+        const capacityError = validateCapacity({ maxAttendees: parseInt(maxAttendees), pricing: tiers });
+        if (capacityError) {
+            return res.status(400).json({
+                success: false,
+                message: capacityError
+            });
+        }
+
+        const recurrenceResult = validateRecurrence(recurrence);
+        if (recurrenceResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: recurrenceResult.error
+            });
+        }
+
+        // Store the image once for all occurrences
+        const imageInput = await resolveRequestImage(req);
+        if (imageInput && imageInput.error) {
+            return res.status(imageInput.status).json({
+                success: false,
+                message: imageInput.error
+            });
+        }
+
+        // Template shared by every occurrence, with the same defaults as a single event
+        const template = {
+            tags: [],
+            pricing: [],
+            discountOptions: [],
+            status: 'draft',
+            ...pickTemplateFields(req.body),
+            image: imageInput ? imageInput.image : null,
+            imageAsset: imageInput ? imageInput.imageAsset : null,
+            pricing: tiers,
+            maxAttendees: parseInt(maxAttendees)
+        };
+
+        const series = new EventSeries({
+            recurrence: recurrenceResult.recurrence,
+            template,
+            createdBy: req.admin._id
+        });
+
+        await series.save();
+
+        let occurrences;
+        try {
+            const dates = generateOccurrenceDates(recurrenceResult.recurrence);
+            occurrences = await Event.insertMany(dates.map(date => buildOccurrence(series, date)));
+        } catch (occurrenceError) {
+            await Event.deleteMany({ seriesId: series._id });
+            await EventSeries.deleteOne({ _id: series._id });
+            throw occurrenceError;
+        }
+
+        for (const occurrence of occurrences) {
+            await recordEventChange(occurrence, null, {
+                action: 'created',
+                changedBy: req.admin._id,
+                details: { seriesId: series._id }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Series created with ${occurrences.length} occurrence(s)`,
+            data: {
+                series,
+                occurrences
+            }
+        });
+    } catch (error) {
+        console.error('Error creating event series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create event series',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/series/:seriesId
+// @desc    Get a series with its occurrences
+// @access  Private (Admin only)
+router.get('/series/:seriesId', auth, async (req, res) => {
+    try {
+        const series = await EventSeries.findById(req.params.seriesId);
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (series.createdBy.toString() !== req.admin._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this series'
+            });
+        }
+
+        const occurrences = await Event.find({ seriesId: series._id })
+            .sort({ date: 1 })
+            .select('-attendees');
+
+        res.json({
+            success: true,
+            data: {
+                series,
+                occurrences
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching event series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event series',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin-events/series/:seriesId/exceptions
+// @desc    Skip one date of a series, removing its occurrence if nobody has registered
+// @access  Private (Admin only)
+router.post('/series/:seriesId/exceptions', auth, async (req, res) => {
+    try {
+        const exceptionDate = new Date(req.body.date);
+        if (!req.body.date || isNaN(exceptionDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid date is required'
+            });
+        }
+
+        const series = await EventSeries.findById(req.params.seriesId);
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (series.createdBy.toString() !== req.admin._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this series'
+            });
+        }
+
+        const key = dateKey(exceptionDate);
+        if (series.recurrence.exceptions.some(date => dateKey(date) === key)) {
+            return res.status(400).json({
+                success: false,
+                message: `${key} is already an exception of this series`
+            });
+        }
+
+        // Find the occurrence scheduled on that calendar day
+        const dayStart = new Date(`${key}T00:00:00.000Z`);
+        const occurrence = await Event.findOne({
+            seriesId: series._id,
+            date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) }
+        });
+
+        if (occurrence) {
+            const heldSeats = await countHeldSeats(occurrence._id);
+            if (heldSeats.total > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The occurrence on ${key} has registrations; cancel it instead`
+                });
+            }
+
+            await Event.deleteOne({ _id: occurrence._id });
+        }
+
+        series.recurrence.exceptions.push(exceptionDate);
+        await series.save();
+
+        res.json({
+            success: true,
+            message: occurrence
+                ? `Occurrence on ${key} removed from the series`
+                : `${key} added as an exception of the series`,
+            data: series
+        });
+    } catch (error) {
+        console.error('Error adding series exception:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add series exception',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin-events/:id/clone
+// @desc    Copy an event into a new draft with every seat available, on a
+//          given date or shifted by shiftDays (default: 7 days later)
+// @access  Private (Admin only)
+router.post('/:id/clone', auth, async (req, res) => {
+    try {
+        const { date, shiftDays, eventName } = req.body;
+
+        const source = await loadEventForAdmin(req, res, req.params.id, 'view');
+        if (!source) return;
+
+        const cloneDay = cloneDate(source, { date, shiftDays });
+        if (cloneDay.error) {
+            return res.status(400).json({
+                success: false,
+                message: cloneDay.error
+            });
+        }
+
+        const fields = buildClone(source, { date: cloneDay.date, eventName, adminId: req.admin._id });
+        if (fields.error) {
+            return res.status(400).json({
+                success: false,
+                message: fields.error
+            });
+        }
+
+        const event = new Event(fields);
+
+        // The clone starts with every seat available
+        applyCapacity(event);
+
+        await event.save();
+        await recordEventChange(event, null, {
+            action: 'created',
+            changedBy: req.admin._id,
+            details: { clonedFrom: source._id }
+        });
+        await event.populate('createdBy', 'name email');
+
+        res.status(201).json({
+            success: true,
+            message: 'Event cloned successfully',
+            data: event
+        });
+    } catch (error) {
+        console.error('Error cloning event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clone event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/:id/collaborators
+// @desc    List the owner and collaborators of an event with their roles
+// @access  Private (Admin only, any role on the event)
+router.get('/:id/collaborators', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'view', '_id');
+        if (!event) return;
+
+        await event.populate('createdBy', 'name email');
+        await event.populate('collaborators.adminId', 'name email');
+
+        res.json({
+            success: true,
+            data: {
+                owner: event.createdBy,
+                collaborators: event.collaborators
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching event collaborators:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event collaborators',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/admin-events/:id/collaborators/:adminId
+// @desc    Add a collaborator to an event or change their role
+//          (role: editor, check-in-staff or viewer)
+// @access  Private (Admin only, event owner)
+router.put('/:id/collaborators/:adminId', auth, async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `role must be one of: ${COLLABORATOR_ROLES.join(', ')}`
+            });
+        }
+
+        const event = await loadEventForAdmin(req, res, req.params.id, 'collaborators', '_id');
+        if (!event) return;
+
+        const collaborator = mongoose.Types.ObjectId.isValid(req.params.adminId)
+            ? await Admin.findById(req.params.adminId).select('name email')
+            : null;
+
+        if (!collaborator) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (eventRole(event, collaborator._id) === 'owner') {
+            return res.status(400).json({
+                success: false,
+                message: 'The event owner cannot be added as a collaborator'
+            });
+        }
+
+        const existing = event.collaborators.find(entry => entry.adminId.toString() === collaborator._id.toString());
+        const previousRole = existing ? existing.role : null;
+
+        if (existing) {
+            existing.role = role;
+        } else {
+            event.collaborators.push({ adminId: collaborator._id, role, addedBy: req.admin._id });
+        }
+
+        await event.save();
+
+        if (previousRole !== role) {
+            await recordEventAudit({
+                eventId: event._id,
+                action: 'collaborator-changed',
+                from: previousRole,
+                to: role,
+                actor: req.admin._id.toString(),
+                details: { adminId: collaborator._id }
+            });
+        }
+
+        await event.populate('collaborators.adminId', 'name email');
+
+        res.json({
+            success: true,
+            message: existing ? 'Collaborator role updated' : 'Collaborator added',
+            data: event.collaborators
+        });
+    } catch (error) {
+        console.error('Error updating event collaborator:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update event collaborator',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/admin-events/:id/collaborators/:adminId
+// @desc    Remove a collaborator from an event
+// @access  Private (Admin only, event owner)
+router.delete('/:id/collaborators/:adminId', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'collaborators', '_id');
+        if (!event) return;
+
+        const existing = event.collaborators.find(entry => entry.adminId.toString() === req.params.adminId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collaborator not found'
+            });
+        }
+
+        event.collaborators.pull(existing._id);
+        await event.save();
+
+        await recordEventAudit({
+            eventId: event._id,
+            action: 'collaborator-changed',
+            from: existing.role,
+            to: null,
+            actor: req.admin._id.toString(),
+            details: { adminId: existing.adminId }
+        });
+
+        res.json({
+            success: true,
+            message: 'Collaborator removed'
+        });
+    } catch (error) {
+        console.error('Error removing event collaborator:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove event collaborator',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/:id/audit
+// @desc    Get the trail of automatic changes made to an event (newest first)
+// @access  Private (Admin only)
+router.get('/:id/audit', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'view', '_id');
+        if (!event) return;
+
+        const entries = await EventAuditLog.find({ eventId: event._id })
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        console.error('Error fetching event audit trail:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event audit trail',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/:id/history
+// @desc    Get the versioned change history of an event (newest first,
+//          without snapshots, paginated)
+// @access  Private (Admin only)
+router.get('/:id/history', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const event = await loadEventForAdmin(req, res, req.params.id, 'view', 'version');
+        if (!event) return;
+
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const [versions, total] = await Promise.all([
+            EventVersion.find({ eventId: event._id })
+                .select('-snapshot')
+                .populate('changedBy', 'name email')
+                .sort({ version: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            EventVersion.countDocuments({ eventId: event._id })
+        ]);
+
+        res.json({
+            success: true,
+            data: versions,
+            currentVersion: event.version,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalItems: total,
+                itemsPerPage: pageSize
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching event history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event history',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/:id/history/:version
+// @desc    Get one version of an event, with the snapshot of its fields
+// @access  Private (Admin only)
+router.get('/:id/history/:version', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'view', '_id');
+        if (!event) return;
+
+        const eventVersion = await loadEventVersion(res, event, req.params.version);
+        if (!eventVersion) return;
+
+        res.json({
+            success: true,
+            data: eventVersion
+        });
+    } catch (error) {
+        console.error('Error fetching event version:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch event version',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin-events/:id/history/:version/revert
+// @desc    Revert an event's details to a previous version. The status is
+//          left as it is; for a published event the revert is staged
+// @access  Private (Admin only)
+router.post('/:id/history/:version/revert', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'edit');
+        if (!event) return;
+
+        const eventVersion = await loadEventVersion(res, event, req.params.version);
+        if (!eventVersion) return;
+
+        const before = eventSnapshot(event);
+
+        const applyError = await applyEventFields(event, revertFields(eventVersion));
+        if (applyError) {
+            return res.status(400).json({
+                success: false,
+                message: `Can't revert to version ${eventVersion.version}: ${applyError}`
+            });
+        }
+
+        if (before.status === 'published') {
+            const pendingChanges = await stageEventChanges(event, before, req.admin._id);
+
+            return res.json({
+                success: true,
+                message: `Revert to version ${eventVersion.version} staged; it goes live when the event is published again`,
+                data: { pendingChanges }
+            });
+        }
+
+        await event.save();
+        const reverted = await recordEventChange(event, before, {
+            action: 'reverted',
+            changedBy: req.admin._id,
+            details: { revertedTo: eventVersion.version }
+        });
+        await event.populate('createdBy', 'name email');
+
+        res.json({
+            success: true,
+            message: reverted
+                ? `Event reverted to version ${eventVersion.version}`
+                : `Event already matches version ${eventVersion.version}`,
+            data: event
+        });
+    } catch (error) {
+        if (isSeatConflict(error)) {
+            return res.status(409).json({
+                success: false,
+                message: SEAT_CONFLICT_MESSAGE
+            });
+        }
+
+        console.error('Error reverting event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revert event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/:id/pending-changes
+// @desc    Get the changes staged on a published event, compared with the live event
+// @access  Private (Admin only)
+router.get('/:id/pending-changes', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'view');
+        if (!event) return;
+
+        res.json({
+            success: true,
+            data: pendingChangesSummary(event)
+        });
+    } catch (error) {
+        console.error('Error fetching pending changes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch pending changes',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/admin-events/:id/pending-changes
+// @desc    Discard the changes staged on a published event
+// @access  Private (Admin only)
+router.delete('/:id/pending-changes', auth, async (req, res) => {
+    try {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'edit', 'pendingChanges');
+        if (!event) return;
+
+        if (!hasPendingChanges(event)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event has no pending changes'
             });
         }
-    } catch (err) {
-        console.error(`❌ [${requestId || 'unknown'}] Unexpected error in auth middleware:`, {
-            message: err.message,
-            name: err.name,
-            stack: err.stack
+
+        await Event.updateOne({ _id: event._id }, { $set: { pendingChanges: null } });
+
+        res.json({
+            success: true,
+            message: 'Pending changes discarded'
         });
-        
+    } catch (error) {
+        console.error('Error discarding pending changes:', error);
         res.status(500).json({
             success: false,
-            message: 'Authentication failed',
-            error: process.env.NODE_ENV === 'development' ? err.message : undefined,
-            requestId: requestId || 'unknown',
-            timestamp: new Date().toISOString()
+            message: 'Failed to discard pending changes',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
-};
-
-
+});
 
-// @route   GET /api/admin-events
-// @desc    Get all events (with optional filters)
+// @route   GET /api/admin-events/:id/registrations
+// @desc    Get the attendee roster of an event with totals per pricing tier
+//          (filters: ?tier=&status=&paymentStatus=&checkInStatus=, paginated)
 // @access  Private (Admin only)
-router.get('/', auth, async (req, res) => {
+router.get('/:id/registrations', auth, async (req, res) => {
     try {
-        const { 
-            status, 
-            page = 1, 
-            limit = 10, 
-            search,
-            sortBy = 'date',
-            sortOrder = 'asc'
-        } = req.query;
-
-        // Build filter object
-        const filter = {};
-        if (status) filter.status = status;
-        if (search) {
-            filter.$or = [
-                { eventName: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { place: { $regex: search, $options: 'i' } },
-                { organizer: { $regex: search, $options: 'i' } },
-                { tags: { $in: [new RegExp(search, 'i')] } }
-            ];
-        }
+        const { page = 1, limit = 50 } = req.query;
 
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        const event = await loadEventForAdmin(req, res, req.params.id, 'roster', 'eventName');
+        if (!event) return;
 
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        // Get events with pagination - all fields
-        const events = await Event.find(filter)
-            .populate('createdBy', 'name email')
-            .sort(sort)
-            .skip(skip)
-            .limit(parseInt(limit));
+        const { filter, error } = buildRosterFilter(event._id, req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
 
-        // Get total count for pagination
-        const total = await Event.countDocuments(filter);
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
 
-        // Process events to add computed fields
-        const processedEvents = events.map(event => {
-            const eventObj = event.toObject();
-            
-            // Add attendees count
-            eventObj.attendeesCount = event.attendees ? event.attendees.length : 0;
-            
-            // Add price range
-            if (event.pricing && event.pricing.length > 0) {
-                const prices = event.pricing.map(p => p.price);
-                eventObj.priceRange = {
-                    min: Math.min(...prices),
-                    max: Math.max(...prices),
-                    currency: 'USD' // You can make this configurable
-                };
-            } else {
-                eventObj.priceRange = {
-                    min: 0,
-                    max: 0,
-                    currency: 'USD'
-                };
-            }
-            
-            // Add formatted date and time
-            eventObj.formattedDate = event.date.toISOString().split('T')[0]; // YYYY-MM-DD
-            eventObj.formattedTime = `${event.eventTime.from} - ${event.eventTime.to}`;
-            
-            return eventObj;
-        });
+        const [registrations, totals] = await Promise.all([
+            Registration.find(filter)
+                .populate('customerId', 'name email phone')
+                .sort({ registrationDate: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            rosterTotals(filter)
+        ]);
 
         res.json({
             success: true,
-            data: processedEvents,
+            data: registrations,
+            totals,
             pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil(total / parseInt(limit)),
-                totalItems: total,
-                itemsPerPage: parseInt(limit)
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totals.overall.registrations / pageSize),
+                totalItems: totals.overall.registrations,
+                itemsPerPage: pageSize
             }
         });
     } catch (error) {
-        console.error('Error fetching events:', error);
+        console.error('Error fetching event roster:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch events',
+            message: 'Failed to fetch event roster',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// @route   GET /api/admin-events/:id
-// @desc    Get single event by ID
+// @route   GET /api/admin-events/:id/registrations/export
+// @desc    Download the roster as CSV or XLSX (?format=csv|xlsx, same filters
+//          as the roster), including special requests
 // @access  Private (Admin only)
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id/registrations/export', auth, async (req, res) => {
     try {
-        const event = await Event.findById(req.params.id)
-            .populate('createdBy', 'name email')
-            .populate('attendees', 'name email phone');
+        const { format = 'csv' } = req.query;
 
-        if (!event) {
-            return res.status(404).json({
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Event not found'
+                message: 'format must be csv or xlsx'
             });
         }
 
-        res.json({
-            success: true,
-            data: event
-        });
+        const event = await loadEventForAdmin(req, res, req.params.id, 'roster', 'eventName');
+        if (!event) return;
+
+        const { filter, error } = buildRosterFilter(event._id, req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const rows = await loadRosterRows(filter);
+        const fileName = `roster-${event._id}.${format}`;
+
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.set('Cache-Control', 'no-store');
+
+        if (format === 'xlsx') {
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.send(await rosterToXlsx(rows, event.eventName));
+        }
+
+        // The byte order mark makes Excel read the CSV as UTF-8
+        res.type('text/csv; charset=utf-8');
+        res.send(`\uFEFF${rosterToCsv(rows)}`);
     } catch (error) {
-        console.error('Error fetching event:', error);
+        console.error('Error exporting event roster:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch event',
+            message: 'Failed to export event roster',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// @route   POST /api/admin-events
-// @desc    Create a new event
+// @route   POST /api/admin-events/:id/registrations/message
+// @desc    Notify selected registrants of an event. Sends to registrationIds if
+//          given, otherwise to every registration matching the roster filters
 // @access  Private (Admin only)
-router.post('/', auth, async (req, res) => {
+router.post('/:id/registrations/message', auth, async (req, res) => {
     try {
-        const {
-            eventName,
-            date,
-            eventTime,
-            place,
-            tags,
-            image,
-            pricing,
-            discountOptions,
-            organizer,
-            description,
-            duration,
-            maxAttendees,
-            availableSlots,
-            status
-        } = req.body;
-
-        // Handle base64 data URL (any type)
-        let imageData = null;
-        if (image && image.startsWith('data:')) {
-            imageData = image; // Store the complete data URL
-        }
+        const { title, message, registrationIds, filters = {} } = req.body;
 
-        // Validation for required fields
-        if (!eventName || !date || !eventTime || !place || !organizer || !description || !duration || !maxAttendees || !availableSlots) {
+        const messageError = validateRosterMessage({ title, message });
+        if (messageError) {
             return res.status(400).json({
                 success: false,
-                message: 'Please provide all required fields: eventName, date, eventTime, place, organizer, description, duration, maxAttendees, availableSlots'
+                message: messageError
             });
         }
 
-        // Validate eventTime structure
-        if (!eventTime.from || !eventTime.to) {
+        if (registrationIds !== undefined && (
+            !Array.isArray(registrationIds) ||
+            registrationIds.length === 0 ||
+            !registrationIds.every(id => mongoose.Types.ObjectId.isValid(id))
+        )) {
             return res.status(400).json({
                 success: false,
-                message: 'eventTime must have both "from" and "to" fields'
+                message: 'registrationIds must be a non-empty array of registration IDs'
             });
         }
 
-        // Validate date
-        const eventDate = new Date(date);
-        if (isNaN(eventDate.getTime())) {
+        const event = await loadEventForAdmin(req, res, req.params.id, 'message', 'eventName');
+        if (!event) return;
+
+        const { filter, error } = buildRosterFilter(event._id, filters);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid date format'
+                message: error
             });
         }
 
-        // Validate pricing array if provided
-        if (pricing && Array.isArray(pricing)) {
-            for (let i = 0; i < pricing.length; i++) {
-                const priceItem = pricing[i];
-                if (!priceItem.name || typeof priceItem.price !== 'number' || !priceItem.slotsAvailable) {
-                    return res.status(400).json({
-                        success: false,
-                        message: `Pricing item ${i + 1} must have name, price (number), and slotsAvailable`
-                    });
-                }
-            }
-        }
+        const result = await messageRegistrants(event, filter, {
+            registrationIds,
+            title,
+            message,
+            adminId: req.admin._id
+        });
 
-        // Validate discount options array if provided
-        if (discountOptions && Array.isArray(discountOptions)) {
-            for (let i = 0; i < discountOptions.length; i++) {
-                const discountItem = discountOptions[i];
-                if (!discountItem.name || !discountItem.totalMembersNeeded || !discountItem.percentageDiscount) {
-                    return res.status(400).json({
-                        success: false,
-                        message: `Discount option ${i + 1} must have name, totalMembersNeeded, and percentageDiscount`
-                    });
-                }
-                if (discountItem.percentageDiscount < 1 || discountItem.percentageDiscount > 100) {
-                    return res.status(400).json({
-                        success: false,
-                        message: `Discount percentage must be between 1 and 100`
-                    });
-                }
-            }
+        if (result.recipients === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No registrations match the selection'
+            });
         }
 
-        // Create new event
-        const event = new Event({
-            eventName,
-            date: eventDate,
-            eventTime,
-            place,
-            tags: tags || [],
-            image: imageData,
-            pricing: pricing || [],
-            discountOptions: discountOptions || [],
-            organizer,
-            description,
-            duration,
-            maxAttendees: parseInt(maxAttendees),
-            availableSlots: parseInt(availableSlots),
-            status: status || 'draft',
-            createdBy: req.admin._id
+        res.json({
+            success: true,
+            message: `Message sent to ${result.sent} customer(s)`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error messaging event registrants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to message event registrants',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+    }
+});
 
-        await event.save();
+// @route   GET /api/admin-events/capacity/reconciliation
+// @desc    List the admin's events whose seat counters don't match their
+//          registrations and waitlist offers (optional ?status= filter;
+//          completed and cancelled events are skipped by default)
+// @access  Private (Admin only)
+router.get('/capacity/reconciliation', auth, async (req, res) => {
+    try {
+        const filter = { createdBy: req.admin._id };
+        filter.status = req.query.status || { $nin: ['completed', 'cancelled'] };
 
-        // Populate createdBy field
-        await event.populate('createdBy', 'name email');
+        const report = await buildReconciliationReport(filter);
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Event created successfully',
-            data: event
+            data: report
         });
     } catch (error) {
-        console.error('Error creating event:', error);
+        console.error('Error building capacity reconciliation report:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to create event',
+            message: 'Failed to build capacity reconciliation report',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// @route   PUT /api/admin-events/:id
-// @desc    Update an event
+// @route   POST /api/admin-events/:id/capacity/recompute
+// @desc    Rewrite an event's seat counters and attendees from its registrations
 // @access  Private (Admin only)
-router.put('/:id', auth, async (req, res) => {
+router.post('/:id/capacity/recompute', auth, async (req, res) => {
     try {
-        const event = await Event.findById(req.params.id);
+        const event = await loadEventForAdmin(req, res, req.params.id, 'edit', '_id');
+        if (!event) return;
 
-        if (!event) {
-            return res.status(404).json({
+        const result = await recomputeEventCapacity(event._id);
+        if (!result.updated) {
+            return res.status(409).json({
                 success: false,
-                message: 'Event not found'
+                message: result.reason
             });
         }
 
-        // Check if admin is the creator of the event
-        if (event.createdBy.toString() !== req.admin._id.toString()) {
-            return res.status(403).json({
+        res.json({
+            success: true,
+            message: 'Seat counters recomputed',
+            data: {
+                eventId: result.event._id,
+                maxAttendees: result.event.maxAttendees,
+                availableSlots: result.event.availableSlots,
+                pricing: result.event.pricing.map(tier => ({
+                    name: tier.name,
+                    capacity: tier.capacity,
+                    slotsAvailable: tier.slotsAvailable
+                })),
+                attendeesCount: result.event.attendees.length
+            }
+        });
+    } catch (error) {
+        console.error('Error recomputing event capacity:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to recompute seat counters',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin-events/analytics/summary
+// @desc    Get revenue per currency, cancellation and no-show rates and
+//          sell-through of the admin's events (?from=&to=&organizer=&eventId=)
+// @access  Private (Admin only)
+router.get('/analytics/summary', auth, async (req, res) => {
+    try {
+        const { match, error } = buildAnalyticsMatch(req.admin._id, req.query);
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Not authorized to update this event'
+                message: error
             });
         }
 
-        const {
-            eventName,
-            date,
-            eventTime,
-            place,
-            tags,
-            image,
-            pricing,
-            discountOptions,
-            organizer,
-            description,
-            duration,
-            maxAttendees,
-            availableSlots,
-            status
-        } = req.body;
-
-        // Handle base64 data URL (any type)
-        let imageData = null;
-        if (image && image.startsWith('data:')) {
-            imageData = image; // Store the complete data URL
-        }
-
-        // Update fields
-        if (eventName) event.eventName = eventName;
-        if (description) event.description = description;
-        if (place) event.place = place;
-        if (organizer) event.organizer = organizer;
-        if (duration) event.duration = duration;
-        if (image !== undefined) event.image = imageData || image;
-        if (status) event.status = status;
-        
-        if (date) {
-            const eventDate = new Date(date);
-            if (isNaN(eventDate.getTime())) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid date format'
-                });
-            }
-            event.date = eventDate;
-        }
-        
-        if (eventTime) {
-            if (!eventTime.from || !eventTime.to) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'eventTime must have both "from" and "to" fields'
-                });
-            }
-            event.eventTime = eventTime;
-        }
-        
-        if (tags !== undefined) event.tags = tags;
-        if (maxAttendees) event.maxAttendees = parseInt(maxAttendees);
-        if (availableSlots) event.availableSlots = parseInt(availableSlots);
-        
-        if (pricing !== undefined) {
-            // Validate pricing array if provided
-            if (Array.isArray(pricing)) {
-                for (let i = 0; i < pricing.length; i++) {
-                    const priceItem = pricing[i];
-                    if (!priceItem.name || typeof priceItem.price !== 'number' || !priceItem.slotsAvailable) {
-                        return res.status(400).json({
-                            success: false,
-                            message: `Pricing item ${i + 1} must have name, price (number), and slotsAvailable`
-                        });
-                    }
-                }
-            }
-            event.pricing = pricing;
-        }
-        
-        if (discountOptions !== undefined) {
-            // Validate discount options array if provided
-            if (Array.isArray(discountOptions)) {
-                for (let i = 0; i < discountOptions.length; i++) {
-                    const discountItem = discountOptions[i];
-                    if (!discountItem.name || !discountItem.totalMembersNeeded || !discountItem.percentageDiscount) {
-                        return res.status(400).json({
-                            success: false,
-                            message: `Discount option ${i + 1} must have name, totalMembersNeeded, and percentageDiscount`
-                        });
-                    }
-                    if (discountItem.percentageDiscount < 1 || discountItem.percentageDiscount > 100) {
-                        return res.status(400).json({
-                            success: false,
-                            message: `Discount percentage must be between 1 and 100`
-                        });
-                    }
-                }
-            }
-            event.discountOptions = discountOptions;
-        }
-
-        await event.save();
-        await event.populate('createdBy', 'name email');
+        const [summary, refreshedAt] = await Promise.all([
+            analyticsSummary(match),
+            rollupsRefreshedAt()
+        ]);
 
         res.json({
             success: true,
-            message: 'Event updated successfully',
-            data: event
+            data: summary,
+            refreshedAt
         });
     } catch (error) {
-        console.error('Error updating event:', error);
+        console.error('Error fetching analytics summary:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update event',
+            message: 'Failed to fetch analytics summary',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// @route   DELETE /api/admin-events/:id
-// @desc    Delete an event
+// @route   GET /api/admin-events/analytics/revenue
+// @desc    Get revenue, discount cost and rates per event, pricing tier or
+//          period (?groupBy=event|tier|period&period=day|week|month, same
+//          filters as the summary)
 // @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+router.get('/analytics/revenue', auth, async (req, res) => {
     try {
-        const event = await Event.findById(req.params.id);
+        const { groupBy = 'event', period = 'month' } = req.query;
 
-        if (!event) {
-            return res.status(404).json({
+        if (!['event', 'tier', 'period'].includes(groupBy)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Event not found'
+                message: 'groupBy must be one of: event, tier, period'
             });
         }
 
-        // Check if admin is the creator of the event
-        if (event.createdBy.toString() !== req.admin._id.toString()) {
-            return res.status(403).json({
+        if (!Object.keys(PERIOD_FORMATS).includes(period)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Not authorized to delete this event'
+                message: 'period must be one of: day, week, month'
             });
         }
 
-        await Event.findByIdAndDelete(req.params.id);
+        const { match, error } = buildAnalyticsMatch(req.admin._id, req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const [rows, refreshedAt] = await Promise.all([
+            revenueBreakdown(match, { groupBy, period }),
+            rollupsRefreshedAt()
+        ]);
 
         res.json({
             success: true,
-            message: 'Event deleted successfully'
+            data: rows,
+            groupBy,
+            ...(groupBy === 'period' && { period }),
+            refreshedAt
         });
     } catch (error) {
-        console.error('Error deleting event:', error);
+        console.error('Error fetching revenue analytics:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete event',
+            message: 'Failed to fetch revenue analytics',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// @route   PATCH /api/admin-events/:id/status
-// @desc    Update event status
+// @route   GET /api/admin-events/analytics/timeseries
+// @desc    Get daily registrations and revenue (default: last 30 days, at
+//          most 366 days; same filters as the summary)
 // @access  Private (Admin only)
-router.patch('/:id/status', auth, async (req, res) => {
+router.get('/analytics/timeseries', auth, async (req, res) => {
     try {
-        const { status } = req.body;
-
-        if (!status || !['draft', 'published', 'cancelled', 'completed'].includes(status)) {
+        const { match, from, to, error } = buildAnalyticsMatch(req.admin._id, req.query);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status. Must be one of: draft, published, cancelled, completed'
-            });
-        }
-
-        const event = await Event.findById(req.params.id);
-
-        if (!event) {
-            return res.status(404).json({
-                success: false,
-                message: 'Event not found'
+                message: error
             });
         }
 
-        // Check if admin is the creator of the event
-        if (event.createdBy.toString() !== req.admin._id.toString()) {
-            return res.status(403).json({
+        const range = seriesRange(from, to);
+        if (range.error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Not authorized to update this event'
+                message: range.error
             });
         }
 
-        event.status = status;
-        await event.save();
-        await event.populate('createdBy', 'name email');
-        await event.populate('attendees', 'name email phone');
+        const [series, refreshedAt] = await Promise.all([
+            registrationTimeSeries(match, range.from, range.to),
+            rollupsRefreshedAt()
+        ]);
 
         res.json({
             success: true,
-            message: 'Event status updated successfully',
-            data: event
+            data: series,
+            from: range.from.toISOString().slice(0, 10),
+            to: range.to.toISOString().slice(0, 10),
+            refreshedAt
         });
     } catch (error) {
-        console.error('Error updating event status:', error);
+        console.error('Error fetching registration time series:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update event status',
+            message: 'Failed to fetch registration time series',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -605,7 +2327,7 @@ router.get('/stats/overview', auth, async (req, res) => {
         thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
         
         const upcomingEvents = await Event.countDocuments({
-            date: { $gte: new Date(), $lte: thirtyDaysFromNow },
+            startsAt: { $gte: new Date(), $lte: thirtyDaysFromNow },
             status: 'published'
         });
 
@@ -646,12 +2368,14 @@ router.get('/stats/overview', auth, async (req, res) => {
             { $limit: 5 }
         ]);
 
-        // Get total attendees across all events
-        const totalAttendees = await Event.aggregate([
+        // Get total attendees across all events, from confirmed registrations
+        const totalAttendees = await Registration.aggregate([
+            { $match: { status: 'confirmed' } },
             {
                 $group: {
                     _id: null,
-                    totalAttendees: { $sum: { $size: '$attendees' } }
+                    totalAttendees: { $sum: '$attendeeCount' },
+                    totalRegistrations: { $sum: 1 }
                 }
             }
         ]);
@@ -678,6 +2402,7 @@ router.get('/stats/overview', auth, async (req, res) => {
                 byOrganizer: organizerStats,
                 byPlace: placeStats,
                 totalAttendees: totalAttendees[0]?.totalAttendees || 0,
+                totalRegistrations: totalAttendees[0]?.totalRegistrations || 0,
                 slotsAndPricing: slotsAndPricing[0] || {
                     totalMaxAttendees: 0,
                     totalAvailableSlots: 0,
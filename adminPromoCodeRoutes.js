@@ -0,0 +1,493 @@
+/**
+ * Admin Promo Code Routes
+ *
+ * This module lets admins manage promo codes for their events and report on
+ * how they were used. Codes only apply to events created by the same admin.
+ *
+ * Features:
+ * - Promo code CRUD (percentage or fixed amount)
+ * - Scoping to events, pricing tiers and event tags
+ * - Usage caps, per-customer limits and validity windows
+ * - Stacking with group discounts per code
+ * - Redemption reports
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+// Import database models
+const { Event, PromoCode, Registration } = require('./models');
+const auth = require('./middleware/adminAuth');
+const { REDEEMED_STATUSES, normalizePromoCode } = require('./promoCodes');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeCurrency } = require('./currency');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Validate Promo Code Input
+ *
+ * Checks the promo code fields of a create or update request and builds the
+ * document fields to store. Scoped events must belong to the admin.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} admin - Authenticated admin
+ * @param {Object} existing - Promo code being updated (optional)
+ * @returns {Promise<Object>} { fields } or { error } with a message
+ */
+const validatePromoCodeInput = async (body, admin, existing) => {
+    const fields = {};
+
+    if (body.code !== undefined) {
+        const code = normalizePromoCode(body.code);
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+            return { error: 'code must be 3-32 letters, digits, dashes or underscores' };
+        }
+        fields.code = code;
+    } else if (!existing) {
+        return { error: 'code is required' };
+    }
+
+    if (body.description !== undefined) fields.description = body.description;
+
+    const discountType = body.discountType !== undefined ? body.discountType : existing && existing.discountType;
+    const value = body.value !== undefined ? body.value : existing && existing.value;
+
+    if (!['percentage', 'fixed'].includes(discountType)) {
+        return { error: 'discountType must be "percentage" or "fixed"' };
+    }
+
+    if (typeof value !== 'number' || value <= 0) {
+        return { error: 'value must be a positive number' };
+    }
+
+    if (discountType === 'percentage' && value > 100) {
+        return { error: 'Percentage discount must be between 1 and 100' };
+    }
+
+    if (body.discountType !== undefined) fields.discountType = discountType;
+    if (body.value !== undefined) fields.value = value;
+
+    if (body.currency !== undefined) {
+        if (!isValidCurrency(body.currency)) {
+            return { error: 'currency must be an ISO-4217 currency code' };
+        }
+        fields.currency = normalizeCurrency(body.currency);
+    } else if (discountType === 'fixed' && !(existing && existing.currency)) {
+        fields.currency = DEFAULT_CURRENCY;
+    }
+
+    if (body.scope !== undefined) {
+        const { events = [], pricingTiers = [], tags = [] } = body.scope || {};
+
+        if (!Array.isArray(events) || !Array.isArray(pricingTiers) || !Array.isArray(tags)) {
+            return { error: 'scope.events, scope.pricingTiers and scope.tags must be arrays' };
+        }
+
+        if (events.some(eventId => !mongoose.Types.ObjectId.isValid(eventId))) {
+            return { error: 'scope.events contains an invalid event ID' };
+        }
+
+        const uniqueEvents = [...new Set(events.map(String))];
+        const ownedEvents = await Event.countDocuments({ _id: { $in: uniqueEvents }, createdBy: admin._id });
+        if (ownedEvents !== uniqueEvents.length) {
+            return { error: 'Promo codes can only be scoped to your own events' };
+        }
+
+        fields.scope = { events: uniqueEvents, pricingTiers, tags };
+    }
+
+    if (body.maxRedemptions !== undefined) {
+        if (body.maxRedemptions !== null && (!Number.isInteger(body.maxRedemptions) || body.maxRedemptions < 1)) {
+            return { error: 'maxRedemptions must be a positive whole number or null' };
+        }
+        fields.maxRedemptions = body.maxRedemptions;
+    }
+
+    if (body.perCustomerLimit !== undefined) {
+        if (!Number.isInteger(body.perCustomerLimit) || body.perCustomerLimit < 1) {
+            return { error: 'perCustomerLimit must be a positive whole number' };
+        }
+        fields.perCustomerLimit = body.perCustomerLimit;
+    }
+
+    for (const field of ['validFrom', 'validUntil']) {
+        if (body[field] !== undefined) {
+            if (body[field] === null) {
+                fields[field] = null;
+                continue;
+            }
+            const date = new Date(body[field]);
+            if (isNaN(date.getTime())) {
+                return { error: `Invalid ${field} date format` };
+            }
+            fields[field] = date;
+        }
+    }
+
+    const validFrom = fields.validFrom !== undefined ? fields.validFrom : existing && existing.validFrom;
+    const validUntil = fields.validUntil !== undefined ? fields.validUntil : existing && existing.validUntil;
+    if (validFrom && validUntil && validFrom >= validUntil) {
+        return { error: 'validUntil must be after validFrom' };
+    }
+
+    if (body.stackable !== undefined) fields.stackable = Boolean(body.stackable);
+    if (body.active !== undefined) fields.active = Boolean(body.active);
+
+    return { fields };
+};
+
+/**
+ * Load Promo Code for Admin
+ *
+ * Finds a promo code owned by the authenticated admin. Sends the 404
+ * response itself and resolves to null when it is not found.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Promo code document or null
+ */
+const loadPromoCodeForAdmin = async (req, res) => {
+    const promoCode = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await PromoCode.findOne({ _id: req.params.id, createdBy: req.admin._id })
+        : null;
+
+    if (!promoCode) {
+        res.status(404).json({
+            success: false,
+            message: 'Promo code not found'
+        });
+        return null;
+    }
+
+    return promoCode;
+};
+
+// ============================================================================
+// PROMO CODE ROUTES
+// ============================================================================
+
+/**
+ * List Promo Codes
+ * GET /api/admin-promo-codes
+ *
+ * Lists promo codes created by the authenticated admin.
+ *
+ * Query Parameters:
+ * @param {string} active - Filter by active flag ('true'/'false') (optional)
+ * @param {string} eventId - Only codes usable on this event's scope list (optional)
+ * @param {number} page - Page number for pagination (default: 1)
+ * @param {number} limit - Items per page (default: 10)
+ *
+ * @returns {Object} Paginated list of promo codes
+ */
+router.get('/', auth, async (req, res) => {
+    try {
+        const { active, eventId, page = 1, limit = 10 } = req.query;
+
+        const filter = { createdBy: req.admin._id };
+        if (active !== undefined) filter.active = active === 'true';
+        if (eventId) filter['scope.events'] = eventId;
+
+        const promoCodes = await PromoCode.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit));
+
+        const total = await PromoCode.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: promoCodes,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching promo codes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promo codes',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Create Promo Code
+ * POST /api/admin-promo-codes
+ *
+ * @param {string} code - Code customers enter (3-32 letters, digits, dashes or underscores)
+ * @param {string} discountType - 'percentage' or 'fixed'
+ * @param {number} value - Percentage (1-100) or fixed amount off
+ * @param {string} currency - Currency of a fixed amount (optional, default: DEFAULT_CURRENCY)
+ * @param {Object} scope - { events, pricingTiers, tags } the code is limited to (optional)
+ * @param {number} maxRedemptions - Total redemptions allowed (optional, default: unlimited)
+ * @param {number} perCustomerLimit - Redemptions per customer (optional, default: 1)
+ * @param {string} validFrom - Start of the validity window (optional)
+ * @param {string} validUntil - End of the validity window (optional)
+ * @param {boolean} stackable - Combine with group discounts (optional, default: false)
+ * @param {string} description - Internal description (optional)
+ * @returns {Object} Created promo code
+ */
+router.post('/', auth, async (req, res) => {
+    try {
+        const validation = await validatePromoCodeInput(req.body, req.admin);
+        if (validation.error) {
+            return res.status(400).json({
+                success: false,
+                message: validation.error
+            });
+        }
+
+        const promoCode = new PromoCode({
+            ...validation.fields,
+            createdBy: req.admin._id
+        });
+
+        await promoCode.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Promo code created successfully',
+            data: promoCode
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A promo code with this code already exists'
+            });
+        }
+
+        console.error('Error creating promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Get Promo Code
+ * GET /api/admin-promo-codes/:id
+ *
+ * Returns a promo code with a summary of its redemptions.
+ *
+ * @param {string} id - Promo code ID
+ * @returns {Object} Promo code and redemption summary by registration status
+ */
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const promoCode = await loadPromoCodeForAdmin(req, res);
+        if (!promoCode) return;
+
+        const byStatus = await Registration.aggregate([
+            { $match: { 'promoCode.codeId': promoCode._id } },
+            {
+                $group: {
+                    _id: '$status',
+                    registrations: { $sum: 1 },
+                    attendees: { $sum: '$attendeeCount' },
+                    totalDiscount: { $sum: '$promoCode.discountAmount' },
+                    totalRevenue: { $sum: '$finalPrice' }
+                }
+            }
+        ]);
+
+        const redeemed = byStatus.filter(group => REDEEMED_STATUSES.includes(group._id));
+
+        res.json({
+            success: true,
+            data: {
+                promoCode,
+                redemptions: {
+                    total: redeemed.reduce((sum, group) => sum + group.registrations, 0),
+                    totalDiscount: redeemed.reduce((sum, group) => sum + group.totalDiscount, 0),
+                    byStatus: byStatus.map(group => ({
+                        status: group._id,
+                        registrations: group.registrations,
+                        attendees: group.attendees,
+                        totalDiscount: group.totalDiscount,
+                        totalRevenue: group.totalRevenue
+                    }))
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * List Promo Code Redemptions
+ * GET /api/admin-promo-codes/:id/redemptions
+ *
+ * Lists the registrations that redeemed a promo code.
+ *
+ * Query Parameters:
+ * @param {string} status - Filter by registration status (optional)
+ * @param {number} page - Page number for pagination (default: 1)
+ * @param {number} limit - Items per page (default: 10)
+ *
+ * @returns {Object} Paginated list of registrations
+ */
+router.get('/:id/redemptions', auth, async (req, res) => {
+    try {
+        const promoCode = await loadPromoCodeForAdmin(req, res);
+        if (!promoCode) return;
+
+        const { status, page = 1, limit = 10 } = req.query;
+
+        const filter = { 'promoCode.codeId': promoCode._id };
+        if (status) filter.status = status;
+
+        const registrations = await Registration.find(filter)
+            .populate('eventId', 'eventName date place')
+            .populate('customerId', 'name email phone')
+            .sort({ 'promoCode.redeemedAt': -1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit));
+
+        const total = await Registration.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: registrations,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching promo code redemptions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promo code redemptions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Update Promo Code
+ * PUT /api/admin-promo-codes/:id
+ *
+ * Updates any of the fields accepted on create, plus `active`. The code
+ * itself can't be changed once it has been redeemed.
+ *
+ * @param {string} id - Promo code ID
+ * @returns {Object} Updated promo code
+ */
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const promoCode = await loadPromoCodeForAdmin(req, res);
+        if (!promoCode) return;
+
+        const validation = await validatePromoCodeInput(req.body, req.admin, promoCode);
+        if (validation.error) {
+            return res.status(400).json({
+                success: false,
+                message: validation.error
+            });
+        }
+
+        if (validation.fields.code && validation.fields.code !== promoCode.code && promoCode.redemptionCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot rename a promo code that has been redeemed'
+            });
+        }
+
+        if (validation.fields.maxRedemptions && validation.fields.maxRedemptions < promoCode.redemptionCount) {
+            return res.status(400).json({
+                success: false,
+                message: `maxRedemptions cannot be below the ${promoCode.redemptionCount} redemptions already made`
+            });
+        }
+
+        promoCode.set(validation.fields);
+        await promoCode.save();
+
+        res.json({
+            success: true,
+            message: 'Promo code updated successfully',
+            data: promoCode
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A promo code with this code already exists'
+            });
+        }
+
+        console.error('Error updating promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Delete Promo Code
+ * DELETE /api/admin-promo-codes/:id
+ *
+ * Deletes a promo code that was never used. Codes recorded on registrations
+ * are deactivated instead so redemption reports stay intact.
+ *
+ * @param {string} id - Promo code ID
+ * @returns {Object} Success message
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const promoCode = await loadPromoCodeForAdmin(req, res);
+        if (!promoCode) return;
+
+        const used = await Registration.exists({ 'promoCode.codeId': promoCode._id });
+        if (used) {
+            promoCode.active = false;
+            await promoCode.save();
+
+            return res.json({
+                success: true,
+                message: 'Promo code has redemptions and was deactivated instead of deleted',
+                data: promoCode
+            });
+        }
+
+        await PromoCode.deleteOne({ _id: promoCode._id });
+
+        res.json({
+            success: true,
+            message: 'Promo code deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
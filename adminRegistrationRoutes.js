@@ -0,0 +1,380 @@
+/**
+ * Admin Registration Routes
+ *
+ * This module handles admin operations on customer event registrations.
+ * Admins can act on registrations for events they created, or collaborate
+ * on with a role that allows it (see eventPermissions.js).
+ *
+ * Features:
+ * - Refund request review (list, approve, deny)
+ * - Refund processing through the payment gateway
+ * - Seat release back to the original pricing tier
+ * - Ticket scanning for check-in at the door
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import database models
+const { Event, Registration } = require('./models');
+const auth = require('./middleware/adminAuth');
+const { refundPayment } = require('./payments');
+const { releaseSeats } = require('./seatInventory');
+const { verifyTicketToken, checkInAttendees } = require('./tickets');
+const { canAccessEvent, accessibleEventsFilter, accessDeniedMessage } = require('./eventPermissions');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Load Registration for Admin
+ *
+ * Finds a registration and checks that the admin's role on its event allows
+ * managing refunds. Sends the error response itself and resolves to null
+ * when access fails.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} { registration, event } or null
+ */
+const loadRegistrationForAdmin = async (req, res) => {
+    const registration = await Registration.findById(req.params.id);
+    if (!registration) {
+        res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+        });
+        return null;
+    }
+
+    const event = await Event.findById(registration.eventId);
+    if (!event || !canAccessEvent(event, req.admin._id, 'refunds')) {
+        res.status(403).json({
+            success: false,
+            message: accessDeniedMessage('refunds')
+        });
+        return null;
+    }
+
+    return { registration, event };
+};
+
+// ============================================================================
+// REFUND ROUTES
+// ============================================================================
+
+/**
+ * List Refund Requests
+ * GET /api/admin-registrations/refunds
+ *
+ * Lists refund requests for events created by the authenticated admin.
+ *
+ * Query Parameters:
+ * @param {string} status - Refund status filter (default: 'requested')
+ * @param {string} eventId - Limit to a single event (optional)
+ * @param {number} page - Page number for pagination (default: 1)
+ * @param {number} limit - Items per page (default: 10)
+ *
+ * @returns {Object} Paginated list of registrations with refund requests
+ */
+router.get('/refunds', auth, async (req, res) => {
+    try {
+        const { status = 'requested', eventId, page = 1, limit = 10 } = req.query;
+
+        const eventFilter = accessibleEventsFilter(req.admin._id, 'refunds');
+        if (eventId) eventFilter._id = eventId;
+        const eventIds = await Event.find(eventFilter).distinct('_id');
+
+        const filter = {
+            eventId: { $in: eventIds },
+            'refund.status': status
+        };
+
+        const registrations = await Registration.find(filter)
+            .populate('eventId', 'eventName date place')
+            .populate('customerId', 'name email phone')
+            .sort({ 'refund.requestedAt': 1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit));
+
+        const total = await Registration.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: registrations,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching refund requests:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refund requests',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Approve Refund
+ * PATCH /api/admin-registrations/:id/refund/approve
+ *
+ * Approves a requested refund, refunds the quoted amount through the payment
+ * gateway and marks the registration refunded. Seats held by the registration
+ * are released back to its pricing tier.
+ *
+ * @param {string} id - Registration ID
+ * @param {string} note - Admin note stored with the refund (optional)
+ * @returns {Object} Refunded registration
+ */
+router.patch('/:id/refund/approve', auth, async (req, res) => {
+    try {
+        const loaded = await loadRegistrationForAdmin(req, res);
+        if (!loaded) return;
+
+        // Claim the request so a second approval can't refund twice
+        const registration = await Registration.findOneAndUpdate(
+            { _id: loaded.registration._id, 'refund.status': 'requested' },
+            {
+                $set: {
+                    'refund.status': 'processing',
+                    'refund.reviewedBy': req.admin._id,
+                    'refund.reviewedAt': new Date(),
+                    'refund.adminNote': req.body.note
+                }
+            },
+            { new: true }
+        );
+
+        if (!registration) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pending refund request for this registration'
+            });
+        }
+
+        let gatewayRefund;
+        try {
+            gatewayRefund = await refundPayment(registration);
+        } catch (gatewayError) {
+            console.error('Error refunding payment:', gatewayError);
+            await Registration.updateOne(
+                { _id: registration._id, 'refund.status': 'processing' },
+                { $set: { 'refund.status': 'requested' } }
+            );
+
+            return res.status(502).json({
+                success: false,
+                message: 'Payment gateway could not process the refund. Please try again.'
+            });
+        }
+
+        const heldSeats = registration.status === 'confirmed';
+
+        const refundedRegistration = await Registration.findOneAndUpdate(
+            { _id: registration._id, 'refund.status': 'processing' },
+            {
+                $set: {
+                    status: 'refunded',
+                    paymentStatus: 'refunded',
+                    'refund.status': 'refunded',
+                    'refund.gatewayRefundId': gatewayRefund.id,
+                    'refund.refundedAt': new Date()
+                }
+            },
+            { new: true }
+        );
+
+        // Confirmed registrations still hold seats; cancelled ones already gave them back
+        if (heldSeats) {
+            await releaseSeats(registration.eventId, registration.pricingTier.name, registration.attendeeCount);
+        }
+
+        res.json({
+            success: true,
+            message: 'Refund processed successfully',
+            data: refundedRegistration
+        });
+    } catch (error) {
+        console.error('Error approving refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Deny Refund
+ * PATCH /api/admin-registrations/:id/refund/deny
+ *
+ * Denies a requested refund. The registration stays as it is.
+ *
+ * @param {string} id - Registration ID
+ * @param {string} note - Reason shown to the customer (optional)
+ * @returns {Object} Registration with the denied refund
+ */
+router.patch('/:id/refund/deny', auth, async (req, res) => {
+    try {
+        const loaded = await loadRegistrationForAdmin(req, res);
+        if (!loaded) return;
+
+        const registration = await Registration.findOneAndUpdate(
+            { _id: loaded.registration._id, 'refund.status': 'requested' },
+            {
+                $set: {
+                    'refund.status': 'denied',
+                    'refund.reviewedBy': req.admin._id,
+                    'refund.reviewedAt': new Date(),
+                    'refund.adminNote': req.body.note
+                }
+            },
+            { new: true }
+        );
+
+        if (!registration) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pending refund request for this registration'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Refund denied',
+            data: registration
+        });
+    } catch (error) {
+        console.error('Error denying refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deny refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ============================================================================
+// CHECK-IN ROUTES
+// ============================================================================
+
+/**
+ * Scan Ticket
+ * POST /api/admin-registrations/check-in
+ *
+ * Verifies a scanned ticket token and checks its attendees in. The scanner is
+ * opened for one event, so tickets for any other event are rejected, as are
+ * tickets of registrations that are not confirmed. Group tickets can be
+ * checked in partially by attendee or by count. Every scan of a genuine
+ * ticket is logged with the admin who scanned it.
+ *
+ * @param {string} token - Ticket token read from the QR code
+ * @param {string} eventId - Event the scanner is checking in for
+ * @param {Array} attendeeIds - Attendees to check in (optional, default: everyone left)
+ * @param {number} count - Number of remaining attendees to check in (optional)
+ * @returns {Object} Checked-in attendees and the registration
+ */
+router.post('/check-in', auth, async (req, res) => {
+    try {
+        const { token, eventId, attendeeIds, count } = req.body;
+
+        if (!token || !eventId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ticket token and event ID are required'
+            });
+        }
+
+        const event = await Event.findById(eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!canAccessEvent(event, req.admin._id, 'checkIn')) {
+            return res.status(403).json({
+                success: false,
+                message: accessDeniedMessage('checkIn')
+            });
+        }
+
+        const ticket = verifyTicketToken(token);
+        if (!ticket) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ticket'
+            });
+        }
+
+        const registration = await Registration.findById(ticket.registrationId);
+        if (!registration || !registration.ticket || registration.ticket.nonce !== ticket.nonce) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ticket'
+            });
+        }
+
+        // Record rejected scans of genuine tickets too
+        const rejectScan = async (outcome, message) => {
+            await Registration.updateOne(
+                { _id: registration._id },
+                { $push: { checkInLog: { scannedBy: req.admin._id, scannedAt: new Date(), outcome } } }
+            );
+
+            return res.status(400).json({
+                success: false,
+                message
+            });
+        };
+
+        if (registration.eventId.toString() !== event._id.toString()) {
+            return rejectScan('wrong-event', 'This ticket is for a different event');
+        }
+
+        if (registration.status !== 'confirmed') {
+            return rejectScan(`rejected-${registration.status}`, `This ticket's registration is ${registration.status}`);
+        }
+
+        const result = await checkInAttendees(registration, { attendeeIds, count, adminId: req.admin._id });
+        if (result.error) {
+            return rejectScan('rejected', result.error);
+        }
+
+        res.json({
+            success: true,
+            message: `Checked in ${result.checkedIn.length || result.registration.attendeeCount} attendee(s)`,
+            data: {
+                checkedIn: result.checkedIn.map(attendee => ({ _id: attendee._id, name: attendee.name })),
+                remaining: result.registration.attendees.filter(attendee => attendee.checkInStatus !== 'checked-in').length,
+                registration: result.registration
+            }
+        });
+    } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'Ticket was scanned at the same time elsewhere. Please scan again.'
+            });
+        }
+
+        console.error('Error scanning ticket:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check in',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+/**
+ * Admin Venue Routes
+ *
+ * This module lets admins save venues - an address with map coordinates -
+ * and reuse them across events by passing `venue: { venueId }` when creating
+ * or updating an event. Saved venues are shared by all admins; only the
+ * admin who saved a venue can change or delete it.
+ *
+ * Events keep their own copy of a venue, so changing or deleting a saved
+ * venue doesn't change events already using it.
+ *
+ * Features:
+ * - Venue CRUD with address and coordinates
+ * - Search by name or city and by distance
+ * - Count of upcoming events at each venue
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+// Import database models
+const { Event, Venue } = require('./models');
+const auth = require('./middleware/adminAuth');
+const {
+    VENUE_TEXT_FIELDS,
+    buildVenueFields,
+    parseNearQuery,
+    nearFilter,
+    nearSortFilter,
+    distanceKm
+} = require('./venues');
+const { escapeRegex } = require('./eventSearch');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Load Venue
+ *
+ * Finds a venue; only the admin who saved it may change it. Sends the
+ * 404/403 response itself and resolves to null when it can't be used.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} modifying - Whether the venue is about to be changed or deleted
+ * @returns {Promise<Object|null>} Venue document or null
+ */
+const loadVenue = async (req, res, modifying = false) => {
+    const venue = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await Venue.findById(req.params.id)
+        : null;
+
+    if (!venue) {
+        res.status(404).json({
+            success: false,
+            message: 'Venue not found'
+        });
+        return null;
+    }
+
+    if (modifying && venue.createdBy.toString() !== req.admin._id.toString()) {
+        res.status(403).json({
+            success: false,
+            message: 'Only the admin who saved this venue can change it'
+        });
+        return null;
+    }
+
+    return venue;
+};
+
+/**
+ * Upcoming Events Filter
+ *
+ * @param {string} venueId - Venue ID
+ * @returns {Object} Event query for the venue's events that haven't started
+ */
+const upcomingEventsFilter = (venueId) => ({
+    'venue.venueId': venueId,
+    status: { $in: ['draft', 'published'] },
+    startsAt: { $gte: new Date() },
+    archivedAt: null
+});
+
+// ============================================================================
+// VENUE ROUTES
+// ============================================================================
+
+/**
+ * List Venues
+ * GET /api/admin-venues
+ *
+ * Query Parameters:
+ * @param {string} search - Part of the venue's name or city (optional)
+ * @param {string} near - "lat,lng" to only list venues within radiusKm, nearest first (optional)
+ * @param {number} radiusKm - Search radius in km (default: 25, max: 500)
+ * @param {string} mine - 'true' to only list venues saved by the authenticated admin
+ * @param {number} page - Page number for pagination (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ *
+ * @returns {Object} Paginated list of venues (distanceKm with near)
+ */
+router.get('/', auth, async (req, res) => {
+    try {
+        const { search, mine, page = 1, limit = 20 } = req.query;
+
+        const { near, error } = parseNearQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const filter = {};
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [{ name: pattern }, { city: pattern }];
+        }
+        if (mine === 'true') filter.createdBy = req.admin._id;
+        if (near) Object.assign(filter, nearFilter(near, 'location'));
+
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        // The distance query sorts nearest first by itself
+        const venues = await Venue.find(near ? { ...filter, ...nearSortFilter(near, 'location') } : filter)
+            .sort(near ? {} : { name: 1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean();
+
+        const total = await Venue.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: venues.map(venue => ({
+                ...venue,
+                ...(near && { distanceKm: distanceKm(near.coordinates, venue.location) })
+            })),
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalItems: total,
+                itemsPerPage: pageSize
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching venues:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch venues',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Create Venue
+ * POST /api/admin-venues
+ *
+ * @param {string} name - Venue name
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} address - Street address (optional)
+ * @param {string} city - City (optional)
+ * @param {string} region - State, province or region (optional)
+ * @param {string} postalCode - Postal code (optional)
+ * @param {string} country - Country (optional)
+ * @returns {Object} Created venue
+ */
+router.post('/', auth, async (req, res) => {
+    try {
+        if (typeof req.body.name !== 'string' || !req.body.name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'name is required'
+            });
+        }
+
+        const { fields, error } = buildVenueFields(req.body, { requireLocation: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const venue = new Venue({
+            ...fields,
+            createdBy: req.admin._id
+        });
+
+        await venue.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Venue created successfully',
+            data: venue
+        });
+    } catch (error) {
+        console.error('Error creating venue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create venue',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Get Venue
+ * GET /api/admin-venues/:id
+ *
+ * @param {string} id - Venue ID
+ * @returns {Object} Venue and the number of upcoming events using it
+ */
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const venue = await loadVenue(req, res);
+        if (!venue) return;
+
+        const upcomingEvents = await Event.countDocuments(upcomingEventsFilter(venue._id));
+
+        res.json({
+            success: true,
+            data: venue,
+            upcomingEvents
+        });
+    } catch (error) {
+        console.error('Error fetching venue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch venue',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Update Venue
+ * PUT /api/admin-venues/:id
+ *
+ * Updates any of the fields accepted on create; null clears an address
+ * field. Events already using the venue keep their copy.
+ *
+ * @param {string} id - Venue ID
+ * @returns {Object} Updated venue
+ */
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const venue = await loadVenue(req, res, true);
+        if (!venue) return;
+
+        if (req.body.name !== undefined && (typeof req.body.name !== 'string' || !req.body.name.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'name cannot be empty'
+            });
+        }
+
+        const { fields, error } = buildVenueFields({ ...venue.toObject(), ...req.body }, { requireLocation: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        for (const field of VENUE_TEXT_FIELDS) {
+            venue[field] = fields[field];
+        }
+        venue.location = fields.location;
+
+        await venue.save();
+
+        res.json({
+            success: true,
+            message: 'Venue updated successfully',
+            data: venue
+        });
+    } catch (error) {
+        console.error('Error updating venue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update venue',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Delete Venue
+ * DELETE /api/admin-venues/:id
+ *
+ * Events already using the venue keep their copy of it.
+ *
+ * @param {string} id - Venue ID
+ * @returns {Object} Success message
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const venue = await loadVenue(req, res, true);
+        if (!venue) return;
+
+        await Venue.deleteOne({ _id: venue._id });
+
+        res.json({
+            success: true,
+            message: 'Venue deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting venue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete venue',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,492 @@
+/**
+ * Event Analytics
+ *
+ * This module computes the revenue and conversion figures of the admin
+ * dashboard. Registrations are pre-aggregated into EventStatsRollup
+ * documents (one per event, pricing tier, currency and registration day) by
+ * the refresh-analytics lifecycle job; dashboard queries only read rollups.
+ *
+ * Figures:
+ * - grossRevenue - finalPrice of registrations that were paid for
+ * - refunds / netRevenue - Amount refunded, and gross revenue less refunds
+ * - discountCost - Group discounts and promo codes given away
+ * - cancellationRate - Cancelled and refunded registrations, % of registrations
+ * - noShowRate - Confirmed registrations of started events nobody checked in
+ *   for, % of confirmed registrations of started events
+ * - sellThrough - Confirmed seats, % of maxAttendees
+ *
+ * Money is never added up across currencies; figures are reported per
+ * currency in its major units.
+ *
+ * Filters (query parameters):
+ * - from / to - Registration dates, YYYY-MM-DD (UTC, inclusive)
+ * - organizer - Event organizer
+ * - eventId - A single event
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { Event, Registration, EventStatsRollup, JobLock } = require('./models');
+const { DEFAULT_CURRENCY, roundAmount } = require('./currency');
+
+// Rollups are rebuilt at most this often
+const ANALYTICS_REFRESH_MS = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest daily time series returned
+const MAX_SERIES_DAYS = 366;
+
+// Days in the time series when no range is given
+const DEFAULT_SERIES_DAYS = 30;
+
+// Counters stored on every rollup, summed when rollups are grouped
+const COUNTER_FIELDS = [
+  'registrations',
+  'attendees',
+  'confirmed',
+  'confirmedAttendees',
+  'cancelled',
+  'refunded',
+  'payments',
+  'grossRevenue',
+  'refunds',
+  'discountCost',
+  'attended',
+  'noShows'
+];
+
+// $dateToString formats of the revenue periods
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// ============================================================================
+// ROLLUPS
+// ============================================================================
+
+/**
+ * Count If
+ *
+ * @param {Object} condition - Aggregation expression
+ * @param {*} value - Value added when the condition holds (default: 1)
+ * @returns {Object} $sum accumulator
+ */
+function countIf(condition, value = 1) {
+  return { $sum: { $cond: [condition, value, 0] } };
+}
+
+/**
+ * Refresh Analytics Rollups
+ *
+ * Rebuilds every rollup from the registrations in one aggregation and drops
+ * rollups whose registrations no longer exist.
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of rollups written
+ */
+async function refreshAnalyticsRollups(now = new Date()) {
+  const isConfirmed = { $eq: ['$status', 'confirmed'] };
+  const wasPaid = { $in: ['$paymentStatus', ['paid', 'refunded']] };
+  const eventStarted = { $lte: ['$event.startsAt', now] };
+
+  await Registration.aggregate([
+    {
+      $lookup: {
+        from: Event.collection.name,
+        localField: 'eventId',
+        foreignField: '_id',
+        as: 'event'
+      }
+    },
+    { $unwind: '$event' },
+    {
+      $group: {
+        _id: {
+          eventId: '$eventId',
+          tier: '$pricingTier.name',
+          currency: { $ifNull: ['$currency', { $ifNull: ['$event.currency', DEFAULT_CURRENCY] }] },
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$registrationDate' } }
+        },
+        createdBy: { $first: '$event.createdBy' },
+        organizer: { $first: '$event.organizer' },
+        eventStartsAt: { $first: '$event.startsAt' },
+        registrations: { $sum: 1 },
+        attendees: { $sum: '$attendeeCount' },
+        confirmed: countIf(isConfirmed),
+        confirmedAttendees: countIf(isConfirmed, '$attendeeCount'),
+        cancelled: countIf({ $eq: ['$status', 'cancelled'] }),
+        refunded: countIf({ $eq: ['$status', 'refunded'] }),
+        payments: countIf(wasPaid),
+        grossRevenue: countIf(wasPaid, { $ifNull: ['$finalPrice', 0] }),
+        refunds: countIf(
+          { $eq: ['$refund.status', 'refunded'] },
+          {
+            $multiply: [
+              { $ifNull: ['$finalPrice', 0] },
+              { $divide: [{ $ifNull: ['$refund.refundPercentage', 100] }, 100] }
+            ]
+          }
+        ),
+        discountCost: countIf(
+          { $in: ['$status', ['confirmed', 'refunded']] },
+          {
+            $add: [
+              { $subtract: [
+                { $ifNull: ['$appliedDiscount.originalPrice', 0] },
+                { $ifNull: ['$appliedDiscount.finalPrice', { $ifNull: ['$appliedDiscount.originalPrice', 0] }] }
+              ] },
+              { $ifNull: ['$promoCode.discountAmount', 0] }
+            ]
+          }
+        ),
+        attended: countIf({ $and: [isConfirmed, eventStarted, { $ne: ['$checkInStatus', 'not-checked-in'] }] }),
+        noShows: countIf({ $and: [isConfirmed, eventStarted, { $eq: ['$checkInStatus', 'not-checked-in'] }] })
+      }
+    },
+    {
+      $project: {
+        _id: {
+          $concat: [
+            { $toString: '$_id.eventId' }, '|',
+            { $ifNull: ['$_id.tier', ''] }, '|',
+            '$_id.currency', '|',
+            '$_id.day'
+          ]
+        },
+        eventId: '$_id.eventId',
+        tier: '$_id.tier',
+        currency: '$_id.currency',
+        day: { $dateFromString: { dateString: '$_id.day' } },
+        createdBy: 1,
+        organizer: 1,
+        eventStartsAt: 1,
+        ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, 1])),
+        refreshedAt: now
+      }
+    },
+    {
+      $merge: {
+        into: EventStatsRollup.collection.name,
+        on: '_id',
+        whenMatched: 'replace',
+        whenNotMatched: 'insert'
+      }
+    }
+  ]);
+
+  await EventStatsRollup.deleteMany({ refreshedAt: { $lt: now } });
+
+  return EventStatsRollup.countDocuments({ refreshedAt: now });
+}
+
+/**
+ * Rollups Refreshed At
+ *
+ * @returns {Promise<Date|null>} When the rollups were last rebuilt
+ */
+async function rollupsRefreshedAt() {
+  const latest = await EventStatsRollup.findOne().sort({ refreshedAt: -1 }).select('refreshedAt');
+  if (latest) return latest.refreshedAt;
+
+  // No registrations yet: report the last run of the job instead
+  const lock = await JobLock.findOne({ name: 'refresh-analytics' }).select('lastRunAt');
+  return lock ? lock.lastRunAt : null;
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/**
+ * Parse Day
+ *
+ * @param {string} value - YYYY-MM-DD
+ * @returns {Date|null} UTC midnight of the day, or null if invalid
+ */
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const day = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value ? null : day;
+}
+
+/**
+ * Build Analytics Match
+ *
+ * @param {string} adminId - Admin whose events are analysed
+ * @param {Object} query - Analytics filters (see module header)
+ * @returns {Object} { match, from, to } or { error } when a filter is invalid
+ */
+function buildAnalyticsMatch(adminId, { from, to, organizer, eventId } = {}) {
+  const match = { createdBy: new mongoose.Types.ObjectId(adminId) };
+
+  const fromDay = from ? parseDay(from) : null;
+  const toDay = to ? parseDay(to) : null;
+
+  if (from && !fromDay) return { error: 'from must be a date in YYYY-MM-DD format' };
+  if (to && !toDay) return { error: 'to must be a date in YYYY-MM-DD format' };
+  if (fromDay && toDay && fromDay > toDay) return { error: 'from must not be after to' };
+
+  if (fromDay || toDay) {
+    match.day = {};
+    if (fromDay) match.day.$gte = fromDay;
+    if (toDay) match.day.$lte = toDay;
+  }
+
+  if (organizer) {
+    match.organizer = organizer;
+  }
+
+  if (eventId) {
+    if (!mongoose.Types.ObjectId.isValid(eventId)) return { error: 'Invalid eventId' };
+    match.eventId = new mongoose.Types.ObjectId(eventId);
+  }
+
+  return { match, from: fromDay, to: toDay };
+}
+
+// ============================================================================
+// FIGURES
+// ============================================================================
+
+/**
+ * Sum Counters
+ *
+ * @returns {Object} $group accumulators summing every rollup counter
+ */
+function sumCounters() {
+  return Object.fromEntries(COUNTER_FIELDS.map(field => [field, { $sum: `$${field}` }]));
+}
+
+/**
+ * Percentage
+ *
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null} Percentage with one decimal, or null when whole is 0
+ */
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Format Figures
+ *
+ * Turns summed counters into the figures the API returns.
+ *
+ * @param {Object} totals - Summed counters
+ * @param {string} currency - Currency of the money counters
+ * @returns {Object} Counts, rounded money and rates
+ */
+function formatFigures(totals, currency) {
+  return {
+    currency,
+    registrations: totals.registrations,
+    attendees: totals.attendees,
+    confirmed: totals.confirmed,
+    confirmedAttendees: totals.confirmedAttendees,
+    cancelled: totals.cancelled,
+    refunded: totals.refunded,
+    payments: totals.payments,
+    grossRevenue: roundAmount(totals.grossRevenue, currency),
+    refunds: roundAmount(totals.refunds, currency),
+    netRevenue: roundAmount(totals.grossRevenue - totals.refunds, currency),
+    discountCost: roundAmount(totals.discountCost, currency),
+    cancellationRate: percentage(totals.cancelled + totals.refunded, totals.registrations),
+    noShowRate: percentage(totals.noShows, totals.attended + totals.noShows)
+  };
+}
+
+/**
+ * Event Capacities
+ *
+ * @param {Array} eventIds - Event IDs
+ * @returns {Promise<Map>} Event ID string => { eventName, startsAt, maxAttendees }
+ */
+async function eventCapacities(eventIds) {
+  const events = await Event.find({ _id: { $in: eventIds } }).select('eventName startsAt maxAttendees');
+  return new Map(events.map(event => [event._id.toString(), event]));
+}
+
+/**
+ * Analytics Summary
+ *
+ * Totals per currency plus the overall rates and sell-through of the events
+ * with registrations in the filtered range.
+ *
+ * @param {Object} match - Match from buildAnalyticsMatch
+ * @returns {Promise<Object>} { events, registrations, attendees, cancellationRate, noShowRate, sellThrough, byCurrency }
+ */
+async function analyticsSummary(match) {
+  const [byCurrency, byEvent] = await Promise.all([
+    EventStatsRollup.aggregate([
+      { $match: match },
+      { $group: { _id: '$currency', ...sumCounters() } },
+      { $sort: { _id: 1 } }
+    ]),
+    EventStatsRollup.aggregate([
+      { $match: match },
+      { $group: { _id: '$eventId', confirmedAttendees: { $sum: '$confirmedAttendees' } } }
+    ])
+  ]);
+
+  const overall = Object.fromEntries(COUNTER_FIELDS.map(field => [field, 0]));
+  for (const totals of byCurrency) {
+    for (const field of COUNTER_FIELDS) overall[field] += totals[field];
+  }
+
+  const capacities = await eventCapacities(byEvent.map(event => event._id));
+  let seats = 0;
+  let soldSeats = 0;
+  for (const event of byEvent) {
+    const capacity = capacities.get(event._id.toString());
+    if (!capacity) continue;
+    seats += capacity.maxAttendees || 0;
+    soldSeats += event.confirmedAttendees;
+  }
+
+  return {
+    events: byEvent.length,
+    registrations: overall.registrations,
+    attendees: overall.attendees,
+    confirmedAttendees: overall.confirmedAttendees,
+    cancellationRate: percentage(overall.cancelled + overall.refunded, overall.registrations),
+    noShowRate: percentage(overall.noShows, overall.attended + overall.noShows),
+    sellThrough: percentage(soldSeats, seats),
+    byCurrency: byCurrency.map(totals => formatFigures(totals, totals._id))
+  };
+}
+
+/**
+ * Revenue Breakdown
+ *
+ * @param {Object} match - Match from buildAnalyticsMatch
+ * @param {Object} options - { groupBy: 'event' | 'tier' | 'period', period: 'day' | 'week' | 'month' }
+ * @returns {Promise<Array<Object>>} One row per group and currency
+ */
+async function revenueBreakdown(match, { groupBy = 'event', period = 'month' } = {}) {
+  const groupKeys = {
+    event: { eventId: '$eventId', currency: '$currency' },
+    tier: { eventId: '$eventId', tier: '$tier', currency: '$currency' },
+    period: { period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$day' } }, currency: '$currency' }
+  };
+
+  const groups = await EventStatsRollup.aggregate([
+    { $match: match },
+    { $group: { _id: groupKeys[groupBy], ...sumCounters() } },
+    { $sort: groupBy === 'period' ? { '_id.period': 1, '_id.currency': 1 } : { grossRevenue: -1 } }
+  ]);
+
+  if (groupBy === 'period') {
+    return groups.map(group => ({
+      period: group._id.period,
+      ...formatFigures(group, group._id.currency)
+    }));
+  }
+
+  const capacities = await eventCapacities(groups.map(group => group._id.eventId));
+  return groups.map(group => {
+    const event = capacities.get(group._id.eventId.toString());
+    const row = {
+      eventId: group._id.eventId,
+      eventName: event ? event.eventName : null,
+      startsAt: event ? event.startsAt : null
+    };
+
+    if (groupBy === 'tier') {
+      row.tier = group._id.tier;
+    } else {
+      row.maxAttendees = event ? event.maxAttendees : null;
+      row.sellThrough = event ? percentage(group.confirmedAttendees, event.maxAttendees) : null;
+    }
+
+    return { ...row, ...formatFigures(group, group._id.currency) };
+  });
+}
+
+/**
+ * Registration Time Series
+ *
+ * Daily registration counts and revenue, with a row for every day of the
+ * range (days without registrations are zero).
+ *
+ * @param {Object} match - Match from buildAnalyticsMatch (its day range is replaced)
+ * @param {Date} from - First day (UTC midnight)
+ * @param {Date} to - Last day (UTC midnight)
+ * @returns {Promise<Array<Object>>} [{ date, registrations, attendees, confirmed, cancelled, refunded, revenue: [{ currency, grossRevenue }] }]
+ */
+async function registrationTimeSeries(match, from, to) {
+  const groups = await EventStatsRollup.aggregate([
+    { $match: { ...match, day: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { day: '$day', currency: '$currency' },
+        ...sumCounters()
+      }
+    }
+  ]);
+
+  const days = new Map();
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    days.set(date, { date, registrations: 0, attendees: 0, confirmed: 0, cancelled: 0, refunded: 0, revenue: [] });
+  }
+
+  for (const group of groups) {
+    const day = days.get(group._id.day.toISOString().slice(0, 10));
+    if (!day) continue;
+
+    day.registrations += group.registrations;
+    day.attendees += group.attendees;
+    day.confirmed += group.confirmed;
+    day.cancelled += group.cancelled;
+    day.refunded += group.refunded;
+    if (group.grossRevenue > 0) {
+      day.revenue.push({
+        currency: group._id.currency,
+        grossRevenue: roundAmount(group.grossRevenue, group._id.currency)
+      });
+    }
+  }
+
+  return Array.from(days.values());
+}
+
+/**
+ * Series Range
+ *
+ * Resolves the days of a time series request.
+ *
+ * @param {Date|null} from - Requested first day
+ * @param {Date|null} to - Requested last day
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Object} { from, to } or { error } when the range is too long
+ */
+function seriesRange(from, to, now = new Date()) {
+  const today = new Date(`${now.toISOString().slice(0, 10)}T00:00:00.000Z`);
+  const last = to || (from ? new Date(Math.max(from.getTime(), today.getTime())) : today);
+  const first = from || new Date(last.getTime() - (DEFAULT_SERIES_DAYS - 1) * DAY_MS);
+
+  if ((last.getTime() - first.getTime()) / DAY_MS + 1 > MAX_SERIES_DAYS) {
+    return { error: `The time series covers at most ${MAX_SERIES_DAYS} days` };
+  }
+
+  return { from: first, to: last };
+}
+
+module.exports = {
+  ANALYTICS_REFRESH_MS,
+  PERIOD_FORMATS,
+  refreshAnalyticsRollups,
+  rollupsRefreshedAt,
+  buildAnalyticsMatch,
+  analyticsSummary,
+  revenueBreakdown,
+  registrationTimeSeries,
+  seriesRange
+};
@@ -0,0 +1,225 @@
+/**
+ * Calendar Export
+ *
+ * This module renders events as iCalendar (RFC 5545) data, so customers can
+ * add single events to their calendars or subscribe to feeds, and manages
+ * the secret tokens of personal registration feeds.
+ *
+ * Features:
+ * - VEVENTs with UTC start/end instants derived from date, eventTime and timezone
+ * - Events whose times can't be read are exported as all-day events
+ * - Cancelled events keep their UID with STATUS:CANCELLED, so subscribed
+ *   calendars drop them
+ * - One random feed token per customer, rotatable to revoke old feed URLs
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { Customer } = require('./models');
+const { computeEventSchedule } = require('./eventSchedule');
+
+const PRODUCT_ID = '-//Saath//Events//EN';
+
+// Content lines longer than this many octets are folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Escape Text
+ *
+ * @param {string} value - Text value
+ * @returns {string} Value with backslashes, separators and newlines escaped
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold Line
+ *
+ * Splits a content line into 75-octet chunks joined by CRLF and a space,
+ * without cutting multi-byte characters in half.
+ *
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let chunkOctets = 0;
+
+  for (const character of line) {
+    const octets = Buffer.byteLength(character);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (chunkOctets + octets > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkOctets = 0;
+    }
+
+    chunk += character;
+    chunkOctets += octets;
+  }
+
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format Date-Time
+ *
+ * @param {Date} date - Instant
+ * @returns {string} UTC date-time (e.g. 20240115T140000Z)
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format Date
+ *
+ * @param {Date} date - Date
+ * @returns {string} Calendar date (e.g. 20240115)
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().split('T')[0].replace(/-/g, '');
+}
+
+// ============================================================================
+// CALENDARS
+// ============================================================================
+
+/**
+ * Event Lines
+ *
+ * @param {Object} event - Event document or object
+ * @param {Date} now - Time the calendar is generated
+ * @returns {string[]} Unfolded content lines of the event's VEVENT
+ */
+function eventLines(event, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@saath`,
+    `DTSTAMP:${formatDateTime(now)}`
+  ];
+
+  const schedule = event.startsAt && event.endsAt
+    ? { startsAt: event.startsAt, endsAt: event.endsAt }
+    : computeEventSchedule(event);
+
+  if (schedule.error) {
+    const nextDay = new Date(new Date(event.date).getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(schedule.startsAt)}`);
+    lines.push(`DTEND:${formatDateTime(schedule.endsAt)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.eventName)}`);
+  if (event.place) lines.push(`LOCATION:${escapeText(event.place)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build Calendar
+ *
+ * @param {Object[]} events - Events to include
+ * @param {Object} options - { name } shown by calendar apps for feeds
+ * @returns {string} iCalendar document with CRLF line endings
+ */
+function buildCalendar(events, { name } = {}) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const event of events) {
+    lines.push(...eventLines(event, now));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Send Calendar
+ *
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar document
+ * @param {string} filename - File name offered to the client
+ */
+function sendCalendar(res, calendar, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(calendar);
+}
+
+// ============================================================================
+// FEED TOKENS
+// ============================================================================
+
+/**
+ * Get Calendar Feed Token
+ *
+ * Returns the customer's feed token, creating it on first use. The token is
+ * only ever set once, so concurrent requests agree on the same one.
+ *
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<string>} Feed token
+ */
+async function getCalendarFeedToken(customerId) {
+  await Customer.updateOne(
+    { _id: customerId, calendarFeedToken: null },
+    { $set: { calendarFeedToken: crypto.randomBytes(24).toString('hex') } }
+  );
+
+  const customer = await Customer.findById(customerId).select('+calendarFeedToken');
+  return customer.calendarFeedToken;
+}
+
+/**
+ * Rotate Calendar Feed Token
+ *
+ * Replaces the customer's feed token; subscriptions to the old URL stop working.
+ *
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<string>} New feed token
+ */
+async function rotateCalendarFeedToken(customerId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  await Customer.updateOne({ _id: customerId }, { $set: { calendarFeedToken: token } });
+  return token;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+  sendCalendar,
+  getCalendarFeedToken,
+  rotateCalendarFeedToken
+};
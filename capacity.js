@@ -0,0 +1,430 @@
+/**
+ * Event Capacity
+ *
+ * This module is the single source of truth for how many seats an event
+ * has. Capacities are set by admins; everything else is derived from the
+ * live registrations and waitlist offers holding seats.
+ *
+ * Capacity fields:
+ * - maxAttendees - Seats of the whole event (set by the admin)
+ * - pricing[].capacity - Seats of a pricing tier (set by the admin); the tier
+ *   capacities together may not exceed maxAttendees
+ *
+ * Derived fields (kept as counters so seatInventory.js can hold seats atomically):
+ * - availableSlots - maxAttendees minus all held seats
+ * - pricing[].slotsAvailable - Tier capacity minus the tier's held seats
+ * - attendees - Customers with a confirmed registration
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { Event, Registration, WaitlistEntry } = require('./models');
+const { countHeldSeats } = require('./seatInventory');
+
+// Counters changed more recently than this are left alone by a recompute, so
+// a seat hold whose registration or offer is still being written isn't undone
+const SEAT_SETTLE_MS = 60 * 1000;
+
+// Given when seats are held or released while an admin changes capacities
+const SEAT_CONFLICT_MESSAGE = 'Seats were booked or released while the event was being updated; try again shortly';
+
+/**
+ * Tier Capacity
+ *
+ * @param {Object} tier - Pricing tier
+ * @returns {number} Seats of the tier (tiers saved before capacities existed
+ *   fall back to their remaining seats)
+ */
+function tierCapacity(tier) {
+  return tier.capacity ?? tier.slotsAvailable;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Normalize Pricing Capacities
+ *
+ * Reads each tier's capacity from a create/update request. Admins send it as
+ * `capacity`; older clients send it as `slotsAvailable`.
+ *
+ * @param {Object[]} pricing - Pricing tiers from the request body
+ * @returns {Object[]} Tiers with a numeric capacity
+ */
+function normalizePricingCapacities(pricing) {
+  return pricing.map(tier => {
+    const { slotsAvailable, ...rest } = tier;
+    return { ...rest, capacity: parseInt(tier.capacity ?? slotsAvailable) };
+  });
+}
+
+/**
+ * Validate Capacity
+ *
+ * Checks an event's capacities against each other and against the seats
+ * already held on it.
+ *
+ * @param {Object} capacity - { maxAttendees, pricing } with normalized tiers
+ * @param {Object} heldSeats - { total, byTier } from countHeldSeats (default: none held)
+ * @returns {string|null} Error message, or null when the capacities are consistent
+ */
+function validateCapacity({ maxAttendees, pricing = [] }, heldSeats = { total: 0, byTier: {} }) {
+  if (!Number.isInteger(maxAttendees) || maxAttendees < 1) {
+    return 'maxAttendees must be a positive whole number';
+  }
+
+  let tierTotal = 0;
+  for (const tier of pricing) {
+    const capacity = tierCapacity(tier);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return `Pricing tier "${tier.name}" must have a capacity of at least 1`;
+    }
+
+    const held = heldSeats.byTier[tier.name] || 0;
+    if (capacity < held) {
+      return `Pricing tier "${tier.name}" cannot have fewer than the ${held} seats already held`;
+    }
+
+    tierTotal += capacity;
+  }
+
+  if (tierTotal > maxAttendees) {
+    return `Pricing tiers offer ${tierTotal} seats in total, more than maxAttendees (${maxAttendees})`;
+  }
+
+  if (maxAttendees < heldSeats.total) {
+    return `maxAttendees cannot be lower than the ${heldSeats.total} seats already held`;
+  }
+
+  return null;
+}
+
+// ============================================================================
+// DERIVED AVAILABILITY
+// ============================================================================
+
+/**
+ * Derive Availability
+ *
+ * @param {Object} event - Event document or object
+ * @param {Object} heldSeats - { total, byTier } from countHeldSeats
+ * @returns {Object} { availableSlots, pricing } with the remaining seats per tier
+ */
+function deriveAvailability(event, heldSeats) {
+  return {
+    availableSlots: Math.max(0, event.maxAttendees - heldSeats.total),
+    pricing: event.pricing.map(tier => ({
+      name: tier.name,
+      capacity: tierCapacity(tier),
+      slotsAvailable: Math.max(0, tierCapacity(tier) - (heldSeats.byTier[tier.name] || 0))
+    }))
+  };
+}
+
+/**
+ * Apply Capacity
+ *
+ * Sets an event's seat counters from its capacities and held seats. Used
+ * when an admin creates or changes capacities; the caller saves the event.
+ *
+ * @param {Object} event - Event document
+ * @param {Object} heldSeats - { total, byTier } (default: none held)
+ */
+function applyCapacity(event, heldSeats = { total: 0, byTier: {} }) {
+  const availability = deriveAvailability(event, heldSeats);
+
+  event.availableSlots = availability.availableSlots;
+  event.pricing.forEach((tier, index) => {
+    tier.capacity = availability.pricing[index].capacity;
+    tier.slotsAvailable = availability.pricing[index].slotsAvailable;
+  });
+}
+
+/**
+ * Seats Settling
+ *
+ * @param {Date|null} seatsChangedAt - When the event's seats were last held or released
+ * @returns {boolean} True if that was within SEAT_SETTLE_MS
+ */
+function seatsSettling(seatsChangedAt) {
+  return Boolean(seatsChangedAt) && Date.now() - seatsChangedAt.getTime() < SEAT_SETTLE_MS;
+}
+
+/**
+ * Apply Held Capacity
+ *
+ * Checks the capacities set on an existing event against the seats held on
+ * it and derives its seat counters from them. Like recomputeEventCapacity,
+ * the counters are only written if no seats were held or released
+ * meanwhile: the event's next save is made conditional on seatsChangedAt
+ * and fails with a DocumentNotFoundError if it moved. The event is not saved.
+ *
+ * @param {Object} event - Event document, as loaded, with its new capacities set
+ * @returns {Promise<string|null>} Error message if the capacities don't fit the held seats, or null
+ * @throws {Error} SeatConflictError if the event's seats changed within SEAT_SETTLE_MS
+ */
+async function applyHeldCapacity(event) {
+  const seatsChangedAt = event.seatsChangedAt || null;
+  if (seatsSettling(seatsChangedAt)) {
+    const error = new Error(SEAT_CONFLICT_MESSAGE);
+    error.name = 'SeatConflictError';
+    throw error;
+  }
+
+  const heldSeats = await countHeldSeats(event._id);
+  const capacityError = validateCapacity(event, heldSeats);
+  if (capacityError) return capacityError;
+
+  applyCapacity(event, heldSeats);
+  event.$where = { ...event.$where, seatsChangedAt };
+  return null;
+}
+
+/**
+ * Is Seat Conflict
+ *
+ * @param {Error} error - Error thrown while applying or saving capacities
+ * @returns {boolean} True if seats were held or released while the event was being
+ *                    updated (see applyHeldCapacity)
+ */
+function isSeatConflict(error) {
+  return error.name === 'SeatConflictError' || error.name === 'DocumentNotFoundError';
+}
+
+/**
+ * Recompute Event Capacity
+ *
+ * Rewrites an event's seat counters and attendees from the live registrations
+ * and waitlist offers. The write only happens if no seats were held or
+ * released while counting; events whose counters changed within the last
+ * SEAT_SETTLE_MS are skipped.
+ *
+ * @param {string} eventId - Event to recompute
+ * @returns {Promise<Object|null>} { event, updated, reason } or null if the event doesn't exist
+ */
+async function recomputeEventCapacity(eventId) {
+  const event = await Event.findById(eventId);
+  if (!event) return null;
+
+  const seatsChangedAt = event.seatsChangedAt || null;
+  if (seatsSettling(seatsChangedAt)) {
+    return { event, updated: false, reason: 'Seats changed moments ago; try again shortly' };
+  }
+
+  const [heldSeats, attendees] = await Promise.all([
+    countHeldSeats(event._id),
+    Registration.distinct('customerId', { eventId: event._id, status: 'confirmed' })
+  ]);
+  const availability = deriveAvailability(event, heldSeats);
+
+  const filter = { _id: event._id, seatsChangedAt };
+  const update = { availableSlots: availability.availableSlots, attendees };
+  availability.pricing.forEach((tier, index) => {
+    // Only write tiers that are still where we read them
+    filter[`pricing.${index}.name`] = tier.name;
+    update[`pricing.${index}.capacity`] = tier.capacity;
+    update[`pricing.${index}.slotsAvailable`] = tier.slotsAvailable;
+  });
+
+  const updatedEvent = await Event.findOneAndUpdate(filter, { $set: update }, { new: true });
+  if (!updatedEvent) {
+    return { event, updated: false, reason: 'Event changed while recomputing; try again' };
+  }
+
+  return { event: updatedEvent, updated: true };
+}
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Count Held Seats By Event
+ *
+ * Batch version of countHeldSeats for many events at once.
+ *
+ * @param {Array} eventIds - Events to count
+ * @returns {Promise<Map>} Event ID string to { total, byTier }
+ */
+async function countHeldSeatsByEvent(eventIds) {
+  const ids = eventIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  const [registrations, offers] = await Promise.all([
+    Registration.aggregate([
+      { $match: { eventId: { $in: ids }, status: { $in: ['pending', 'confirmed'] } } },
+      { $group: { _id: { eventId: '$eventId', tier: '$pricingTier.name' }, seats: { $sum: '$attendeeCount' } } }
+    ]),
+    WaitlistEntry.aggregate([
+      { $match: { eventId: { $in: ids }, status: 'offered' } },
+      { $group: { _id: { eventId: '$eventId', tier: '$pricingTierName' }, seats: { $sum: '$attendeeCount' } } }
+    ])
+  ]);
+
+  const heldByEvent = new Map(ids.map(id => [id.toString(), { total: 0, byTier: {} }]));
+  for (const group of [...registrations, ...offers]) {
+    const held = heldByEvent.get(group._id.eventId.toString());
+    held.byTier[group._id.tier] = (held.byTier[group._id.tier] || 0) + group.seats;
+    held.total += group.seats;
+  }
+
+  return heldByEvent;
+}
+
+/**
+ * Find Capacity Issues
+ *
+ * @param {Object} event - Event object
+ * @param {Object} heldSeats - { total, byTier } held on the event
+ * @param {number} confirmedCustomers - Customers with a confirmed registration
+ * @returns {Object[]} Issues, each { type, message, expected, actual }
+ */
+function findCapacityIssues(event, heldSeats, confirmedCustomers) {
+  const issues = [];
+  const availability = deriveAvailability(event, heldSeats);
+
+  if (event.availableSlots !== availability.availableSlots) {
+    issues.push({
+      type: 'availableSlots',
+      message: 'availableSlots does not match maxAttendees minus held seats',
+      expected: availability.availableSlots,
+      actual: event.availableSlots
+    });
+  }
+
+  event.pricing.forEach((tier, index) => {
+    const expected = availability.pricing[index];
+    if (tier.slotsAvailable !== expected.slotsAvailable) {
+      issues.push({
+        type: 'tierSlots',
+        message: `Tier "${tier.name}" slotsAvailable does not match its capacity minus held seats`,
+        expected: expected.slotsAvailable,
+        actual: tier.slotsAvailable
+      });
+    }
+  });
+
+  const tierTotal = availability.pricing.reduce((sum, tier) => sum + tier.capacity, 0);
+  if (tierTotal > event.maxAttendees) {
+    issues.push({
+      type: 'tierCapacity',
+      message: 'Pricing tier capacities add up to more than maxAttendees',
+      expected: event.maxAttendees,
+      actual: tierTotal
+    });
+  }
+
+  if (heldSeats.total > event.maxAttendees) {
+    issues.push({
+      type: 'overbooked',
+      message: 'More seats are held than maxAttendees allows',
+      expected: event.maxAttendees,
+      actual: heldSeats.total
+    });
+  }
+
+  const attendeeCount = (event.attendees || []).length;
+  if (attendeeCount !== confirmedCustomers) {
+    issues.push({
+      type: 'attendees',
+      message: 'attendees does not match the customers with confirmed registrations',
+      expected: confirmedCustomers,
+      actual: attendeeCount
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Build Reconciliation Report
+ *
+ * Compares the stored seat counters of events with what their registrations
+ * and waitlist offers say they should be.
+ *
+ * @param {Object} filter - Event query selecting the events to check
+ * @returns {Promise<Object>} { checked, mismatched, events } listing only events with issues
+ */
+async function buildReconciliationReport(filter) {
+  const events = await Event.find(filter)
+    .select('eventName date startsAt status maxAttendees availableSlots pricing attendees')
+    .sort({ startsAt: 1 })
+    .lean();
+
+  const eventIds = events.map(event => event._id);
+  const [heldByEvent, confirmed] = await Promise.all([
+    countHeldSeatsByEvent(eventIds),
+    Registration.aggregate([
+      { $match: { eventId: { $in: eventIds }, status: 'confirmed' } },
+      { $group: { _id: { eventId: '$eventId', customerId: '$customerId' } } },
+      { $group: { _id: '$_id.eventId', customers: { $sum: 1 } } }
+    ])
+  ]);
+  const confirmedByEvent = new Map(confirmed.map(group => [group._id.toString(), group.customers]));
+
+  const mismatched = [];
+  for (const event of events) {
+    const heldSeats = heldByEvent.get(event._id.toString());
+    const issues = findCapacityIssues(event, heldSeats, confirmedByEvent.get(event._id.toString()) || 0);
+    if (issues.length > 0) {
+      mismatched.push({
+        eventId: event._id,
+        eventName: event.eventName,
+        date: event.date,
+        status: event.status,
+        heldSeats,
+        issues
+      });
+    }
+  }
+
+  return {
+    checked: events.length,
+    mismatched: mismatched.length,
+    events: mismatched
+  };
+}
+
+/**
+ * Backfill Tier Capacities
+ *
+ * Gives pricing tiers saved before capacities existed a capacity: their
+ * remaining seats plus the seats already held on them.
+ *
+ * @returns {Promise<number>} Number of events updated
+ */
+async function backfillTierCapacities() {
+  let updated = 0;
+
+  const events = Event.find({ 'pricing.capacity': null, 'pricing.0': { $exists: true } }).cursor();
+  for await (const event of events) {
+    const heldSeats = await countHeldSeats(event._id);
+    const update = {};
+    event.pricing.forEach((tier, index) => {
+      if (tier.capacity == null) {
+        update[`pricing.${index}.capacity`] = tier.slotsAvailable + (heldSeats.byTier[tier.name] || 0);
+      }
+    });
+
+    await Event.updateOne({ _id: event._id }, { $set: update });
+    updated++;
+  }
+
+  return updated;
+}
+
+module.exports = {
+  SEAT_SETTLE_MS,
+  SEAT_CONFLICT_MESSAGE,
+  tierCapacity,
+  normalizePricingCapacities,
+  validateCapacity,
+  deriveAvailability,
+  applyCapacity,
+  applyHeldCapacity,
+  isSeatConflict,
+  recomputeEventCapacity,
+  buildReconciliationReport,
+  backfillTierCapacities
+};
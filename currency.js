@@ -0,0 +1,273 @@
+/**
+ * Currency
+ *
+ * This module handles event currencies: ISO-4217 validation, rounding to each
+ * currency's minor unit and conversion between currencies for price filters
+ * and summaries. Conversion uses a locally configured rate table, so it is
+ * only meant for comparing prices, never for charging.
+ *
+ * Currency of a price:
+ * - pricing[].currency - Set on a tier to price it in its own currency
+ * - currency - The event's currency, used by tiers without one
+ * - DEFAULT_CURRENCY - Events saved before currencies existed
+ *
+ * Configuration:
+ * - DEFAULT_CURRENCY - Currency of events without one (default: USD)
+ * - CURRENCY_RATES_FILE - Rate table to load (default: ./currencyRates.json)
+ *
+ * Rate table format: { "base": "USD", "rates": { "USD": 1, "INR": 83.2, ... } }
+ * where each rate is units of that currency per one unit of the base.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const rateTable = require(path.resolve(__dirname, process.env.CURRENCY_RATES_FILE || './currencyRates.json'));
+
+// ============================================================================
+// CODES AND ROUNDING
+// ============================================================================
+
+/**
+ * Is Valid Currency
+ *
+ * @param {string} code - Currency code
+ * @returns {boolean} True for an ISO-4217 code (any letter case)
+ */
+function isValidCurrency(code) {
+  return typeof code === 'string' && ISO_CURRENCIES.has(code.trim().toUpperCase());
+}
+
+/**
+ * Normalize Currency
+ *
+ * @param {string} code - Currency code as entered
+ * @returns {string} Trimmed, uppercase code
+ */
+function normalizeCurrency(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Currency Digits
+ *
+ * Number of minor-unit digits of a currency (2 for USD, 0 for JPY, 3 for BHD).
+ *
+ * @param {string} currency - ISO-4217 code
+ * @returns {number} Digits after the decimal point
+ */
+function currencyDigits(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Round Amount
+ *
+ * Rounds an amount to the smallest unit of its currency.
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO-4217 code
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount, currency) {
+  const factor = Math.pow(10, currencyDigits(currency));
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+}
+
+/**
+ * To Minor Units
+ *
+ * Converts an amount to the integer minor units payment gateways expect.
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO-4217 code
+ * @returns {number} Amount in minor units (e.g. cents)
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round(roundAmount(amount, currency) * Math.pow(10, currencyDigits(currency)));
+}
+
+// ============================================================================
+// EVENT PRICES
+// ============================================================================
+
+/**
+ * Event Currency
+ *
+ * @param {Object} event - Event document or object
+ * @returns {string} The event's currency
+ */
+function eventCurrency(event) {
+  return event.currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Tier Currency
+ *
+ * @param {Object} event - Event document or object
+ * @param {Object} tier - One of the event's pricing tiers
+ * @returns {string} The currency the tier is priced in
+ */
+function tierCurrency(event, tier) {
+  return tier.currency || eventCurrency(event);
+}
+
+/**
+ * Validate Event Currencies
+ *
+ * Checks the event currency and any tier currencies of a create or update
+ * request, and normalizes them in place.
+ *
+ * @param {Object} body - Request body with optional currency and pricing
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEventCurrencies(body) {
+  if (body.currency !== undefined) {
+    if (!isValidCurrency(body.currency)) {
+      return 'currency must be an ISO-4217 currency code (e.g. USD, INR, EUR)';
+    }
+    body.currency = normalizeCurrency(body.currency);
+  }
+
+  if (Array.isArray(body.pricing)) {
+    for (let i = 0; i < body.pricing.length; i++) {
+      const tier = body.pricing[i];
+      if (tier && tier.currency !== undefined && tier.currency !== null) {
+        if (!isValidCurrency(tier.currency)) {
+          return `Pricing item ${i + 1} currency must be an ISO-4217 currency code`;
+        }
+        tier.currency = normalizeCurrency(tier.currency);
+      }
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Has Exchange Rate
+ *
+ * @param {string} currency - ISO-4217 code
+ * @returns {boolean} True if the rate table can convert to and from the currency
+ */
+function hasExchangeRate(currency) {
+  return Boolean(rateTable.rates[normalizeCurrency(currency)]);
+}
+
+/**
+ * Convert Amount
+ *
+ * Converts an amount between currencies with the local rate table.
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert to
+ * @returns {number|null} Converted amount, or null if either rate is missing
+ */
+function convertAmount(amount, from, to) {
+  if (from === to) return amount;
+
+  const fromRate = rateTable.rates[from];
+  const toRate = rateTable.rates[to];
+  if (!fromRate || !toRate) return null;
+
+  return amount / fromRate * toRate;
+}
+
+/**
+ * Get Price Range
+ *
+ * Lowest and highest tier price of an event in one currency. Tiers whose
+ * currency can't be converted are left out.
+ *
+ * @param {Object} event - Event document or object
+ * @param {string} currency - Currency to express the range in (default: the event's)
+ * @returns {Object} { min, max, currency }
+ */
+function getPriceRange(event, currency = eventCurrency(event)) {
+  const prices = (event.pricing || [])
+    .map(tier => convertAmount(tier.price, tierCurrency(event, tier), currency))
+    .filter(price => price !== null);
+
+  if (prices.length === 0) {
+    return { min: 0, max: 0, currency };
+  }
+
+  return {
+    min: roundAmount(Math.min(...prices), currency),
+    max: roundAmount(Math.max(...prices), currency),
+    currency
+  };
+}
+
+/**
+ * Build Price Filter
+ *
+ * Builds a MongoDB condition matching events with a tier priced inside the
+ * range, with the range given in one currency and converted into every
+ * currency of the rate table.
+ *
+ * @param {Object} options - { minPrice, maxPrice, currency }
+ * @returns {Object} { filter } to add to an $and, or { error } with a message
+ */
+function buildPriceFilter({ minPrice, maxPrice, currency = DEFAULT_CURRENCY }) {
+  if (!isValidCurrency(currency)) {
+    return { error: 'currency must be an ISO-4217 currency code' };
+  }
+
+  const requested = normalizeCurrency(currency);
+  if (!hasExchangeRate(requested)) {
+    return { error: `No exchange rate configured for ${requested}` };
+  }
+
+  const min = minPrice !== undefined && minPrice !== '' ? parseFloat(minPrice) : null;
+  const max = maxPrice !== undefined && maxPrice !== '' ? parseFloat(maxPrice) : null;
+  if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) {
+    return { error: 'minPrice and maxPrice must be numbers' };
+  }
+
+  const conditions = [];
+
+  for (const rateCurrency of Object.keys(rateTable.rates)) {
+    const price = {};
+    if (min !== null) price.$gte = convertAmount(min, requested, rateCurrency);
+    if (max !== null) price.$lte = convertAmount(max, requested, rateCurrency);
+
+    // Tiers priced in this currency
+    conditions.push({ pricing: { $elemMatch: { currency: rateCurrency, price } } });
+
+    // Tiers without their own currency on events in this currency
+    conditions.push({
+      currency: rateCurrency === DEFAULT_CURRENCY ? { $in: [rateCurrency, null] } : rateCurrency,
+      pricing: { $elemMatch: { currency: null, price } }
+    });
+  }
+
+  return { filter: { $or: conditions } };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isValidCurrency,
+  normalizeCurrency,
+  currencyDigits,
+  roundAmount,
+  toMinorUnits,
+  eventCurrency,
+  tierCurrency,
+  validateEventCurrencies,
+  hasExchangeRate,
+  convertAmount,
+  getPriceRange,
+  buildPriceFilter
+};
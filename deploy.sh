@@ -65,6 +65,11 @@ NODE_ENV=production
 PORT=3000
 MONGODB_URI=mongodb://localhost:27017/saath
 JWT_SECRET=your-super-secret-jwt-key
+# Required in production: the server refuses to start without them
+PAYMENT_GATEWAY=stripe
+STRIPE_SECRET_KEY=sk_live_your_stripe_secret_key
+PAYMENT_WEBHOOK_SECRET=whsec_your_stripe_webhook_signing_secret
+TICKET_SECRET=your-long-random-ticket-signing-secret
 # Add other environment variables as needed
 EOF
     print_error "Please create a .env file with your actual environment variables."
@@ -0,0 +1,36 @@
+/**
+ * Event Audit Trail
+ *
+ * This module records changes to events that admins didn't make through a
+ * regular edit: transitions made by the scheduled lifecycle jobs and
+ * cascades such as cancelling or archiving an event with registrations.
+ *
+ * Entries are read by admins through GET /api/admin-events/:id/audit.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { EventAuditLog } = require('./models');
+
+/**
+ * Record Event Audit
+ *
+ * Stores an entry of the event audit trail. Failures are logged and
+ * swallowed so they never undo the change being recorded.
+ *
+ * @param {Object} entry - { eventId, action, from, to, actor, job, details }
+ *   where actor is 'system' (default) or the ID of the admin
+ * @returns {Promise<void>}
+ */
+async function recordEventAudit(entry) {
+  try {
+    await EventAuditLog.create({ actor: 'system', ...entry });
+  } catch (error) {
+    console.error(`Failed to record audit entry for event ${entry.eventId}:`, error.message);
+  }
+}
+
+module.exports = {
+  recordEventAudit
+};
@@ -0,0 +1,326 @@
+/**
+ * Event Cancellation
+ *
+ * This module cascades the cancellation of an event to everyone holding or
+ * waiting for a seat on it, and archives events that can't be deleted
+ * because registrations refer to them.
+ *
+ * What cancelling an event does to its registrations:
+ * - Paid registrations are refunded in full through the payment gateway; if
+ *   the gateway fails they are cancelled with a refund request left for an
+ *   admin to approve (PATCH /api/admin-registrations/:id/refund/approve)
+ * - Unpaid and free registrations are cancelled, their payment intents
+ *   voided and their promo code uses returned
+ * - Waiting and offered waitlist entries are cancelled
+ * - Every affected customer is notified with the admin's reason
+ *
+ * Each registration and waitlist entry is moved with a conditional update,
+ * so cancelling again (e.g. after a gateway outage) only picks up what is
+ * left and never refunds twice.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Event, Registration, WaitlistEntry } = require('./models');
+const { releaseSeats } = require('./seatInventory');
+const { releasePromoRedemption } = require('./promoCodes');
+const { voidPaymentIntent, refundPayment } = require('./payments');
+const { notifyCustomer } = require('./notifications');
+const { recordEventAudit } = require('./eventAudit');
+
+// Registration statuses that are affected by a cancellation
+const ACTIVE_REGISTRATION_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Reason Text
+ *
+ * @param {string} reason - Reason given by the admin
+ * @returns {string} Reason without trailing punctuation, to end a sentence with
+ */
+function reasonText(reason) {
+  return reason.trim().replace(/[.!\s]+$/, '');
+}
+
+// ============================================================================
+// REGISTRATIONS
+// ============================================================================
+
+/**
+ * Refund Registration
+ *
+ * Refunds a paid registration of a cancelled event in full.
+ *
+ * @param {Object} registration - Confirmed, paid registration
+ * @param {Object} context - { reason, adminId }
+ * @returns {Promise<string|null>} 'refunded', 'refund-failed', or null if it was handled elsewhere
+ */
+async function refundRegistration(registration, { reason, adminId }) {
+  const now = new Date();
+
+  // Claim the registration; a refund already processing or done is left alone
+  const claimed = await Registration.findOneAndUpdate(
+    {
+      _id: registration._id,
+      status: 'confirmed',
+      'refund.status': { $nin: ['processing', 'refunded'] }
+    },
+    {
+      $set: {
+        'refund.status': 'processing',
+        'refund.reason': 'Event cancelled',
+        'refund.requestedAt': (registration.refund && registration.refund.requestedAt) || now,
+        'refund.refundPercentage': 100,
+        'refund.amount': registration.payment.amount,
+        'refund.reviewedBy': adminId,
+        'refund.reviewedAt': now,
+        'refund.adminNote': reason
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await refundPayment(claimed);
+  } catch (gatewayError) {
+    console.error(`Error refunding registration ${claimed._id} of a cancelled event:`, gatewayError.message);
+  }
+
+  if (!gatewayRefund) {
+    // Cancel now and leave the refund for an admin to approve once the gateway is back
+    await Registration.updateOne(
+      { _id: claimed._id, 'refund.status': 'processing' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellationReason: 'event-cancelled',
+          'refund.status': 'requested'
+        }
+      }
+    );
+    await releaseSeats(claimed.eventId, claimed.pricingTier.name, claimed.attendeeCount);
+    return 'refund-failed';
+  }
+
+  await Registration.updateOne(
+    { _id: claimed._id, 'refund.status': 'processing' },
+    {
+      $set: {
+        status: 'refunded',
+        paymentStatus: 'refunded',
+        cancellationReason: 'event-cancelled',
+        'refund.status': 'refunded',
+        'refund.gatewayRefundId': gatewayRefund.id,
+        'refund.refundedAt': new Date()
+      }
+    }
+  );
+  await releaseSeats(claimed.eventId, claimed.pricingTier.name, claimed.attendeeCount);
+  return 'refunded';
+}
+
+/**
+ * Cancel Registration
+ *
+ * Cancels an unpaid or free registration of a cancelled event.
+ *
+ * @param {Object} registration - Pending or confirmed registration
+ * @returns {Promise<string|null>} 'cancelled', or null if it changed in the meantime
+ */
+async function cancelRegistration(registration) {
+  const cancelled = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: registration.status, paymentStatus: registration.paymentStatus },
+    {
+      $set: { status: 'cancelled', cancellationReason: 'event-cancelled' },
+      $unset: { holdExpiresAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (!cancelled) return null;
+
+  await releaseSeats(cancelled.eventId, cancelled.pricingTier.name, cancelled.attendeeCount);
+  await releasePromoRedemption(cancelled);
+  if (registration.paymentStatus === 'pending') {
+    await voidPaymentIntent(registration);
+  }
+  return 'cancelled';
+}
+
+/**
+ * Notify Registrant
+ *
+ * @param {Object} event - Cancelled event
+ * @param {Object} registration - Affected registration
+ * @param {string} outcome - 'refunded', 'refund-failed' or 'cancelled'
+ * @param {string} reason - Reason given by the admin
+ * @returns {Promise<void>}
+ */
+async function notifyRegistrant(event, registration, outcome, reason) {
+  const refundNote = {
+    'refunded': ' Your payment has been refunded in full.',
+    'refund-failed': ' Your payment will be refunded in full shortly.',
+    'cancelled': ''
+  }[outcome];
+
+  await notifyCustomer(registration.customerId, {
+    type: 'event-cancelled',
+    title: `${event.eventName} has been cancelled`,
+    message: `${event.eventName} has been cancelled: ${reasonText(reason)}.${refundNote}`,
+    data: {
+      eventId: event._id,
+      registrationId: registration._id,
+      outcome,
+      reason
+    }
+  });
+}
+
+// ============================================================================
+// CANCELLATION
+// ============================================================================
+
+/**
+ * Cancel Event Registrations
+ *
+ * Cancels or refunds every active registration and waitlist entry of an
+ * event that has been cancelled, and notifies the customers.
+ *
+ * @param {Object} event - Cancelled event document
+ * @param {Object} context - { reason, adminId }
+ * @returns {Promise<Object>} { cancelled, refunded, refundFailed, waitlistCancelled } counts
+ */
+async function cancelEventRegistrations(event, { reason, adminId }) {
+  const summary = { cancelled: 0, refunded: 0, refundFailed: 0, waitlistCancelled: 0 };
+
+  const registrations = Registration.find({
+    eventId: event._id,
+    status: { $in: ACTIVE_REGISTRATION_STATUSES }
+  }).cursor();
+
+  for await (const registration of registrations) {
+    const paid = registration.status === 'confirmed' &&
+      registration.paymentStatus === 'paid' &&
+      registration.payment && registration.payment.amount > 0;
+
+    const outcome = paid
+      ? await refundRegistration(registration, { reason, adminId })
+      : await cancelRegistration(registration);
+
+    if (!outcome) continue;
+
+    if (outcome === 'refunded') summary.refunded++;
+    else if (outcome === 'refund-failed') summary.refundFailed++;
+    else summary.cancelled++;
+
+    await notifyRegistrant(event, registration, outcome, reason);
+  }
+
+  const entries = WaitlistEntry.find({
+    eventId: event._id,
+    status: { $in: ['waiting', 'offered'] }
+  }).cursor();
+
+  for await (const entry of entries) {
+    const cancelledEntry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: entry.status },
+      { $set: { status: 'cancelled' } }
+    );
+
+    if (!cancelledEntry) continue;
+
+    // Offers hold seats; give them back so the counters stay consistent
+    if (entry.status === 'offered') {
+      await releaseSeats(entry.eventId, entry.pricingTierName, entry.attendeeCount);
+    }
+
+    await notifyCustomer(entry.customerId, {
+      type: 'event-cancelled',
+      title: `${event.eventName} has been cancelled`,
+      message: `${event.eventName} has been cancelled: ${reasonText(reason)}. You have been removed from its waitlist.`,
+      data: {
+        eventId: event._id,
+        waitlistEntryId: entry._id,
+        reason
+      }
+    });
+    summary.waitlistCancelled++;
+  }
+
+  return summary;
+}
+
+/**
+ * Cancel Event
+ *
+ * Sets an event to cancelled and cascades the cancellation. Calling it on an
+ * event that is already cancelled finishes any cascade left incomplete.
+ *
+ * @param {Object} event - Event document
+ * @param {Object} context - { reason, adminId }
+ * @returns {Promise<Object>} Cascade summary (see cancelEventRegistrations)
+ */
+async function cancelEvent(event, { reason, adminId }) {
+  const previousStatus = event.status;
+
+  if (previousStatus !== 'cancelled') {
+    event.status = 'cancelled';
+    event.cancellation = { reason, cancelledAt: new Date(), cancelledBy: adminId };
+    event.pendingChanges = null; // Staged edits never go live on a cancelled event
+    await event.save();
+  }
+
+  const summary = await cancelEventRegistrations(event, { reason, adminId });
+
+  await recordEventAudit({
+    eventId: event._id,
+    action: 'status-change',
+    from: previousStatus,
+    to: 'cancelled',
+    actor: adminId.toString(),
+    details: { reason, ...summary }
+  });
+
+  return summary;
+}
+
+/**
+ * Archive Event
+ *
+ * Soft-deletes an event: it is hidden from admin lists but kept, with its
+ * registrations, for tickets, refunds and reports. Events that haven't
+ * happened yet are cancelled first.
+ *
+ * @param {Object} event - Event document
+ * @param {Object} context - { reason, adminId }
+ * @returns {Promise<Object|null>} Cascade summary if the event was cancelled, otherwise null
+ */
+async function archiveEvent(event, { reason, adminId }) {
+  const summary = event.status === 'completed'
+    ? null
+    : await cancelEvent(event, { reason, adminId });
+
+  await Event.updateOne(
+    { _id: event._id },
+    { $set: { archivedAt: new Date(), archivedBy: adminId } }
+  );
+
+  await recordEventAudit({
+    eventId: event._id,
+    action: 'archived',
+    actor: adminId.toString(),
+    details: { reason }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  ACTIVE_REGISTRATION_STATUSES,
+  cancelEventRegistrations,
+  cancelEvent,
+  archiveEvent
+};
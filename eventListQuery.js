@@ -0,0 +1,315 @@
+/**
+ * Event List Query
+ *
+ * This module builds the paginated queries of the public, customer and admin
+ * event lists from their query parameters: the sort (from a whitelist),
+ * the page size (capped) and the page, given either as a page number or as
+ * the opaque `cursor` returned with the previous page.
+ *
+ * Lists sorted by a field continue after the last event of the previous
+ * page (sort value, then _id), so events added or removed meanwhile don't
+ * shift the next page. Lists sorted by relevance or distance, whose sort
+ * values can't be queried, continue at an offset.
+ *
+ * Query parameters:
+ * - sortBy - One of the list's sort fields, 'relevance' with a search or
+ *   'distance' with near (default: relevance when searching, else distance
+ *   with near, else date)
+ * - sortOrder - 'asc' or 'desc' (default: 'asc'; ignored by relevance and distance)
+ * - limit - Page size (default: 10, capped at 50, or 100 for admins)
+ * - page - Page number (default: 1)
+ * - cursor - nextCursor of the previous page, instead of page
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { Event } = require('./models');
+const { nearSortFilter } = require('./venues');
+
+// Sort keys and the fields they sort by; every event has these set
+const SORT_FIELDS = {
+  date: 'startsAt',
+  eventName: 'eventName',
+  createdAt: 'createdAt',
+  availableSlots: 'availableSlots',
+  updatedAt: 'updatedAt',
+  status: 'status'
+};
+
+// Type of each sort key's values, which a cursor's value must have
+const SORT_VALUE_TYPES = {
+  date: 'date',
+  eventName: 'string',
+  createdAt: 'date',
+  availableSlots: 'number',
+  updatedAt: 'date',
+  status: 'string'
+};
+
+// Sort keys each list accepts besides relevance and distance
+const PUBLIC_SORTS = ['date', 'eventName', 'createdAt', 'availableSlots'];
+const ADMIN_SORTS = [...PUBLIC_SORTS, 'updatedAt', 'status'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const ADMIN_MAX_LIMIT = 100;
+
+// ============================================================================
+// CURSORS
+// ============================================================================
+
+/**
+ * Encode Cursor
+ *
+ * @param {Object} position - Where the next page starts
+ * @returns {string} Opaque URL-safe cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode Cursor
+ *
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object|null} Position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position === 'object' && !Array.isArray(position) ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Is Valid Cursor
+ *
+ * @param {Object} cursor - Position from decodeCursor
+ * @param {string} sortKey - Resolved sort key
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {boolean} True if the cursor belongs to the sort and its values can be queried
+ */
+function isValidCursor(cursor, sortKey, sortOrder) {
+  if (!cursor || cursor.s !== sortKey || cursor.o !== sortOrder) return false;
+  if (isOffsetSort(sortKey)) return Number.isInteger(cursor.n) && cursor.n >= 0;
+
+  // Only 24-character hex strings, as sent in nextCursor
+  if (typeof cursor.id !== 'string' || !/^[0-9a-f]{24}$/i.test(cursor.id) || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+    return false;
+  }
+
+  switch (SORT_VALUE_TYPES[sortKey]) {
+    case 'date':
+      return cursor.d === true && typeof cursor.v === 'string' && !Number.isNaN(Date.parse(cursor.v));
+    case 'number':
+      return cursor.d === false && typeof cursor.v === 'number' && Number.isFinite(cursor.v);
+    case 'string':
+      return cursor.d === false && typeof cursor.v === 'string';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Is Offset Sort
+ *
+ * @param {string} sortKey - Resolved sort key
+ * @returns {boolean} True if pages continue at an offset rather than after the last event
+ */
+function isOffsetSort(sortKey) {
+  return sortKey === 'relevance' || sortKey === 'distance';
+}
+
+// ============================================================================
+// LIST OPTIONS
+// ============================================================================
+
+/**
+ * Parse List Options
+ *
+ * @param {Object} query - Request query parameters
+ * @param {Object} options - { sorts, maxLimit, eventSearch, near } where sorts are the list's
+ *                           SORT_FIELDS keys (default: PUBLIC_SORTS), eventSearch comes from
+ *                           resolveEventSearch and near from parseNearQuery
+ * @returns {Object} { list } for listQuery and listPage, or { error } with a message
+ */
+function parseListOptions(query, { sorts = PUBLIC_SORTS, maxLimit = MAX_LIMIT, eventSearch = null, near = null } = {}) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a whole number of at least 1' };
+  }
+
+  if (query.cursor !== undefined && query.page !== undefined) {
+    return { error: 'Use either page or cursor, not both' };
+  }
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a whole number of at least 1' };
+  }
+
+  const { sortBy, sortOrder = 'asc' } = query;
+  if (sortBy !== undefined && !sorts.includes(sortBy) && sortBy !== 'relevance' && sortBy !== 'distance') {
+    return { error: `sortBy must be one of: ${[...sorts, 'relevance', 'distance'].join(', ')}` };
+  }
+  if (sortBy === 'relevance' && !eventSearch) {
+    return { error: 'sortBy=relevance needs search' };
+  }
+  if (sortBy === 'distance' && !near) {
+    return { error: 'sortBy=distance needs near=lat,lng' };
+  }
+  if (sortBy === 'distance' && eventSearch) {
+    return { error: 'sortBy=distance can\'t be combined with search' };
+  }
+  if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+
+  let sortKey = sortBy || (eventSearch ? 'relevance' : near ? 'distance' : 'date');
+  // Typo-tolerant searches have no relevance score
+  if (sortKey === 'relevance' && eventSearch.mode !== 'text') sortKey = 'date';
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!isValidCursor(cursor, sortKey, sortOrder)) {
+      return { error: 'Invalid cursor; it must come from a page with the same search, filters and sort' };
+    }
+  }
+
+  return {
+    list: {
+      sortKey,
+      sortOrder,
+      limit: Math.min(limit, maxLimit),
+      page,
+      cursor,
+      eventSearch,
+      near
+    }
+  };
+}
+
+// ============================================================================
+// QUERYING
+// ============================================================================
+
+/**
+ * List Query
+ *
+ * Builds the query for a page of events, fetching one event more than the
+ * page size to know if there is a next page. Callers may populate and
+ * select further fields.
+ *
+ * @param {Object} list - From parseListOptions
+ * @param {Object} filter - Query of the list's filters (including any search filter)
+ * @returns {Object} Mongoose query
+ */
+function listQuery(list, filter) {
+  const { sortKey, sortOrder, limit, page, cursor, eventSearch, near } = list;
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const offset = cursor ? cursor.n : (page - 1) * limit;
+
+  let query;
+  if (sortKey === 'distance') {
+    // The distance query sorts nearest first by itself
+    query = Event.find({ ...filter, ...nearSortFilter(near) }).skip(offset);
+  } else if (sortKey === 'relevance') {
+    query = Event.find(filter)
+      .sort({ ...eventSearch.sort, startsAt: 1, _id: 1 })
+      .skip(offset);
+  } else {
+    const field = SORT_FIELDS[sortKey];
+    const after = cursor && afterCursorFilter(field, direction, cursor);
+
+    query = Event.find(after ? { ...filter, $and: [...(filter.$and || []), after] } : filter)
+      .sort({ [field]: direction, _id: direction });
+    if (!cursor) query.skip(offset);
+  }
+
+  // The search score has to be selected before any fields are excluded
+  return query
+    .limit(limit + 1)
+    .select(eventSearch ? eventSearch.projection : {});
+}
+
+/**
+ * After Cursor Filter
+ *
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 or -1
+ * @param {Object} cursor - { v, d, id } of the previous page's last event
+ * @returns {Object} Query matching the events after it in the sort order
+ */
+function afterCursorFilter(field, direction, cursor) {
+  const value = cursor.d ? new Date(cursor.v) : cursor.v;
+  const id = new mongoose.Types.ObjectId(String(cursor.id));
+  const beyond = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      { [field]: value, _id: { [beyond]: id } }
+    ]
+  };
+}
+
+/**
+ * List Page
+ *
+ * @param {Object} list - From parseListOptions
+ * @param {Array<Object>} events - Result of listQuery
+ * @param {number} total - Number of events matching the filters
+ * @returns {Object} { events } of the page and its { pagination }, with nextCursor
+ *                   set when there is a next page
+ */
+function listPage(list, events, total) {
+  const { sortKey, sortOrder, limit, page, cursor } = list;
+  const pageEvents = events.slice(0, limit);
+  const hasMore = events.length > limit;
+
+  let nextCursor = null;
+  if (hasMore) {
+    if (isOffsetSort(sortKey)) {
+      const offset = cursor ? cursor.n : (page - 1) * limit;
+      nextCursor = encodeCursor({ s: sortKey, o: sortOrder, n: offset + pageEvents.length });
+    } else {
+      const last = pageEvents[pageEvents.length - 1];
+      const value = last.get ? last.get(SORT_FIELDS[sortKey]) : last[SORT_FIELDS[sortKey]];
+      nextCursor = encodeCursor({
+        s: sortKey,
+        o: sortOrder,
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        id: String(last._id)
+      });
+    }
+  }
+
+  return {
+    events: pageEvents,
+    pagination: {
+      currentPage: cursor ? undefined : page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit,
+      sortBy: sortKey,
+      hasMore,
+      nextCursor
+    }
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  PUBLIC_SORTS,
+  ADMIN_SORTS,
+  MAX_LIMIT,
+  ADMIN_MAX_LIMIT,
+  parseListOptions,
+  listQuery,
+  listPage
+};
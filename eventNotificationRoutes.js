@@ -0,0 +1,143 @@
+/**
+ * Event Notification Routes
+ *
+ * This module lets customers read and manage their in-app notifications.
+ *
+ * Features:
+ * - Paginated notification list with unread count
+ * - Mark notifications as read
+ * - Delete notifications
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import database models
+const { Notification } = require('./models');
+const customerAuth = require('./middleware/customerAuth');
+
+// ============================================================================
+// NOTIFICATION ROUTES
+// ============================================================================
+
+/**
+ * Get Customer's Notifications
+ * GET /api/event-notifications/my-notifications
+ *
+ * Retrieves the authenticated customer's notifications, newest first.
+ *
+ * Query Parameters:
+ * @param {boolean} unread - Only return unread notifications (optional)
+ * @param {number} page - Page number for pagination (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ *
+ * @returns {Object} Paginated notifications and the unread count
+ */
+router.get('/my-notifications', customerAuth, async (req, res) => {
+    try {
+        const { unread, page = 1, limit = 20 } = req.query;
+
+        const filter = { recipient: req.customer._id };
+        if (unread === 'true') filter.read = false;
+
+        const notifications = await Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit));
+
+        const total = await Notification.countDocuments(filter);
+        const unreadCount = await Notification.countDocuments({ recipient: req.customer._id, read: false });
+
+        res.json({
+            success: true,
+            data: notifications,
+            unreadCount,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notifications',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Mark Notification as Read
+ * PATCH /api/event-notifications/:id/read
+ *
+ * @param {string} id - Notification ID
+ * @returns {Object} Updated notification
+ */
+router.patch('/:id/read', customerAuth, async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, recipient: req.customer._id },
+            { $set: { read: true } },
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: notification
+        });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Delete Notification
+ * DELETE /api/event-notifications/:id
+ *
+ * @param {string} id - Notification ID
+ * @returns {Object} Success message
+ */
+router.delete('/:id', customerAuth, async (req, res) => {
+    try {
+        const result = await Notification.deleteOne({ _id: req.params.id, recipient: req.customer._id });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting notification:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete notification',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
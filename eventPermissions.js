@@ -0,0 +1,128 @@
+/**
+ * Event Permissions
+ *
+ * This module decides what an admin may do with an event. The admin who
+ * created an event owns it and manages its collaborators; collaborators are
+ * other admins with one of these roles:
+ *
+ * - editor - Edits the event, changes its status, handles refunds, messages
+ *   registrants and checks attendees in
+ * - check-in-staff - Sees the roster and checks attendees in
+ * - viewer - Sees the event's roster, exports and audit trail
+ *
+ * Only the owner can delete or archive an event and manage collaborators.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+// Roles the owner can give collaborators
+const COLLABORATOR_ROLES = ['editor', 'check-in-staff', 'viewer'];
+
+// Roles allowed each permission
+const EVENT_PERMISSIONS = {
+  view: ['owner', 'editor', 'check-in-staff', 'viewer'],
+  edit: ['owner', 'editor'],
+  status: ['owner', 'editor'],
+  delete: ['owner'],
+  roster: ['owner', 'editor', 'check-in-staff', 'viewer'],
+  message: ['owner', 'editor'],
+  checkIn: ['owner', 'editor', 'check-in-staff'],
+  refunds: ['owner', 'editor'],
+  collaborators: ['owner']
+};
+
+// What each permission lets an admin do, for error messages
+const PERMISSION_DESCRIPTIONS = {
+  view: 'view this event',
+  edit: 'edit this event',
+  status: 'change the status of this event',
+  delete: 'delete this event',
+  roster: 'view the registrations of this event',
+  message: 'message the registrants of this event',
+  checkIn: 'check in attendees for this event',
+  refunds: 'manage refunds for this event',
+  collaborators: 'manage the collaborators of this event'
+};
+
+/**
+ * Event Role
+ *
+ * @param {Object} event - Event with createdBy and collaborators
+ * @param {string} adminId - Admin ID
+ * @returns {string|null} 'owner', a collaborator role, or null if the admin has no role
+ */
+function eventRole(event, adminId) {
+  const id = adminId.toString();
+
+  // createdBy may be populated
+  const owner = event.createdBy && (event.createdBy._id || event.createdBy);
+  if (owner && owner.toString() === id) return 'owner';
+
+  const collaborator = (event.collaborators || []).find(entry => entry.adminId && entry.adminId.toString() === id);
+  return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Can Access Event
+ *
+ * @param {Object} event - Event with createdBy and collaborators
+ * @param {string} adminId - Admin ID
+ * @param {string} permission - Key of EVENT_PERMISSIONS
+ * @returns {boolean} True if the admin's role on the event allows the permission
+ */
+function canAccessEvent(event, adminId, permission) {
+  const role = eventRole(event, adminId);
+  return Boolean(role) && EVENT_PERMISSIONS[permission].includes(role);
+}
+
+/**
+ * Role Permissions
+ *
+ * @param {string|null} role - Role from eventRole
+ * @returns {string[]} Permissions the role has
+ */
+function rolePermissions(role) {
+  return Object.keys(EVENT_PERMISSIONS).filter(permission => EVENT_PERMISSIONS[permission].includes(role));
+}
+
+/**
+ * Accessible Events Filter
+ *
+ * @param {string} adminId - Admin ID
+ * @param {string} permission - Key of EVENT_PERMISSIONS
+ * @returns {Object} Event query matching the events the admin has the permission on
+ */
+function accessibleEventsFilter(adminId, permission) {
+  const id = new mongoose.Types.ObjectId(adminId.toString());
+  const roles = EVENT_PERMISSIONS[permission].filter(role => role !== 'owner');
+
+  return {
+    $or: [
+      { createdBy: id },
+      { collaborators: { $elemMatch: { adminId: id, role: { $in: roles } } } }
+    ]
+  };
+}
+
+/**
+ * Access Denied Message
+ *
+ * @param {string} permission - Key of EVENT_PERMISSIONS
+ * @returns {string} Message for a 403 response
+ */
+function accessDeniedMessage(permission) {
+  return `Not authorized to ${PERMISSION_DESCRIPTIONS[permission]}`;
+}
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  EVENT_PERMISSIONS,
+  eventRole,
+  canAccessEvent,
+  rolePermissions,
+  accessibleEventsFilter,
+  accessDeniedMessage
+};
@@ -7,9 +7,13 @@
  * 
  * Features:
  * - Customer event registration with pricing tiers
- * - Registration management (view, cancel)
+ * - Registration management (view, cancel, hide from connections)
+ * - Refund requests for paid registrations
+ * - Claiming seats offered from the waitlist
+ * - Signed QR-code tickets for confirmed registrations
  * - Attendee check-in system
  * - Discount application for group registrations
+ * - Promo codes, stacked with group discounts when the code allows it
  * - Slot availability management
  * 
  * @author Saath Team
@@ -19,183 +23,93 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Import database models
-const { Event, Customer } = require('./models');
+const { Event, Customer, Registration, WaitlistEntry } = require('./models');
+const { REGISTRABLE_STATUSES, reserveSeats, releaseSeats, markSeatsChanging } = require('./seatInventory');
+const { openPaymentIntent, voidPaymentIntent, quoteRefund } = require('./payments');
+const { getTicketToken, renderTicketQr, checkInAttendees } = require('./tickets');
+const { claimWaitlistOffer, reopenWaitlistOffer } = require('./waitlist');
+const {
+    findApplicablePromoCode,
+    calculatePromoDiscount,
+    redeemPromoCode,
+    releasePromoRedemption
+} = require('./promoCodes');
+const { tierCurrency, roundAmount } = require('./currency');
+const { registrationDeadline } = require('./eventSchedule');
+const { canAccessEvent, accessDeniedMessage } = require('./eventPermissions');
+const { getCalendarFeedToken, rotateCalendarFeedToken } = require('./calendar');
+const adminAuth = require('./middleware/adminAuth');
+const customerAuth = require('./middleware/customerAuth');
 
 // ============================================================================
-// CUSTOMER AUTHENTICATION MIDDLEWARE
+// HELPERS
 // ============================================================================
 
 /**
- * Customer Authentication Middleware
+ * Build Attendee List
  * 
- * Validates JWT tokens for customer authentication.
- * Extracts customer information and attaches it to the request object.
+ * Validates the attendees named by the buyer. When no list is given, a
+ * single-seat registration defaults to the buyer as the only attendee.
  * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- * @returns {void}
+ * @param {Array} attendees - Attendees from the request body (optional)
+ * @param {number} attendeeCount - Requested number of attendees
+ * @param {Object} customer - Authenticated customer making the booking
+ * @returns {Promise<Object>} { attendees } or { error } with a message
  */
-const customerAuth = async (req, res, next) => {
-    const requestId = Math.random().toString(36).substring(2, 8);
-    
-    try {
-        // Extract authorization header
-        const authHeader = req.header('Authorization');
-        
-        if (!authHeader) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'No token provided'
-            });
+const buildAttendeeList = async (attendees, attendeeCount, customer) => {
+    if (attendees === undefined) {
+        if (attendeeCount > 1) {
+            return { error: 'Group registrations must list each attendee' };
         }
 
-        if (!authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Invalid token format'
-            });
-        }
+        return {
+            attendees: [{
+                name: customer.name || customer.phone || 'Guest',
+                phone: customer.phone,
+                email: customer.email,
+                customerId: customer._id
+            }]
+        };
+    }
 
-        const token = authHeader.replace('Bearer ', '').trim();
-        
-        try {
-            // Verify JWT token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-            
-            // Extract customer ID from various possible token structures
-            const customerId = decoded._id || 
-                              (decoded.customer && decoded.customer.id) || 
-                              decoded.id || 
-                              (decoded.customer && decoded.customer._id) ||
-                              decoded.customerId;
-
-            if (!customerId) {
-                return res.status(401).json({ 
-                    success: false, 
-                    message: 'Customer not found' 
-                });
-            }
-            
-            // Find customer by ID
-            const customer = await Customer.findById(customerId);
-            if (!customer) {
-                return res.status(401).json({ 
-                    success: false, 
-                    message: 'Customer not found' 
-                });
-            }
-            
-            // Attach customer to request
-            req.customer = customer;
-            req.requestId = requestId;
-            
-            next();
-        } catch (error) {
-            const errorMessage = error.name === 'TokenExpiredError' 
-                ? 'Token has expired' 
-                : 'Invalid token';
-            
-            return res.status(401).json({ 
-                success: false, 
-                message: errorMessage
-            });
-        }
-    } catch (err) {
-        console.error('Unexpected error in customer auth middleware:', err.message);
-        
-        res.status(500).json({
-            success: false,
-            message: 'Authentication failed',
-            error: process.env.NODE_ENV === 'development' ? err.message : undefined,
-            requestId: requestId || 'unknown',
-            timestamp: new Date().toISOString()
-        });
+    if (!Array.isArray(attendees) || attendees.length === 0) {
+        return { error: 'attendees must be a non-empty array' };
     }
-};
 
-// ============================================================================
-// REGISTRATION MODEL
-// ============================================================================
+    if (attendees.length !== attendeeCount) {
+        return { error: `attendeeCount (${attendeeCount}) does not match the ${attendees.length} attendees listed` };
+    }
 
-/**
- * Registration Schema
- * 
- * Defines the structure for event registrations with comprehensive
- * tracking of pricing, discounts, payment status, and check-in information.
- * 
- * @field eventId - Reference to the event
- * @field customerId - Reference to the customer
- * @field pricingTier - Selected pricing tier details
- * @field attendeeCount - Number of attendees
- * @field appliedDiscount - Applied discount information
- * @field registrationDate - Registration timestamp
- * @field status - Registration status (pending/confirmed/cancelled/refunded)
- * @field paymentStatus - Payment status (pending/paid/failed/refunded)
- * @field specialRequests - Customer special requests
- * @field checkInStatus - Check-in status (not-checked-in/checked-in)
- * @field checkInTime - Check-in timestamp
- */
-const registrationSchema = new mongoose.Schema({
-    eventId: { 
-        type: mongoose.Schema.Types.ObjectId, 
-        ref: 'Event', 
-        required: true 
-    },
-    customerId: { 
-        type: mongoose.Schema.Types.ObjectId, 
-        ref: 'Customer', 
-        required: true 
-    },
-    pricingTier: {
-        name: { type: String, required: true },
-        price: { type: Number, required: true },
-        description: { type: String }
-    },
-    attendeeCount: { 
-        type: Number, 
-        required: true, 
-        default: 1,
-        min: 1 
-    },
-    appliedDiscount: {
-        name: { type: String },
-        percentageDiscount: { type: Number },
-        originalPrice: { type: Number },
-        finalPrice: { type: Number }
-    },
-    registrationDate: { 
-        type: Date, 
-        default: Date.now 
-    },
-    status: { 
-        type: String, 
-        enum: ['pending', 'confirmed', 'cancelled', 'refunded'],
-        default: 'pending'
-    },
-    paymentStatus: { 
-        type: String, 
-        enum: ['pending', 'paid', 'failed', 'refunded'],
-        default: 'pending'
-    },
-    specialRequests: { 
-        type: String 
-    },
-    checkInStatus: { 
-        type: String, 
-        enum: ['not-checked-in', 'checked-in'],
-        default: 'not-checked-in'
-    },
-    checkInTime: { 
-        type: Date 
+    for (let i = 0; i < attendees.length; i++) {
+        const attendee = attendees[i];
+        if (!attendee || !attendee.name || (!attendee.phone && !attendee.email)) {
+            return { error: `Attendee ${i + 1} must have a name and a phone or email` };
+        }
+        if (attendee.customerId && !mongoose.Types.ObjectId.isValid(attendee.customerId)) {
+            return { error: `Attendee ${i + 1} has an invalid customerId` };
+        }
+    }
+
+    // Linked customer accounts must exist
+    const linkedIds = attendees.filter(a => a.customerId).map(a => a.customerId.toString());
+    if (linkedIds.length > 0) {
+        const found = await Customer.countDocuments({ _id: { $in: [...new Set(linkedIds)] } });
+        if (found !== new Set(linkedIds).size) {
+            return { error: 'One or more attendee customer accounts were not found' };
+        }
     }
-});
 
-// Create Registration model
-const Registration = mongoose.models.Registration || mongoose.model('Registration', registrationSchema);
+    return {
+        attendees: attendees.map(attendee => ({
+            name: attendee.name,
+            phone: attendee.phone,
+            email: attendee.email,
+            customerId: attendee.customerId
+        }))
+    };
+};
 
 // ============================================================================
 // DEBUG ROUTES
@@ -231,23 +145,43 @@ router.post('/debug', customerAuth, async (req, res) => {
  * 
  * Creates a new event registration for the authenticated customer.
  * Handles pricing tier selection, discount application, and slot management.
+ * Group bookings list every attendee, and a group discount is only applied
+ * when the group is at least the discount's totalMembersNeeded.
+ * A promo code is applied after any group discount; codes that are not
+ * stackable are rejected when a group discount is also requested.
+ * Seats are held atomically before the registration is saved; if the hold
+ * fails (sold out in the meantime) nothing is saved.
+ * Paid registrations stay pending until the payment webhook confirms them
+ * and release their seats if unpaid when the hold window expires.
+ * Registering with a waitlistEntryId claims the seats held by that waitlist
+ * offer instead of taking new ones. Sold-out responses carry
+ * `canJoinWaitlist: true`.
+ * With hideAttendance the registration isn't shown to the customer's
+ * connections on the event page.
  * 
  * @param {string} eventId - Event ID to register for
  * @param {string} pricingTierName - Name of the pricing tier
- * @param {number} attendeeCount - Number of attendees (default: 1)
+ * @param {number} attendeeCount - Number of attendees (default: attendees.length or 1)
+ * @param {Array} attendees - Attendees with name, phone/email and optional customerId (required for groups)
  * @param {string} appliedDiscountName - Name of discount to apply (optional)
+ * @param {string} promoCode - Promo code to redeem (optional)
  * @param {string} specialRequests - Special requests from customer (optional)
- * @returns {Object} Registration details
+ * @param {string} waitlistEntryId - Waitlist offer to claim (optional)
+ * @param {boolean} hideAttendance - Hide the registration from the customer's connections (default: false)
+ * @returns {Object} Registration details and payment intent (if payment is due)
  */
 router.post('/', customerAuth, async (req, res) => {
     try {
         const {
             eventId,
             pricingTierName,
-            attendeeCount = 1, // Default to 1 if not provided
             appliedDiscountName,
-            specialRequests
+            specialRequests,
+            waitlistEntryId,
+            promoCode
         } = req.body;
+        // Default to the number of listed attendees, or 1 if neither is provided
+        const attendeeCount = Number(req.body.attendeeCount ?? (Array.isArray(req.body.attendees) ? req.body.attendees.length : 1));
 
         // Validate required fields
         if (!eventId || !pricingTierName) {
@@ -257,10 +191,32 @@ router.post('/', customerAuth, async (req, res) => {
             });
         }
 
+        if (!Number.isInteger(attendeeCount) || attendeeCount < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'attendeeCount must be a positive whole number'
+            });
+        }
+
+        if (req.body.hideAttendance !== undefined && typeof req.body.hideAttendance !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'hideAttendance must be true or false'
+            });
+        }
+
+        const attendeeList = await buildAttendeeList(req.body.attendees, attendeeCount, req.customer);
+        if (attendeeList.error) {
+            return res.status(400).json({
+                success: false,
+                message: attendeeList.error
+            });
+        }
+
         // Check if event exists and is available for registration
         const event = await Event.findOne({ 
             _id: eventId, 
-            status: { $in: ['published', 'draft'] } // Allow draft events for development
+            status: { $in: REGISTRABLE_STATUSES }
         });
 
         if (!event) {
@@ -270,11 +226,11 @@ router.post('/', customerAuth, async (req, res) => {
             });
         }
 
-        // Check if event date is in the future
-        if (new Date(event.date) <= new Date()) {
+        // Registration closes registrationCutoffMinutes before the event starts
+        if (event.registrationClosedAt || registrationDeadline(event) <= new Date()) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot register for past events'
+                message: 'Registration for this event has closed'
             });
         }
 
@@ -287,11 +243,41 @@ router.post('/', customerAuth, async (req, res) => {
             });
         }
 
-        // Check if slots are available for the requested number of attendees
-        if (pricingTier.slotsAvailable < attendeeCount) {
+        // A waitlist offer already holds seats for this customer
+        let waitlistEntry = null;
+        if (waitlistEntryId) {
+            if (mongoose.Types.ObjectId.isValid(waitlistEntryId)) {
+                waitlistEntry = await WaitlistEntry.findOne({ _id: waitlistEntryId, customerId: req.customer._id });
+            }
+
+            if (!waitlistEntry ||
+                waitlistEntry.eventId.toString() !== event._id.toString() ||
+                waitlistEntry.pricingTierName !== pricingTier.name) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid waitlist offer'
+                });
+            }
+
+            if (waitlistEntry.status !== 'offered' || waitlistEntry.offerExpiresAt <= new Date()) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This waitlist offer is no longer available'
+                });
+            }
+
+            if (attendeeCount !== waitlistEntry.attendeeCount) {
+                return res.status(400).json({
+                    success: false,
+                    message: `This waitlist offer is for ${waitlistEntry.attendeeCount} attendee(s)`
+                });
+            }
+        } else if (pricingTier.slotsAvailable < attendeeCount) {
+            // Fail fast on an obviously sold-out tier; the authoritative check is the seat hold below
             return res.status(400).json({
                 success: false,
-                message: `Only ${pricingTier.slotsAvailable} slots available, but ${attendeeCount} requested`
+                message: `Only ${pricingTier.slotsAvailable} slots available, but ${attendeeCount} requested`,
+                canJoinWaitlist: true
             });
         }
 
@@ -309,20 +295,78 @@ router.post('/', customerAuth, async (req, res) => {
             });
         }
 
-        // Calculate pricing with discount for multiple attendees
-        let finalPrice = pricingTier.price * attendeeCount;
+        // Calculate pricing with discount for multiple attendees, rounded to the tier currency's minor unit
+        const currency = tierCurrency(event, pricingTier);
+        let finalPrice = roundAmount(pricingTier.price * attendeeCount, currency);
         let appliedDiscount = null;
 
         if (appliedDiscountName) {
             const discountOption = event.discountOptions.find(discount => discount.name === appliedDiscountName);
-            if (discountOption) {
-                appliedDiscount = {
-                    name: discountOption.name,
-                    percentageDiscount: discountOption.percentageDiscount,
-                    originalPrice: pricingTier.price * attendeeCount,
-                    finalPrice: (pricingTier.price * attendeeCount) * (1 - discountOption.percentageDiscount / 100)
-                };
-                finalPrice = appliedDiscount.finalPrice;
+            if (!discountOption) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid discount option'
+                });
+            }
+
+            if (attendeeCount < discountOption.totalMembersNeeded) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${discountOption.name} requires at least ${discountOption.totalMembersNeeded} attendees, but ${attendeeCount} listed`
+                });
+            }
+
+            appliedDiscount = {
+                name: discountOption.name,
+                percentageDiscount: discountOption.percentageDiscount,
+                originalPrice: finalPrice,
+                finalPrice: roundAmount(finalPrice * (1 - discountOption.percentageDiscount / 100), currency)
+            };
+            finalPrice = appliedDiscount.finalPrice;
+        }
+
+        // Apply the promo code to the price after any group discount
+        let promoRedemption = null;
+        if (promoCode) {
+            const applicable = await findApplicablePromoCode({
+                code: promoCode,
+                event,
+                pricingTier,
+                customerId: req.customer._id,
+                currency
+            });
+
+            if (applicable.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: applicable.error
+                });
+            }
+
+            if (appliedDiscount && !applicable.promoCode.stackable) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Promo code ${applicable.promoCode.code} cannot be combined with group discounts`
+                });
+            }
+
+            const discountAmount = calculatePromoDiscount(applicable.promoCode, finalPrice, currency);
+            promoRedemption = {
+                codeId: applicable.promoCode._id,
+                code: applicable.promoCode.code,
+                discountType: applicable.promoCode.discountType,
+                value: applicable.promoCode.value,
+                discountAmount,
+                redeemedAt: new Date()
+            };
+            finalPrice = roundAmount(finalPrice - discountAmount, currency);
+
+            // Count the redemption now; every rollback below gives it back
+            if (!(await redeemPromoCode(applicable.promoCode._id))) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Promo code has reached its usage limit'
+                });
             }
         }
 
@@ -333,27 +377,100 @@ router.post('/', customerAuth, async (req, res) => {
             pricingTier: {
                 name: pricingTier.name,
                 price: pricingTier.price,
+                currency,
                 description: pricingTier.description
             },
+            currency,
             appliedDiscount,
+            promoCode: promoRedemption,
             specialRequests,
             finalPrice,
-            attendeeCount
+            attendeeCount,
+            attendees: attendeeList.attendees,
+            hideAttendance: req.body.hideAttendance === true
         });
 
-        await registration.save();
+        // Hold the seats before the registration exists, so a capacity recompute
+        // never counts the registration and the hold separately; both mark the
+        // seats as changing, which keeps a recompute away until the save is done
+        if (waitlistEntry) {
+            // Take over the seats held by the offer
+            await markSeatsChanging(event._id);
+            const claimedEntry = await claimWaitlistOffer(waitlistEntry._id, req.customer._id, registration._id);
+            if (!claimedEntry) {
+                await releasePromoRedemption(registration);
+
+                return res.status(409).json({
+                    success: false,
+                    message: 'This waitlist offer is no longer available'
+                });
+            }
+        } else {
+            const heldEvent = await reserveSeats(event._id, pricingTier.name, attendeeCount);
+            if (!heldEvent) {
+                await releasePromoRedemption(registration);
+
+                const latestEvent = await Event.findById(event._id);
+                const latestTier = latestEvent && latestEvent.pricing.find(tier => tier.name === pricingTier.name);
+                const remaining = latestTier ? Math.min(latestTier.slotsAvailable, latestEvent.availableSlots) : 0;
+
+                return res.status(409).json({
+                    success: false,
+                    message: `Only ${Math.max(0, remaining)} slots available, but ${attendeeCount} requested`,
+                    canJoinWaitlist: true
+                });
+            }
+        }
+
+        try {
+            await registration.save();
+        } catch (saveError) {
+            // The registration was never created, so give back its seats and promo code use
+            if (waitlistEntry) {
+                await reopenWaitlistOffer(waitlistEntry._id, registration._id);
+            } else {
+                await releaseSeats(event._id, pricingTier.name, attendeeCount);
+            }
+            await releasePromoRedemption(registration);
+            throw saveError;
+        }
+
+        // Paid registrations wait for the gateway; free ones are confirmed straight away
+        let payment = null;
+        if (finalPrice > 0) {
+            try {
+                payment = await openPaymentIntent(registration);
+            } catch (paymentError) {
+                console.error('Error opening payment intent:', paymentError);
+                if (waitlistEntry) {
+                    // Keep the seats held for the customer until the offer expires
+                    await markSeatsChanging(event._id);
+                    await reopenWaitlistOffer(waitlistEntry._id, registration._id);
+                } else {
+                    await releaseSeats(event._id, pricingTier.name, attendeeCount);
+                }
+                await Registration.deleteOne({ _id: registration._id });
+                await releasePromoRedemption(registration);
 
-        // Update event slots
-        pricingTier.slotsAvailable -= attendeeCount;
-        await event.save();
+                return res.status(502).json({
+                    success: false,
+                    message: 'Payment gateway unavailable. Please try again.'
+                });
+            }
+        } else {
+            registration.status = 'confirmed';
+            registration.paymentStatus = 'paid';
+            await registration.save();
+        }
 
         // Populate event details
         await registration.populate('eventId', 'eventName date place organizer');
 
         res.status(201).json({
             success: true,
-            message: 'Registration successful',
-            data: registration
+            message: payment ? 'Registration pending payment' : 'Registration successful',
+            data: registration,
+            payment
         });
     } catch (error) {
         console.error('Error creating registration:', error);
@@ -413,6 +530,69 @@ router.get('/my-registrations', customerAuth, async (req, res) => {
     }
 });
 
+/**
+ * Get Registrations Calendar Feed
+ * GET /api/event-registrations/my-registrations/calendar-feed
+ * 
+ * Returns the URL of the authenticated customer's personal iCal feed of
+ * confirmed registrations, for subscribing from a calendar app. Anyone with
+ * the URL can read the feed, so it should be kept private.
+ * 
+ * @returns {Object} Feed URL (https and webcal)
+ */
+router.get('/my-registrations/calendar-feed', customerAuth, async (req, res) => {
+    try {
+        const token = await getCalendarFeedToken(req.customer._id);
+        const feedUrl = `${req.protocol}://${req.get('host')}/api/events/calendar/my/${token}.ics`;
+
+        res.json({
+            success: true,
+            data: {
+                feedUrl,
+                webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch calendar feed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Reset Registrations Calendar Feed
+ * POST /api/event-registrations/my-registrations/calendar-feed/reset
+ * 
+ * Issues a new feed URL. Calendars subscribed to the old URL stop updating.
+ * 
+ * @returns {Object} New feed URL (https and webcal)
+ */
+router.post('/my-registrations/calendar-feed/reset', customerAuth, async (req, res) => {
+    try {
+        const token = await rotateCalendarFeedToken(req.customer._id);
+        const feedUrl = `${req.protocol}://${req.get('host')}/api/events/calendar/my/${token}.ics`;
+
+        res.json({
+            success: true,
+            message: 'Calendar feed URL reset',
+            data: {
+                feedUrl,
+                webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+            }
+        });
+    } catch (error) {
+        console.error('Error resetting calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset calendar feed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * Get Single Registration
  * GET /api/event-registrations/:id
@@ -455,7 +635,7 @@ router.get('/:id', customerAuth, async (req, res) => {
  * PATCH /api/event-registrations/:id/cancel
  * 
  * Cancels a customer's registration and updates event slot availability.
- * Cannot cancel paid registrations (requires refund process).
+ * Paid registrations cannot be cancelled here; they go through a refund request.
  * 
  * @param {string} id - Registration ID
  * @returns {Object} Cancellation confirmation
@@ -474,37 +654,48 @@ router.patch('/:id/cancel', customerAuth, async (req, res) => {
             });
         }
 
-        if (registration.status === 'cancelled') {
+        if (['cancelled', 'refunded'].includes(registration.status)) {
             return res.status(400).json({
                 success: false,
-                message: 'Registration is already cancelled'
+                message: `Registration is already ${registration.status}`
             });
         }
 
-        if (registration.status === 'confirmed' && registration.paymentStatus === 'paid') {
+        if (registration.status === 'confirmed' && registration.paymentStatus === 'paid' && registration.finalPrice > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot cancel paid registration. Please contact support for refund.'
+                message: 'Cannot cancel paid registration. Please request a refund instead.'
             });
         }
 
-        registration.status = 'cancelled';
-        await registration.save();
+        // Flip the status only if nobody else changed it, so seats are released exactly once
+        const cancelledRegistration = await Registration.findOneAndUpdate(
+            { _id: registration._id, status: registration.status },
+            {
+                $set: { status: 'cancelled', cancellationReason: 'customer-cancelled' },
+                $unset: { holdExpiresAt: 1 }
+            },
+            { new: true }
+        );
 
-        // Update event slots
-        const event = await Event.findById(registration.eventId);
-        if (event) {
-            const pricingTier = event.pricing.find(tier => tier.name === registration.pricingTier.name);
-            if (pricingTier) {
-                pricingTier.slotsAvailable += 1;
-                await event.save();
-            }
+        if (!cancelledRegistration) {
+            return res.status(409).json({
+                success: false,
+                message: 'Registration was updated by another request. Please try again.'
+            });
+        }
+
+        // Return the held seats and promo code use, and stop any open payment
+        await releaseSeats(registration.eventId, registration.pricingTier.name, registration.attendeeCount);
+        await releasePromoRedemption(registration);
+        if (registration.paymentStatus === 'pending') {
+            await voidPaymentIntent(registration);
         }
 
         res.json({
             success: true,
             message: 'Registration cancelled successfully',
-            data: registration
+            data: cancelledRegistration
         });
     } catch (error) {
         console.error('Error cancelling registration:', error);
@@ -516,6 +707,268 @@ router.patch('/:id/cancel', customerAuth, async (req, res) => {
     }
 });
 
+/**
+ * Set Attendance Visibility
+ * PATCH /api/event-registrations/:id/attendance-visibility
+ * 
+ * Hides or shows a registration to the customer's mutual connections on the
+ * event page. A customer whose attendance privacy is 'hidden' stays hidden
+ * either way (see PUT /api/events-users/privacy/attendance).
+ * 
+ * @param {string} id - Registration ID
+ * @param {boolean} hidden - Whether to hide the registration
+ * @returns {Object} Updated registration
+ */
+router.patch('/:id/attendance-visibility', customerAuth, async (req, res) => {
+    try {
+        const { hidden } = req.body;
+
+        if (typeof hidden !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'hidden must be true or false'
+            });
+        }
+
+        const registration = await Registration.findOneAndUpdate(
+            { _id: req.params.id, customerId: req.customer._id },
+            { $set: { hideAttendance: hidden } },
+            { new: true }
+        );
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: hidden ? 'Attendance hidden from your connections' : 'Attendance shown to your connections',
+            data: registration
+        });
+    } catch (error) {
+        console.error('Error updating attendance visibility:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update attendance visibility',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Request Refund
+ * POST /api/event-registrations/:id/refund-request
+ * 
+ * Asks for a refund of a paid registration. The refundable amount is quoted
+ * from the event's refund policy at the time of the request; an admin then
+ * approves or denies it.
+ * 
+ * @param {string} id - Registration ID
+ * @param {string} reason - Why the customer wants a refund (optional)
+ * @returns {Object} Registration with the pending refund request
+ */
+router.post('/:id/refund-request', customerAuth, async (req, res) => {
+    try {
+        const registration = await Registration.findOne({
+            _id: req.params.id,
+            customerId: req.customer._id
+        });
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found'
+            });
+        }
+
+        if (registration.paymentStatus !== 'paid' || !registration.payment || !registration.payment.intentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only paid registrations can be refunded'
+            });
+        }
+
+        if (registration.refund && registration.refund.status) {
+            return res.status(400).json({
+                success: false,
+                message: `A refund has already been ${registration.refund.status === 'requested' ? 'requested' : 'reviewed'} for this registration`
+            });
+        }
+
+        const event = await Event.findById(registration.eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const quote = quoteRefund(event, registration);
+        if (quote.amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This registration is not eligible for a refund under the event\'s refund policy'
+            });
+        }
+
+        // Only one request can be opened, even if the customer double-submits
+        const updatedRegistration = await Registration.findOneAndUpdate(
+            { _id: registration._id, paymentStatus: 'paid', 'refund.status': { $exists: false } },
+            {
+                refund: {
+                    status: 'requested',
+                    reason: req.body.reason,
+                    requestedAt: new Date(),
+                    refundPercentage: quote.refundPercentage,
+                    amount: quote.amount
+                }
+            },
+            { new: true }
+        );
+
+        if (!updatedRegistration) {
+            return res.status(409).json({
+                success: false,
+                message: 'Registration was updated by another request. Please try again.'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund requested successfully',
+            data: updatedRegistration
+        });
+    } catch (error) {
+        console.error('Error requesting refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to request refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ============================================================================
+// TICKET ROUTES
+// ============================================================================
+
+/**
+ * Get Ticket
+ * GET /api/event-registrations/:id/ticket
+ * 
+ * Returns the signed ticket token for a confirmed registration. The token is
+ * what the QR code encodes and what admins scan at the door.
+ * 
+ * @param {string} id - Registration ID
+ * @returns {Object} Ticket token with event and attendee details
+ */
+router.get('/:id/ticket', customerAuth, async (req, res) => {
+    try {
+        const registration = await Registration.findOne({
+            _id: req.params.id,
+            customerId: req.customer._id
+        }).populate('eventId', 'eventName date place eventTime');
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found'
+            });
+        }
+
+        if (registration.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Tickets are only available for confirmed registrations'
+            });
+        }
+
+        const token = await getTicketToken(registration);
+
+        res.json({
+            success: true,
+            data: {
+                registrationId: registration._id,
+                token,
+                event: registration.eventId,
+                pricingTier: registration.pricingTier.name,
+                attendees: registration.attendees.map(attendee => ({
+                    _id: attendee._id,
+                    name: attendee.name,
+                    checkInStatus: attendee.checkInStatus
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching ticket:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ticket',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Get Ticket QR Code
+ * GET /api/event-registrations/:id/ticket/qr
+ * 
+ * Renders the ticket token of a confirmed registration as a QR code image.
+ * 
+ * Query Parameters:
+ * @param {string} format - 'png' or 'svg' (default: 'png')
+ * 
+ * @returns {Buffer|string} PNG image or SVG markup
+ */
+router.get('/:id/ticket/qr', customerAuth, async (req, res) => {
+    try {
+        const { format = 'png' } = req.query;
+
+        if (!['png', 'svg'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'format must be one of: png, svg'
+            });
+        }
+
+        const registration = await Registration.findOne({
+            _id: req.params.id,
+            customerId: req.customer._id
+        });
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found'
+            });
+        }
+
+        if (registration.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Tickets are only available for confirmed registrations'
+            });
+        }
+
+        const token = await getTicketToken(registration);
+        const image = await renderTicketQr(token, format);
+
+        res.set('Cache-Control', 'private, no-store');
+        res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+        res.send(image);
+    } catch (error) {
+        console.error('Error rendering ticket QR code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to render ticket QR code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // ============================================================================
 // ADMIN ROUTES
 // ============================================================================
@@ -524,16 +977,20 @@ router.patch('/:id/cancel', customerAuth, async (req, res) => {
  * Check-in Attendee (Admin Only)
  * PATCH /api/event-registrations/:id/check-in
  * 
- * Marks an attendee as checked in for an event.
- * This route should be protected with admin authentication in production.
+ * Manually checks in a registration by id (e.g. from the attendee roster when
+ * a ticket can't be scanned). Ticket scanning goes through
+ * POST /api/admin-registrations/check-in instead.
+ * Only the event's owner, editors and check-in staff can check attendees in.
  * 
  * @param {string} id - Registration ID
+ * @param {Array} attendeeIds - Attendees to check in (optional, default: everyone)
+ * @param {number} count - Number of remaining attendees to check in (optional)
  * @returns {Object} Check-in confirmation
  */
-router.patch('/:id/check-in', async (req, res) => {
+router.patch('/:id/check-in', adminAuth, async (req, res) => {
     try {
         const registration = await Registration.findById(req.params.id)
-            .populate('eventId', 'eventName date');
+            .populate('eventId', 'eventName date createdBy collaborators');
 
         if (!registration) {
             return res.status(404).json({
@@ -542,23 +999,42 @@ router.patch('/:id/check-in', async (req, res) => {
             });
         }
 
-        if (registration.checkInStatus === 'checked-in') {
+        if (!registration.eventId || !canAccessEvent(registration.eventId, req.admin._id, 'checkIn')) {
+            return res.status(403).json({
+                success: false,
+                message: accessDeniedMessage('checkIn')
+            });
+        }
+
+        if (registration.status !== 'confirmed') {
             return res.status(400).json({
                 success: false,
-                message: 'Attendee is already checked in'
+                message: `Cannot check in a ${registration.status} registration`
             });
         }
 
-        registration.checkInStatus = 'checked-in';
-        registration.checkInTime = new Date();
-        await registration.save();
+        const { attendeeIds, count } = req.body || {};
+        const result = await checkInAttendees(registration, { attendeeIds, count, adminId: req.admin._id });
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
 
         res.json({
             success: true,
             message: 'Check-in successful',
-            data: registration
+            data: result.registration
         });
     } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'Registration was checked in at the same time elsewhere. Please try again.'
+            });
+        }
+
         console.error('Error checking in:', error);
         res.status(500).json({
             success: false,
@@ -0,0 +1,217 @@
+/**
+ * Event Schedule
+ *
+ * This module derives the real start and end instants of events. An event's
+ * `date` is its local calendar date and `eventTime` its local wall-clock
+ * times, both in the event's IANA `timezone`; `startsAt` and `endsAt` are the
+ * instants they refer to. Listings, date filters and registration cutoffs
+ * compare against `startsAt`.
+ *
+ * Rules:
+ * - The calendar date is the UTC date of `date` (e.g. "2024-01-20")
+ * - An end time at or before the start time ends on the next day
+ * - Events saved before schedules existed are backfilled at startup
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Event } = require('./models');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  normalizeTimeZone,
+  parseTimeOfDay,
+  zonedTimeToUtc
+} = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date-only filter values ("2024-01-20") cover that whole day
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Validate Event Schedule
+ *
+ * Checks the eventTime and timezone of a create or update request, and
+ * normalizes the timezone in place.
+ *
+ * @param {Object} body - Request body with optional eventTime and timezone
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEventSchedule(body) {
+  const { eventTime } = body;
+
+  if (eventTime) {
+    if (parseTimeOfDay(eventTime.from) === null || parseTimeOfDay(eventTime.to) === null) {
+      return 'eventTime "from" and "to" must be times like "14:00" or "2:00 PM"';
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      return 'timezone must be an IANA time zone (e.g. Asia/Kolkata, America/New_York)';
+    }
+    body.timezone = normalizeTimeZone(body.timezone);
+  }
+
+  return null;
+}
+
+/**
+ * Compute Event Schedule
+ *
+ * @param {Object} event - { date, eventTime, timezone } of an event
+ * @returns {Object} { startsAt, endsAt }, or { error } with a message
+ */
+function computeEventSchedule({ date, eventTime, timezone }) {
+  const day = new Date(date);
+  if (isNaN(day.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+
+  const from = parseTimeOfDay(eventTime && eventTime.from);
+  const to = parseTimeOfDay(eventTime && eventTime.to);
+  if (from === null || to === null) {
+    return { error: 'eventTime "from" and "to" must be times like "14:00" or "2:00 PM"' };
+  }
+
+  const zone = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(zone)) {
+    return { error: `Unknown timezone: ${zone}` };
+  }
+
+  const calendarDate = day.toISOString().split('T')[0];
+  const startsAt = zonedTimeToUtc(calendarDate, from, zone);
+  let endsAt = zonedTimeToUtc(calendarDate, to, zone);
+
+  // Events ending at or before their start time run past midnight
+  if (endsAt <= startsAt) {
+    const nextDate = new Date(Date.parse(calendarDate) + DAY_MS).toISOString().split('T')[0];
+    endsAt = zonedTimeToUtc(nextDate, to, zone);
+  }
+
+  return { startsAt, endsAt };
+}
+
+/**
+ * Apply Event Schedule
+ *
+ * Recomputes startsAt and endsAt of an event document from its current date,
+ * eventTime and timezone. The caller saves the event.
+ *
+ * @param {Object} event - Event document
+ * @returns {string|null} Error message, or null when applied
+ */
+function applyEventSchedule(event) {
+  const schedule = computeEventSchedule(event);
+  if (schedule.error) return schedule.error;
+
+  event.startsAt = schedule.startsAt;
+  event.endsAt = schedule.endsAt;
+  return null;
+}
+
+/**
+ * Event Start
+ *
+ * @param {Object} event - Event document or object
+ * @returns {Date} When the event starts (its date if no schedule could be derived)
+ */
+function eventStart(event) {
+  return new Date(event.startsAt || event.date);
+}
+
+/**
+ * Registration Deadline
+ *
+ * @param {Object} event - Event document or object
+ * @returns {Date} When registration closes (registrationCutoffMinutes before the start)
+ */
+function registrationDeadline(event) {
+  return new Date(eventStart(event).getTime() - (event.registrationCutoffMinutes || 0) * 60 * 1000);
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/**
+ * Build Start Range
+ *
+ * Builds a startsAt condition from dateFrom/dateTo query values. A date-only
+ * dateTo includes events starting on that day.
+ *
+ * @param {string} dateFrom - Earliest start (date or date-time)
+ * @param {string} dateTo - Latest start (date or date-time)
+ * @returns {Object} { range } for startsAt (null without bounds), or { error }
+ */
+function buildStartRange(dateFrom, dateTo) {
+  if (!dateFrom && !dateTo) return { range: null };
+
+  const range = {};
+
+  if (dateFrom) {
+    const from = new Date(dateFrom);
+    if (isNaN(from.getTime())) return { error: 'dateFrom must be a valid date' };
+    range.$gte = from;
+  }
+
+  if (dateTo) {
+    const to = new Date(dateTo);
+    if (isNaN(to.getTime())) return { error: 'dateTo must be a valid date' };
+
+    if (DATE_ONLY_PATTERN.test(dateTo)) {
+      range.$lt = new Date(to.getTime() + DAY_MS);
+    } else {
+      range.$lte = to;
+    }
+  }
+
+  return { range };
+}
+
+// ============================================================================
+// BACKFILL
+// ============================================================================
+
+/**
+ * Backfill Event Schedules
+ *
+ * Derives startsAt/endsAt for events saved before schedules existed. Events
+ * whose times can't be read start at their date, with no end.
+ *
+ * @returns {Promise<number>} Number of events updated
+ */
+async function backfillEventSchedules() {
+  const events = await Event.find({ startsAt: null }).select('date eventTime timezone');
+
+  for (const event of events) {
+    const schedule = computeEventSchedule(event);
+
+    await Event.updateOne(
+      { _id: event._id, startsAt: null },
+      {
+        $set: schedule.error
+          ? { startsAt: event.date, endsAt: null }
+          : { startsAt: schedule.startsAt, endsAt: schedule.endsAt }
+      }
+    );
+  }
+
+  return events.length;
+}
+
+module.exports = {
+  validateEventSchedule,
+  computeEventSchedule,
+  applyEventSchedule,
+  eventStart,
+  registrationDeadline,
+  buildStartRange,
+  backfillEventSchedules
+};
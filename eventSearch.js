@@ -0,0 +1,299 @@
+/**
+ * Event Search
+ *
+ * This module searches events by text for the public, customer and admin
+ * event lists. Searches run against the weighted text index on events
+ * (event_text_search in models.js), which ranks matches in the name above
+ * tags, organizer, place and description and matches word forms ("concerts"
+ * finds "concert"). When that finds nothing, the search is retried allowing
+ * one typo per word of four or more letters ("jaz festivl" finds "Jazz
+ * Festival"); those matches are listed in the requested order instead of by
+ * relevance.
+ *
+ * Each result gets `search: { score, highlights }`, with the matching words
+ * of each field wrapped in <mark> (HTML-escaped), and the list response gets
+ * `search: { query, mode, terms }`.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Event } = require('./models');
+
+// Fields of the text index with their weights
+const [, { weights: SEARCH_WEIGHTS }] = Event.schema.indexes()
+  .find(([, options]) => options.name === 'event_text_search');
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 8;
+
+// Words shorter than this must match exactly
+const MIN_FUZZY_LENGTH = 4;
+
+// Characters of description shown around its first match
+const SNIPPET_LENGTH = 160;
+
+// ============================================================================
+// QUERY PARSING
+// ============================================================================
+
+/**
+ * Escape Regex
+ *
+ * @param {string} text - User input
+ * @returns {string} Text with regex special characters escaped, to match it literally
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse Search
+ *
+ * Splits a search query into words. Quotes, minus signs and other
+ * punctuation are dropped, so they are never read as text search operators.
+ *
+ * @param {*} query - search query parameter
+ * @returns {Object} { search: { query, terms } }, {} when no search was asked for, or { error }
+ */
+function parseSearch(query) {
+  if (query === undefined || query === '') return {};
+
+  const text = String(query).trim().slice(0, MAX_QUERY_LENGTH);
+  const terms = [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])].slice(0, MAX_TERMS);
+
+  if (terms.length === 0) {
+    return { error: 'search must contain at least one letter or digit' };
+  }
+
+  return { search: { query: text, terms } };
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Stem
+ *
+ * @param {string} term - Lowercase word
+ * @returns {string} Word without a common English ending, roughly matching the text index's stemming
+ */
+function stem(term) {
+  const ending = ['ing', 'ed', 'es', 's'].find(suffix => term.endsWith(suffix) && term.length - suffix.length >= 3);
+  return ending ? term.slice(0, -ending.length) : term;
+}
+
+/**
+ * Fuzzy Alternatives
+ *
+ * @param {string} term - Lowercase word
+ * @returns {string[]} Regex sources for the word and, if long enough, every spelling one typo
+ *                     away (a changed, missing, extra or swapped letter)
+ */
+function fuzzyAlternatives(term) {
+  const chars = [...term].map(escapeRegex);
+  const alternatives = new Set([chars.join('')]);
+  if (chars.length < MIN_FUZZY_LENGTH) return [...alternatives];
+
+  for (let i = 0; i <= chars.length; i++) {
+    alternatives.add([...chars.slice(0, i), '\\S', ...chars.slice(i)].join(''));
+    if (i === chars.length) continue;
+
+    alternatives.add([...chars.slice(0, i), '\\S', ...chars.slice(i + 1)].join(''));
+    if (chars.length > MIN_FUZZY_LENGTH) {
+      alternatives.add([...chars.slice(0, i), ...chars.slice(i + 1)].join(''));
+    }
+    if (i < chars.length - 1) {
+      alternatives.add([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)].join(''));
+    }
+  }
+
+  return [...alternatives];
+}
+
+/**
+ * Term Pattern
+ *
+ * @param {string} term - Lowercase word
+ * @param {string} mode - 'text' or 'fuzzy'
+ * @returns {string} Regex source matching the words the term finds in that mode
+ */
+function termPattern(term, mode) {
+  const alternatives = mode === 'fuzzy' ? fuzzyAlternatives(term) : [escapeRegex(stem(term))];
+  // \b only knows ASCII word characters
+  const boundary = /^[a-z0-9]/.test(term) ? '\\b' : '';
+  return `${boundary}(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`;
+}
+
+/**
+ * Fuzzy Filter
+ *
+ * @param {Object} search - From parseSearch
+ * @returns {Object} Query matching events with any of the words, allowing a typo, in a searched field
+ */
+function fuzzyFilter(search) {
+  const clauses = [];
+  for (const term of search.terms) {
+    const pattern = new RegExp(termPattern(term, 'fuzzy'), 'iu');
+    for (const field of Object.keys(SEARCH_WEIGHTS)) {
+      clauses.push({ [field]: pattern });
+    }
+  }
+  return { $or: clauses };
+}
+
+/**
+ * Resolve Event Search
+ *
+ * Decides how to search the events matching a list's other filters: with
+ * the text index, or allowing typos when the text index finds none of them.
+ *
+ * @param {Object} filter - Query of the list's other filters
+ * @param {Object} search - From parseSearch
+ * @returns {Promise<Object>} { query, terms, mode, filter, sort, projection } where filter is to
+ *                            be merged into the list's query; sort (by relevance) and projection
+ *                            (of searchScore) are empty for typo matches
+ */
+async function resolveEventSearch(filter, search) {
+  const textFilter = { $text: { $search: search.terms.join(' ') } };
+
+  if (await Event.exists({ ...filter, ...textFilter })) {
+    const score = { searchScore: { $meta: 'textScore' } };
+    return { ...search, mode: 'text', filter: textFilter, sort: score, projection: score };
+  }
+
+  return {
+    ...search,
+    mode: 'fuzzy',
+    filter: { $and: [...(filter.$and || []), fuzzyFilter(search)] },
+    sort: {},
+    projection: {}
+  };
+}
+
+// ============================================================================
+// HIGHLIGHTS
+// ============================================================================
+
+/**
+ * Escape HTML
+ *
+ * @param {string} text - Text
+ * @returns {string} Text safe to show as HTML
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Highlight
+ *
+ * @param {string} text - Field value
+ * @param {RegExp} pattern - Global pattern of the matching words
+ * @returns {string|null} HTML-escaped text with the matches wrapped in <mark>, or null without a match
+ */
+function highlight(text, pattern) {
+  let html = '';
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return last === 0 ? null : html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Snippet
+ *
+ * @param {string} text - Long field value
+ * @param {RegExp} pattern - Global pattern of the matching words
+ * @returns {string|null} Highlighted part of the text around its first match, or null without a match
+ */
+function snippet(text, pattern) {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  pattern.lastIndex = 0;
+  if (!first) return null;
+  if (text.length <= SNIPPET_LENGTH) return highlight(text, pattern);
+
+  let start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3));
+  if (start > 0) {
+    // Start at a whole word
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.index) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), pattern)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Add Search Result
+ *
+ * Sets `search: { score, highlights }` on a result, where highlights has
+ * the matching fields (tags as the matching tags, description as a
+ * snippet). The score is the text index's relevance, or the summed weights
+ * of the matching fields for typo matches.
+ *
+ * @param {Object} eventObj - Plain event object (with searchScore in text mode)
+ * @param {Object} eventSearch - From resolveEventSearch
+ * @returns {Object} The event object
+ */
+function addSearchResult(eventObj, eventSearch) {
+  const pattern = new RegExp(
+    eventSearch.terms.map(term => termPattern(term, eventSearch.mode)).join('|'),
+    'giu'
+  );
+
+  const highlights = {};
+  let fieldScore = 0;
+
+  for (const [field, weight] of Object.entries(SEARCH_WEIGHTS)) {
+    const value = eventObj[field];
+    let highlighted = null;
+
+    if (Array.isArray(value)) {
+      const tags = value.map(tag => highlight(String(tag), pattern)).filter(Boolean);
+      if (tags.length > 0) highlighted = tags;
+    } else if (typeof value === 'string') {
+      highlighted = field === 'description' ? snippet(value, pattern) : highlight(value, pattern);
+    }
+
+    if (highlighted) {
+      highlights[field] = highlighted;
+      fieldScore += weight;
+    }
+  }
+
+  const score = eventSearch.mode === 'text' && eventObj.searchScore !== undefined
+    ? Math.round(eventObj.searchScore * 100) / 100
+    : fieldScore;
+
+  delete eventObj.searchScore;
+  eventObj.search = { score, highlights };
+  return eventObj;
+}
+
+/**
+ * Search Summary
+ *
+ * @param {Object|null} eventSearch - From resolveEventSearch, or null when not searching
+ * @returns {Object|undefined} { query, mode, terms } for the list response
+ */
+function searchSummary(eventSearch) {
+  if (!eventSearch) return undefined;
+  return { query: eventSearch.query, mode: eventSearch.mode, terms: eventSearch.terms };
+}
+
+module.exports = {
+  SEARCH_WEIGHTS,
+  escapeRegex,
+  parseSearch,
+  resolveEventSearch,
+  addSearchResult,
+  searchSummary
+};
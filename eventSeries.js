@@ -0,0 +1,289 @@
+/**
+ * Event Series
+ *
+ * This module turns a recurrence rule into event occurrences. A series is
+ * created once with its rule and a template of shared event fields; every
+ * occurrence is then a regular Event (own slots, own registrations) linked
+ * back to the series by seriesId.
+ *
+ * Recurrence rules:
+ * - weekly - On the given daysOfWeek, every `interval` weeks
+ * - monthly - On dayOfMonth, every `interval` months (months without that
+ *   day are skipped)
+ * - Occurrences fall between startDate and endDate, at startDate's time of
+ *   day, except on the exception dates
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { computeEventSchedule, applyEventSchedule, registrationDeadline } = require('./eventSchedule');
+const { tierCapacity, applyHeldCapacity } = require('./capacity');
+
+// Upper bound on the occurrences one series may generate
+const MAX_OCCURRENCES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Event fields shared by every occurrence of a series
+const SERIES_TEMPLATE_FIELDS = [
+  'eventName',
+  'eventTime',
+  'timezone',
+  'place',
+  'venue',
+  'attendanceMode',
+  'meetingUrl',
+  'tags',
+  'image',
+  'currency',
+  'pricing',
+  'discountOptions',
+  'refundPolicy',
+  'organizer',
+  'description',
+  'duration',
+  'maxAttendees',
+  'registrationCutoffMinutes',
+  'status'
+];
+
+/**
+ * Date Key
+ *
+ * @param {Date} date - Date to key
+ * @returns {string} UTC calendar date (YYYY-MM-DD)
+ */
+function dateKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+// ============================================================================
+// RECURRENCE RULES
+// ============================================================================
+
+/**
+ * Validate Recurrence
+ *
+ * Checks a recurrence rule from a request and fills in its defaults.
+ *
+ * @param {Object} input - Recurrence rule from the request body
+ * @returns {Object} { recurrence } or { error } with a message
+ */
+function validateRecurrence(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'recurrence is required' };
+  }
+
+  const { frequency, interval = 1, daysOfWeek, dayOfMonth, exceptions = [] } = input;
+
+  if (!['weekly', 'monthly'].includes(frequency)) {
+    return { error: 'recurrence.frequency must be "weekly" or "monthly"' };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: 'recurrence.interval must be a positive whole number' };
+  }
+
+  const startDate = new Date(input.startDate);
+  const endDate = new Date(input.endDate);
+  if (!input.startDate || isNaN(startDate.getTime()) || !input.endDate || isNaN(endDate.getTime())) {
+    return { error: 'recurrence.startDate and recurrence.endDate must be valid dates' };
+  }
+
+  if (endDate < startDate) {
+    return { error: 'recurrence.endDate must not be before recurrence.startDate' };
+  }
+
+  const recurrence = { frequency, interval, startDate, endDate };
+
+  if (frequency === 'weekly') {
+    const days = daysOfWeek === undefined ? [startDate.getUTCDay()] : daysOfWeek;
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'recurrence.daysOfWeek must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday)' };
+    }
+    recurrence.daysOfWeek = [...new Set(days)].sort();
+  } else {
+    const day = dayOfMonth === undefined ? startDate.getUTCDate() : dayOfMonth;
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return { error: 'recurrence.dayOfMonth must be between 1 and 31' };
+    }
+    recurrence.dayOfMonth = day;
+  }
+
+  if (!Array.isArray(exceptions)) {
+    return { error: 'recurrence.exceptions must be an array of dates' };
+  }
+
+  recurrence.exceptions = [];
+  for (const exception of exceptions) {
+    const date = new Date(exception);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid exception date: ${exception}` };
+    }
+    recurrence.exceptions.push(date);
+  }
+
+  const occurrenceCount = generateOccurrenceDates(recurrence).length;
+  if (occurrenceCount === 0) {
+    return { error: 'Recurrence does not produce any occurrences' };
+  }
+
+  if (occurrenceCount > MAX_OCCURRENCES) {
+    return { error: `Recurrence produces ${occurrenceCount} occurrences; a series can have at most ${MAX_OCCURRENCES}` };
+  }
+
+  return { recurrence };
+}
+
+/**
+ * Generate Occurrence Dates
+ *
+ * Lists the dates a recurrence rule produces, without its exceptions.
+ *
+ * @param {Object} recurrence - Validated recurrence rule
+ * @returns {Date[]} Occurrence start dates in order
+ */
+function generateOccurrenceDates(recurrence) {
+  const { frequency, interval, startDate, endDate } = recurrence;
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const skipped = new Set((recurrence.exceptions || []).map(dateKey));
+  const dates = [];
+
+  if (frequency === 'weekly') {
+    // Weeks are counted from the Sunday of the start week
+    const weekStart = start.getTime() - start.getUTCDay() * DAY_MS;
+
+    for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+      const day = new Date(time);
+      const weekIndex = Math.floor((time - weekStart) / WEEK_MS);
+      if (weekIndex % interval === 0 && recurrence.daysOfWeek.includes(day.getUTCDay())) {
+        dates.push(day);
+      }
+      if (dates.length > MAX_OCCURRENCES) break;
+    }
+  } else {
+    for (let monthOffset = 0; dates.length <= MAX_OCCURRENCES; monthOffset += interval) {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + monthOffset;
+
+      if (Date.UTC(year, month, 1) > end.getTime()) break;
+
+      const day = new Date(Date.UTC(
+        year,
+        month,
+        recurrence.dayOfMonth,
+        start.getUTCHours(),
+        start.getUTCMinutes(),
+        start.getUTCSeconds()
+      ));
+
+      // Skip months that don't have this day (e.g. the 31st)
+      if (day.getUTCDate() !== recurrence.dayOfMonth) continue;
+      if (day < start || day > end) continue;
+
+      dates.push(day);
+    }
+  }
+
+  return dates.filter(date => !skipped.has(dateKey(date)));
+}
+
+// ============================================================================
+// OCCURRENCES
+// ============================================================================
+
+/**
+ * Pick Template Fields
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} The series template fields present in the body
+ */
+function pickTemplateFields(body) {
+  const fields = {};
+  for (const field of SERIES_TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+/**
+ * Build Occurrence
+ *
+ * @param {Object} series - Event series document
+ * @param {Date} date - Occurrence date
+ * @returns {Object} Fields for a new Event
+ */
+function buildOccurrence(series, date) {
+  const template = JSON.parse(JSON.stringify(series.template));
+  const { startsAt, endsAt } = computeEventSchedule({ ...template, date });
+
+  // A new occurrence has all of its seats available
+  const pricing = (template.pricing || []).map(tier => ({
+    ...tier,
+    capacity: tierCapacity(tier),
+    slotsAvailable: tierCapacity(tier)
+  }));
+
+  return {
+    ...template,
+    pricing,
+    availableSlots: template.maxAttendees,
+    date,
+    startsAt,
+    endsAt,
+    seriesId: series._id,
+    createdBy: series.createdBy
+  };
+}
+
+/**
+ * Apply Template Updates
+ *
+ * Applies changed template fields to an existing occurrence. Capacity
+ * changes are checked against the seats already held on the occurrence, and
+ * its seat counters are derived again (see applyHeldCapacity). The caller
+ * saves the event.
+ *
+ * @param {Object} event - Occurrence event document
+ * @param {Object} updates - Template fields to apply (pricing with normalized capacities)
+ * @returns {Promise<string|null>} Error message if the capacities or new times don't fit, or null
+ * @throws {Error} SeatConflictError if capacities change while seats are settling
+ */
+async function applyTemplateUpdates(event, updates) {
+  for (const [field, value] of Object.entries(updates)) {
+    event[field] = value;
+  }
+
+  if (updates.pricing !== undefined || updates.maxAttendees !== undefined) {
+    const capacityError = await applyHeldCapacity(event);
+    if (capacityError) {
+      return `Occurrence on ${dateKey(event.date)}: ${capacityError}`;
+    }
+  }
+
+  if (updates.eventTime !== undefined || updates.timezone !== undefined) {
+    const scheduleError = applyEventSchedule(event);
+    if (scheduleError) return scheduleError;
+  }
+
+  // Reopen registration that was closed automatically if the new deadline is still ahead
+  if (event.registrationClosedAt && registrationDeadline(event) > new Date()) {
+    event.registrationClosedAt = null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  SERIES_TEMPLATE_FIELDS,
+  dateKey,
+  validateRecurrence,
+  generateOccurrenceDates,
+  pickTemplateFields,
+  buildOccurrence,
+  applyTemplateUpdates
+};
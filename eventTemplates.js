@@ -0,0 +1,175 @@
+/**
+ * Event Templates and Cloning
+ *
+ * This module copies the reusable parts of an event - details, pricing
+ * tiers, discount options, refund policy and image - into named templates
+ * and into new draft events cloned from an existing one. Copies never carry
+ * over seat counters, attendees, status, cancellation or series membership;
+ * new events start with every seat available.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { SERIES_TEMPLATE_FIELDS } = require('./eventSeries');
+const { tierCapacity } = require('./capacity');
+const { computeEventSchedule } = require('./eventSchedule');
+
+// Same fields a series shares between occurrences, without the status
+const EVENT_TEMPLATE_FIELDS = [
+  ...SERIES_TEMPLATE_FIELDS.filter(field => field !== 'status'),
+  'imageAsset'
+];
+
+// Days a clone is moved forward when no date is given
+const DEFAULT_CLONE_SHIFT_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Strip IDs
+ *
+ * @param {Array} items - Subdocuments (plain objects)
+ * @returns {Array} Copies without their _id
+ */
+function stripIds(items) {
+  return (items || []).map(({ _id, ...item }) => item);
+}
+
+/**
+ * Pick Event Template Fields
+ *
+ * Copies the template fields present in an event or request body. Pricing
+ * tiers keep their capacity but not their live seat counter.
+ *
+ * @param {Object} source - Plain event object or request body
+ * @returns {Object} Template fields
+ */
+function pickEventTemplateFields(source) {
+  const fields = {};
+  for (const field of EVENT_TEMPLATE_FIELDS) {
+    if (source[field] !== undefined) fields[field] = source[field];
+  }
+
+  const template = JSON.parse(JSON.stringify(fields));
+
+  if (template.pricing !== undefined) {
+    template.pricing = stripIds(template.pricing).map(({ slotsAvailable, ...tier }) => ({
+      ...tier,
+      capacity: tierCapacity({ slotsAvailable, ...tier })
+    }));
+  }
+  if (template.discountOptions !== undefined) {
+    template.discountOptions = stripIds(template.discountOptions);
+  }
+  if (template.refundPolicy !== undefined) {
+    template.refundPolicy = stripIds(template.refundPolicy);
+  }
+
+  return template;
+}
+
+/**
+ * Template From Event
+ *
+ * @param {Object} event - Event document
+ * @returns {Object} Template fields of the event
+ */
+function templateFromEvent(event) {
+  return pickEventTemplateFields(event.toObject());
+}
+
+/**
+ * Apply Event Template
+ *
+ * Fills the fields a create request leaves out from a template. The image
+ * is left to the caller, which also has to consider uploaded files.
+ *
+ * @param {Object} body - Create request body
+ * @param {Object} template - Template fields
+ * @returns {Object} Request body with the template's fields as defaults
+ */
+function applyEventTemplate(body, template) {
+  const { image, imageAsset, ...fields } = JSON.parse(JSON.stringify(template));
+  const merged = { ...fields };
+
+  for (const [field, value] of Object.entries(body)) {
+    if (value !== undefined) merged[field] = value;
+  }
+
+  return merged;
+}
+
+/**
+ * Template Image
+ *
+ * @param {Object} template - Template fields
+ * @returns {Object|null} { image, imageAsset } of the template, or null if it has none
+ */
+function templateImage(template) {
+  if (!template.image) return null;
+  return { image: template.image, imageAsset: template.imageAsset || null };
+}
+
+// ============================================================================
+// CLONING
+// ============================================================================
+
+/**
+ * Clone Date
+ *
+ * @param {Object} event - Event being cloned
+ * @param {Object} options - { date } of the clone, or { shiftDays } to move it by (default: 7)
+ * @returns {Object} { date } or { error } with a message
+ */
+function cloneDate(event, { date, shiftDays } = {}) {
+  if (date !== undefined) {
+    const cloneDay = new Date(date);
+    if (isNaN(cloneDay.getTime())) {
+      return { error: 'Invalid date format' };
+    }
+    return { date: cloneDay };
+  }
+
+  const days = shiftDays === undefined ? DEFAULT_CLONE_SHIFT_DAYS : Number(shiftDays);
+  if (!Number.isInteger(days)) {
+    return { error: 'shiftDays must be a whole number of days' };
+  }
+
+  return { date: new Date(new Date(event.date).getTime() + days * DAY_MS) };
+}
+
+/**
+ * Build Clone
+ *
+ * @param {Object} event - Event document to clone
+ * @param {Object} options - { date, eventName (optional), adminId }
+ * @returns {Object} Fields for a new draft Event, or { error } if its times can't be derived
+ */
+function buildClone(event, { date, eventName, adminId }) {
+  const fields = templateFromEvent(event);
+
+  const schedule = computeEventSchedule({ ...fields, date });
+  if (schedule.error) return { error: schedule.error };
+
+  return {
+    ...fields,
+    ...(eventName && { eventName }),
+    date,
+    startsAt: schedule.startsAt,
+    endsAt: schedule.endsAt,
+    status: 'draft',
+    clonedFrom: event._id,
+    createdBy: adminId
+  };
+}
+
+module.exports = {
+  EVENT_TEMPLATE_FIELDS,
+  pickEventTemplateFields,
+  templateFromEvent,
+  applyEventTemplate,
+  templateImage,
+  cloneDate,
+  buildClone
+};
@@ -0,0 +1,327 @@
+/**
+ * Event Versions
+ *
+ * This module keeps the change history of events. Every create, edit,
+ * status change, revert and publish made by an admin is stored as a
+ * numbered EventVersion with the fields it changed and a snapshot of the
+ * event afterwards, which an event can be reverted to. Changes made by the
+ * scheduled lifecycle jobs stay in the audit trail (see eventAudit.js).
+ *
+ * Edits to a published event are staged as pending changes instead of
+ * going live; they are applied when the event is published again or moved
+ * back to draft, and dropped when it is completed or cancelled. When a
+ * published event's date, time or place changes, its registrants are
+ * notified.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Event, EventVersion, Registration } = require('./models');
+const { EVENT_TEMPLATE_FIELDS, pickEventTemplateFields } = require('./eventTemplates');
+const { dateKey } = require('./eventSeries');
+const { normalizePricingCapacities, applyHeldCapacity } = require('./capacity');
+const { applyEventSchedule, registrationDeadline } = require('./eventSchedule');
+const { ACTIVE_REGISTRATION_STATUSES } = require('./eventCancellation');
+const { notifyCustomer } = require('./notifications');
+
+// Fields kept in each version's snapshot and compared between versions
+const VERSIONED_FIELDS = [...EVENT_TEMPLATE_FIELDS, 'date', 'status'];
+
+// Fields that can be staged or reverted; status has its own route
+const STAGED_FIELDS = VERSIONED_FIELDS.filter(field => field !== 'status');
+
+// Changes registrants are told about, with how they are named to them
+const NOTIFIED_FIELDS = {
+  date: 'date',
+  eventTime: 'time',
+  timezone: 'time zone',
+  place: 'venue',
+  venue: 'venue',
+  meetingUrl: 'meeting link'
+};
+
+// ============================================================================
+// SNAPSHOTS AND DIFFS
+// ============================================================================
+
+/**
+ * Event Snapshot
+ *
+ * @param {Object} event - Event document
+ * @returns {Object} Versioned fields of the event as plain JSON values
+ */
+function eventSnapshot(event) {
+  const source = event.toObject();
+
+  return {
+    ...pickEventTemplateFields(source),
+    date: source.date ? new Date(source.date).toISOString() : null,
+    status: source.status
+  };
+}
+
+/**
+ * Diff Snapshots
+ *
+ * @param {Object} before - Snapshot before the change ({} for a new event)
+ * @param {Object} after - Snapshot after the change
+ * @returns {Array<Object>} [{ field, from, to }] for each versioned field that differs
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+
+  for (const field of VERSIONED_FIELDS) {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Notify Schedule Change
+ *
+ * Tells the customers with an active registration for a published event
+ * that its date, time or place changed. A customer with several
+ * registrations is notified once.
+ *
+ * @param {Object} event - Event document after the change
+ * @param {Array<Object>} changes - Changes from diffSnapshots
+ * @returns {Promise<number>} Number of customers notified
+ */
+async function notifyScheduleChange(event, changes) {
+  const notified = changes.filter(change => NOTIFIED_FIELDS[change.field]);
+  if (notified.length === 0 || event.status !== 'published') return 0;
+
+  const customerIds = await Registration.find({
+    eventId: event._id,
+    status: { $in: ACTIVE_REGISTRATION_STATUSES }
+  }).distinct('customerId');
+
+  const labels = [...new Set(notified.map(change => NOTIFIED_FIELDS[change.field]))];
+  const changedText = labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels[0];
+
+  let sent = 0;
+  for (const customerId of customerIds) {
+    const notification = await notifyCustomer(customerId, {
+      type: 'event-updated',
+      title: `${event.eventName} has changed`,
+      message: `The ${changedText} of ${event.eventName} changed. It now takes place on ${dateKey(event.date)} from ${event.eventTime.from} to ${event.eventTime.to} (${event.timezone}) at ${event.place}.`,
+      data: {
+        eventId: event._id,
+        startsAt: event.startsAt,
+        changes: notified
+      }
+    });
+    if (notification) sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Record Event Change
+ *
+ * Stores the next version of an event if any versioned field changed (a
+ * new event always gets one) and notifies registrants of a changed date,
+ * time or place. Failures are logged and swallowed so they never undo the
+ * change being recorded.
+ *
+ * @param {Object} event - Event document, saved with the change
+ * @param {Object|null} before - Snapshot from before the change, or null for a new event
+ * @param {Object} options - { action, changedBy, details }
+ * @returns {Promise<Object|null>} Created EventVersion, or null if nothing was recorded
+ */
+async function recordEventChange(event, before, { action, changedBy, details }) {
+  const snapshot = eventSnapshot(event);
+  const changes = diffSnapshots(before || {}, snapshot);
+  if (before && changes.length === 0) return null;
+
+  try {
+    const { version } = await Event.findOneAndUpdate(
+      { _id: event._id },
+      { $inc: { version: 1 } },
+      { new: true, projection: { version: 1 } }
+    ).lean();
+    event.version = version;
+
+    const eventVersion = await EventVersion.create({
+      eventId: event._id,
+      version,
+      action,
+      changes,
+      snapshot,
+      changedBy,
+      details
+    });
+
+    if (before) {
+      await notifyScheduleChange(event, changes);
+    }
+
+    return eventVersion;
+  } catch (error) {
+    console.error(`Failed to record version of event ${event._id}:`, error.message);
+    return null;
+  }
+}
+
+// ============================================================================
+// APPLYING, STAGING AND REVERTING
+// ============================================================================
+
+/**
+ * Apply Event Fields
+ *
+ * Sets staged or reverted fields on an event and keeps its seat counters,
+ * start and end and registration state consistent with them. The event is
+ * not saved; see applyHeldCapacity for how its seat counters are guarded.
+ *
+ * @param {Object} event - Event document
+ * @param {Object} fields - Values of STAGED_FIELDS (e.g. from a snapshot)
+ * @returns {Promise<string|null>} Error message, or null when applied
+ * @throws {Error} SeatConflictError if capacities change while seats are settling
+ */
+async function applyEventFields(event, fields) {
+  for (const field of STAGED_FIELDS) {
+    if (fields[field] === undefined) continue;
+
+    if (field === 'pricing') {
+      event.pricing = normalizePricingCapacities(fields.pricing || []);
+    } else if (field === 'maxAttendees') {
+      event.maxAttendees = parseInt(fields.maxAttendees);
+    } else {
+      event[field] = fields[field];
+    }
+  }
+
+  if (fields.pricing !== undefined || fields.maxAttendees !== undefined) {
+    const capacityError = await applyHeldCapacity(event);
+    if (capacityError) return capacityError;
+  }
+
+  if (fields.date !== undefined || fields.eventTime !== undefined || fields.timezone !== undefined) {
+    const scheduleError = applyEventSchedule(event);
+    if (scheduleError) return scheduleError;
+  }
+
+  // Reopen registration that was closed automatically if the new deadline is still ahead
+  if (event.registrationClosedAt && registrationDeadline(event) > new Date()) {
+    event.registrationClosedAt = null;
+  }
+
+  return null;
+}
+
+/**
+ * Has Pending Changes
+ *
+ * @param {Object} event - Event document
+ * @returns {boolean} True if the event has staged changes waiting to be published
+ */
+function hasPendingChanges(event) {
+  return Boolean(event.pendingChanges && Object.keys(event.pendingChanges.fields || {}).length > 0);
+}
+
+/**
+ * Pending Changes Summary
+ *
+ * @param {Object} event - Event document
+ * @returns {Object|null} { fields, stagedBy, stagedAt, changes } or null if nothing is staged
+ */
+function pendingChangesSummary(event) {
+  if (!hasPendingChanges(event)) return null;
+
+  const live = eventSnapshot(event);
+  return {
+    ...event.pendingChanges,
+    changes: diffSnapshots(live, { ...live, ...event.pendingChanges.fields })
+  };
+}
+
+/**
+ * Stage Event Changes
+ *
+ * Stores the fields changed on an event document, compared with its
+ * snapshot from before the edit, as pending changes on top of those already
+ * staged. The document itself is not saved, so the live event keeps its
+ * current details.
+ *
+ * @param {Object} event - Event document with the edit applied in memory
+ * @param {Object} before - Snapshot from before the edit
+ * @param {string} adminId - Admin staging the changes
+ * @returns {Promise<Object|null>} Pending changes summary (see pendingChangesSummary)
+ */
+async function stageEventChanges(event, before, adminId) {
+  const fields = { ...(event.pendingChanges && event.pendingChanges.fields) };
+  for (const change of diffSnapshots(before, eventSnapshot(event))) {
+    if (change.field !== 'status') fields[change.field] = change.to;
+  }
+
+  const pendingChanges = Object.keys(fields).length > 0
+    ? { fields, stagedBy: adminId, stagedAt: new Date() }
+    : null;
+
+  await Event.updateOne({ _id: event._id }, { $set: { pendingChanges } });
+
+  return pendingChanges && {
+    ...pendingChanges,
+    changes: diffSnapshots(before, { ...before, ...fields })
+  };
+}
+
+/**
+ * Apply Pending Changes
+ *
+ * Moves an event's staged changes onto the event. The event is not saved.
+ *
+ * @param {Object} event - Event document
+ * @returns {Promise<string|null>} Error message, or null when applied (or nothing was staged)
+ */
+async function applyPendingChanges(event) {
+  if (!hasPendingChanges(event)) return null;
+
+  const applyError = await applyEventFields(event, event.pendingChanges.fields);
+  if (applyError) return applyError;
+
+  event.pendingChanges = null;
+  return null;
+}
+
+/**
+ * Revert Fields
+ *
+ * @param {Object} eventVersion - EventVersion to revert to
+ * @returns {Object} Values of STAGED_FIELDS in the version's snapshot
+ */
+function revertFields(eventVersion) {
+  const fields = {};
+  for (const field of STAGED_FIELDS) {
+    if (eventVersion.snapshot[field] !== undefined) fields[field] = eventVersion.snapshot[field];
+  }
+  return fields;
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  STAGED_FIELDS,
+  eventSnapshot,
+  diffSnapshots,
+  recordEventChange,
+  applyEventFields,
+  hasPendingChanges,
+  pendingChangesSummary,
+  stageEventChanges,
+  applyPendingChanges,
+  revertFields
+};
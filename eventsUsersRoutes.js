@@ -4,7 +4,53 @@ const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 
 // Import models
-const { Customer, Event } = require('./models');
+const { Customer, Event, Registration } = require('./models');
+const {
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+    hasExchangeRate,
+    convertAmount,
+    roundAmount,
+    getPriceRange,
+    buildPriceFilter
+} = require('./currency');
+const { buildStartRange } = require('./eventSchedule');
+const { recomputeEventCapacity } = require('./capacity');
+const { parseNearQuery, nearFilter, distanceKm } = require('./venues');
+const { escapeRegex, parseSearch, resolveEventSearch, addSearchResult, searchSummary } = require('./eventSearch');
+const { MAX_LIMIT, parseListOptions, listQuery, listPage } = require('./eventListQuery');
+const { recommendEvents } = require('./recommendations');
+const { ATTENDANCE_VISIBILITIES, attendeeCounts, friendsGoing } = require('./socialProof');
+const { ACTIVE_REGISTRATION_STATUSES } = require('./eventCancellation');
+
+// Customers may refresh an event's available slots at most once per interval
+const SLOT_REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Take Slot Refresh
+ *
+ * Records the refresh on the event itself, so the limit holds across all
+ * server processes.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<boolean>} True if the event may be refreshed now (and records it), false if
+ *                             it was refreshed within the last SLOT_REFRESH_INTERVAL_MS or doesn't exist
+ */
+const takeSlotRefresh = async (eventId) => {
+    const now = new Date();
+    const result = await Event.updateOne(
+        {
+            _id: eventId,
+            $or: [
+                { slotsRefreshedAt: null },
+                { slotsRefreshedAt: { $lte: new Date(now.getTime() - SLOT_REFRESH_INTERVAL_MS) } }
+            ]
+        },
+        { $set: { slotsRefreshedAt: now } },
+        { timestamps: false }
+    );
+    return result.matchedCount > 0;
+};
 
 // User Authentication middleware
 const userAuth = async (req, res, next) => {
@@ -109,18 +155,17 @@ const userAuth = async (req, res, next) => {
 
 // @route   GET /api/events-users
 // @desc    Get all published events with enhanced search/filter options for users
+//          (near=lat,lng&radiusKm= lists events within the radius, nearest first
+//          unless sortBy is given; search ranks events by relevance, see eventSearch.js;
+//          pages by page or cursor, see eventListQuery.js)
 // @access  Private (User only)
 router.get('/', userAuth, async (req, res) => {
     try {
         const { 
-            status = 'published', 
-            page = 1, 
-            limit = 10, 
             search,
-            sortBy = 'date',
-            sortOrder = 'asc',
             minPrice,
             maxPrice,
+            currency = DEFAULT_CURRENCY,
             dateFrom,
             dateTo,
             tags,
@@ -130,31 +175,28 @@ router.get('/', userAuth, async (req, res) => {
 
         // Build filter object - only published events for users
         const filter = { status: 'published' };
-        
-        // Search functionality
-        if (search) {
-            filter.$or = [
-                { eventName: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { place: { $regex: search, $options: 'i' } },
-                { organizer: { $regex: search, $options: 'i' } },
-                { tags: { $in: [new RegExp(search, 'i')] } }
-            ];
-        }
 
-        // Price range filtering
+        // Price range filtering (range given in `currency`, matched against each event's currency)
         if (minPrice || maxPrice) {
-            filter['pricing.price'] = {};
-            if (minPrice) filter['pricing.price'].$gte = parseFloat(minPrice);
-            if (maxPrice) filter['pricing.price'].$lte = parseFloat(maxPrice);
+            const priceFilter = buildPriceFilter({ minPrice, maxPrice, currency });
+            if (priceFilter.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: priceFilter.error
+                });
+            }
+            filter.$and = [priceFilter.filter];
         }
 
-        // Date range filtering
-        if (dateFrom || dateTo) {
-            filter.date = {};
-            if (dateFrom) filter.date.$gte = new Date(dateFrom);
-            if (dateTo) filter.date.$lte = new Date(dateTo);
+        // Date range filtering (against the event's real start time)
+        const startRange = buildStartRange(dateFrom, dateTo);
+        if (startRange.error) {
+            return res.status(400).json({
+                success: false,
+                message: startRange.error
+            });
         }
+        if (startRange.range) filter.startsAt = startRange.range;
 
         // Tag filtering
         if (tags) {
@@ -164,62 +206,89 @@ router.get('/', userAuth, async (req, res) => {
 
         // Organizer filtering
         if (organizer) {
-            filter.organizer = { $regex: organizer, $options: 'i' };
+            filter.organizer = { $regex: escapeRegex(organizer), $options: 'i' };
         }
 
         // Place filtering
         if (place) {
-            filter.place = { $regex: place, $options: 'i' };
+            filter.place = { $regex: escapeRegex(place), $options: 'i' };
         }
 
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        // Distance filtering (events without coordinates are left out)
+        const { near, error: nearError } = parseNearQuery(req.query);
+        if (nearError) {
+            return res.status(400).json({
+                success: false,
+                message: nearError
+            });
+        }
+        if (near) Object.assign(filter, nearFilter(near));
+
+        // Search functionality
+        const { search: parsedSearch, error: searchError } = parseSearch(search);
+        if (searchError) {
+            return res.status(400).json({
+                success: false,
+                message: searchError
+            });
+        }
+        const eventSearch = parsedSearch ? await resolveEventSearch(filter, parsedSearch) : null;
+        if (eventSearch) Object.assign(filter, eventSearch.filter);
 
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        // Sorting and pagination (see eventListQuery.js)
+        const { list, error: listError } = parseListOptions(req.query, { eventSearch, near });
+        if (listError) {
+            return res.status(400).json({
+                success: false,
+                message: listError
+            });
+        }
 
         // Get events with pagination - all fields for users
-        const events = await Event.find(filter)
-            .populate('createdBy', 'name email')
-            .sort(sort)
-            .skip(skip)
-            .limit(parseInt(limit));
-
-        // Get total count for pagination
-        const total = await Event.countDocuments(filter);
+        const [events, total] = await Promise.all([
+            listQuery(list, filter).populate('createdBy', 'name email'),
+            Event.countDocuments(filter)
+        ]);
+        const page = listPage(list, events, total);
+
+        // Attendees of the events on this page, and those the user holds a confirmed registration for
+        const pageEventIds = page.events.map(event => event._id);
+        const [attendees, registeredIds] = await Promise.all([
+            attendeeCounts(pageEventIds),
+            Registration.distinct('eventId', {
+                eventId: { $in: pageEventIds },
+                customerId: req.customer._id,
+                status: 'confirmed'
+            })
+        ]);
+        const registeredEventIds = new Set(registeredIds.map(id => id.toString()));
 
         // Process events to add computed fields
-        const processedEvents = events.map(event => {
+        const processedEvents = page.events.map(event => {
             const eventObj = event.toObject();
             
             // Add attendees count
-            eventObj.attendeesCount = event.attendees ? event.attendees.length : 0;
+            eventObj.attendeesCount = attendees.get(event._id.toString()) || 0;
             
-            // Add price range
-            if (event.pricing && event.pricing.length > 0) {
-                const prices = event.pricing.map(p => p.price);
-                eventObj.priceRange = {
-                    min: Math.min(...prices),
-                    max: Math.max(...prices),
-                    currency: 'USD'
-                };
-            } else {
-                eventObj.priceRange = {
-                    min: 0,
-                    max: 0,
-                    currency: 'USD'
-                };
-            }
+            // Add price range in the event's currency
+            eventObj.priceRange = getPriceRange(event);
             
             // Add formatted date and time
             eventObj.formattedDate = event.date.toISOString().split('T')[0];
             eventObj.formattedTime = `${event.eventTime.from} - ${event.eventTime.to}`;
             
             // Check if current user is registered for this event
-            eventObj.isRegistered = event.attendees && event.attendees.some(attendee => 
-                attendee.toString() === req.customer._id.toString()
-            );
+            eventObj.isRegistered = registeredEventIds.has(event._id.toString());
+
+            // The meeting link is only for registered customers
+            if (!eventObj.isRegistered) delete eventObj.meetingUrl;
+
+            // Who is going is private; only the count is shown
+            delete eventObj.attendees;
+
+            if (near) eventObj.distanceKm = distanceKm(near.coordinates, event.venue && event.venue.location);
+
+            if (eventSearch) addSearchResult(eventObj, eventSearch);
             
             return eventObj;
         });
@@ -227,24 +296,23 @@ router.get('/', userAuth, async (req, res) => {
         res.json({
             success: true,
             data: processedEvents,
-            pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil(total / parseInt(limit)),
-                totalItems: total,
-                itemsPerPage: parseInt(limit)
-            },
+            pagination: page.pagination,
             filters: {
                 applied: {
                     search,
                     minPrice,
                     maxPrice,
+                    currency: (minPrice || maxPrice) ? String(currency).toUpperCase() : undefined,
                     dateFrom,
                     dateTo,
                     tags: tags ? tags.split(',').map(tag => tag.trim()) : undefined,
                     organizer,
-                    place
+                    place,
+                    near: req.query.near,
+                    radiusKm: near ? near.radiusKm : undefined
                 }
-            }
+            },
+            search: searchSummary(eventSearch)
         });
     } catch (error) {
         console.error('Error fetching events for users:', error);
@@ -256,8 +324,135 @@ router.get('/', userAuth, async (req, res) => {
     }
 });
 
+// @route   GET /api/events-users/recommended
+// @desc    Upcoming published events ranked for the user from their past
+//          registrations and tags, mutual connections going and proximity
+//          (optional near=lat,lng&radiusKm=), each with an explanation
+//          (see recommendations.js)
+// @access  Private (User only)
+router.get('/recommended', userAuth, async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'limit must be a whole number of at least 1'
+            });
+        }
+
+        const { near, error: nearError } = parseNearQuery(req.query);
+        if (nearError) {
+            return res.status(400).json({
+                success: false,
+                message: nearError
+            });
+        }
+
+        const { recommendations, basedOn } = await recommendEvents(req.customer._id, {
+            near,
+            limit: Math.min(limit, MAX_LIMIT)
+        });
+
+        // Same computed fields as the event list
+        const attendees = await attendeeCounts(recommendations.map(({ event }) => event._id));
+        const data = recommendations.map(({ event, score, explanation, reasons, distanceKm: distance }) => {
+            const eventObj = event.toObject();
+
+            eventObj.attendeesCount = attendees.get(event._id.toString()) || 0;
+            eventObj.priceRange = getPriceRange(event);
+            eventObj.formattedDate = event.date.toISOString().split('T')[0];
+            eventObj.formattedTime = `${event.eventTime.from} - ${event.eventTime.to}`;
+
+            // Events the user is registered for are never recommended
+            eventObj.isRegistered = false;
+            delete eventObj.meetingUrl;
+            delete eventObj.attendees;
+
+            if (near) eventObj.distanceKm = distance;
+            eventObj.recommendation = { score, explanation, reasons };
+
+            return eventObj;
+        });
+
+        res.json({
+            success: true,
+            data,
+            basedOn
+        });
+    } catch (error) {
+        console.error('Error fetching recommended events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch recommended events',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/events-users/privacy/attendance
+// @desc    Get who sees the events the user is going to
+// @access  Private (User only)
+router.get('/privacy/attendance', userAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                attendanceVisibility: req.customer.attendanceVisibility || 'connections'
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching attendance privacy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch attendance privacy',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/events-users/privacy/attendance
+// @desc    Set who sees the events the user is going to: 'connections' (mutual
+//          connections, the default) or 'hidden' (nobody). Single registrations
+//          can also be hidden, see PATCH /api/event-registrations/:id/attendance-visibility
+// @access  Private (User only)
+router.put('/privacy/attendance', userAuth, async (req, res) => {
+    try {
+        const { attendanceVisibility } = req.body;
+
+        if (!ATTENDANCE_VISIBILITIES.includes(attendanceVisibility)) {
+            return res.status(400).json({
+                success: false,
+                message: `attendanceVisibility must be one of: ${ATTENDANCE_VISIBILITIES.join(', ')}`
+            });
+        }
+
+        await Customer.updateOne(
+            { _id: req.customer._id },
+            { $set: { attendanceVisibility, updatedAt: new Date() } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Attendance privacy updated successfully',
+            data: {
+                attendanceVisibility
+            }
+        });
+    } catch (error) {
+        console.error('Error updating attendance privacy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update attendance privacy',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // @route   GET /api/events-users/:id
-// @desc    Get single published event with complete details for users
+// @desc    Get single published event with complete details for users. Instead
+//          of the attendee list it shows friendsGoing: the user's mutual
+//          connections going who haven't hidden their attendance, and a count
+//          of everyone else (see socialProof.js)
 // @access  Private (User only)
 router.get('/:id', userAuth, async (req, res) => {
     try {
@@ -265,8 +460,7 @@ router.get('/:id', userAuth, async (req, res) => {
             _id: req.params.id, 
             status: 'published' 
         })
-        .populate('createdBy', 'name email')
-        .populate('attendees', 'name email phone');
+        .populate('createdBy', 'name email');
 
         if (!event) {
             return res.status(404).json({
@@ -275,23 +469,42 @@ router.get('/:id', userAuth, async (req, res) => {
             });
         }
 
-        // Check if current user is registered for this event
-        const isRegistered = event.attendees && event.attendees.some(attendee => 
-            attendee._id.toString() === req.customer._id.toString()
-        );
+        // Attendees are the customers holding a confirmed registration; registered means being
+        // one of them, as the user's latest active registration may still be pending
+        const attendeeIds = await Registration.distinct('customerId', { eventId: event._id, status: 'confirmed' });
+        const isRegistered = attendeeIds.some(id => id.toString() === req.customer._id.toString());
+
+        const [registration, friends] = await Promise.all([
+            Registration.findOne({
+                eventId: event._id,
+                customerId: req.customer._id,
+                status: { $in: ACTIVE_REGISTRATION_STATUSES }
+            })
+            .sort({ registrationDate: -1 })
+            .select('status registrationDate attendeeCount hideAttendance'),
+            friendsGoing(event, req.customer, attendeeIds)
+        ]);
 
         // Add user-specific data to response
         const eventData = event.toObject();
+        eventData.attendeesCount = attendeeIds.length;
+        eventData.friendsGoing = friends;
         eventData.isRegistered = isRegistered;
         eventData.userRegistration = null;
 
-        // If user is registered, get their registration details
-        if (isRegistered) {
-            // You can add registration details here if you have a separate registration model
+        // Who is going is private; only friendsGoing and the count are shown
+        delete eventData.attendees;
+
+        // The meeting link is only for registered customers
+        if (!isRegistered) delete eventData.meetingUrl;
+
+        if (registration) {
             eventData.userRegistration = {
-                registeredAt: event.attendees.find(attendee => 
-                    attendee._id.toString() === req.customer._id.toString()
-                )?.registeredAt || event.createdAt
+                _id: registration._id,
+                status: registration.status,
+                registeredAt: registration.registrationDate,
+                attendeeCount: registration.attendeeCount,
+                hideAttendance: registration.hideAttendance
             };
         }
 
@@ -331,7 +544,7 @@ router.get('/search/suggestions', userAuth, async (req, res) => {
         // Get event name suggestions
         const eventSuggestions = await Event.find({
             status: 'published',
-            eventName: { $regex: q, $options: 'i' }
+            eventName: { $regex: escapeRegex(q), $options: 'i' }
         })
         .select('eventName')
         .limit(5);
@@ -340,7 +553,7 @@ router.get('/search/suggestions', userAuth, async (req, res) => {
         const tagSuggestions = await Event.aggregate([
             { $match: { status: 'published' } },
             { $unwind: '$tags' },
-            { $match: { tags: { $regex: q, $options: 'i' } } },
+            { $match: { tags: { $regex: escapeRegex(q), $options: 'i' } } },
             { $group: { _id: '$tags' } },
             { $limit: 5 }
         ]);
@@ -348,7 +561,7 @@ router.get('/search/suggestions', userAuth, async (req, res) => {
         // Get organizer suggestions
         const organizerSuggestions = await Event.find({
             status: 'published',
-            organizer: { $regex: q, $options: 'i' }
+            organizer: { $regex: escapeRegex(q), $options: 'i' }
         })
         .select('organizer')
         .limit(5);
@@ -356,7 +569,7 @@ router.get('/search/suggestions', userAuth, async (req, res) => {
         // Get place suggestions
         const placeSuggestions = await Event.find({
             status: 'published',
-            place: { $regex: q, $options: 'i' }
+            place: { $regex: escapeRegex(q), $options: 'i' }
         })
         .select('place')
         .limit(5);
@@ -381,10 +594,25 @@ router.get('/search/suggestions', userAuth, async (req, res) => {
 });
 
 // @route   GET /api/events-users/filters/options
-// @desc    Get available filter options for events
+// @desc    Get available filter options for events (price range in ?currency=, default DEFAULT_CURRENCY)
 // @access  Private (User only)
 router.get('/filters/options', userAuth, async (req, res) => {
     try {
+        const currency = (req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+        if (!isValidCurrency(currency)) {
+            return res.status(400).json({
+                success: false,
+                message: 'currency must be an ISO-4217 currency code'
+            });
+        }
+
+        if (!hasExchangeRate(currency)) {
+            return res.status(400).json({
+                success: false,
+                message: `No exchange rate configured for ${currency}`
+            });
+        }
+
         // Get all unique tags
         const tags = await Event.aggregate([
             { $match: { status: 'published' } },
@@ -407,26 +635,42 @@ router.get('/filters/options', userAuth, async (req, res) => {
             { $sort: { _id: 1 } }
         ]);
 
-        // Get price range
-        const priceRange = await Event.aggregate([
+        // Get price range per currency, then convert into the requested one
+        const pricesByCurrency = await Event.aggregate([
             { $match: { status: 'published' } },
             { $unwind: '$pricing' },
             {
                 $group: {
-                    _id: null,
+                    _id: { $ifNull: ['$pricing.currency', { $ifNull: ['$currency', DEFAULT_CURRENCY] }] },
                     minPrice: { $min: '$pricing.price' },
                     maxPrice: { $max: '$pricing.price' }
                 }
             }
         ]);
 
+        const convertedRanges = pricesByCurrency
+            .map(group => ({
+                minPrice: convertAmount(group.minPrice, group._id, currency),
+                maxPrice: convertAmount(group.maxPrice, group._id, currency)
+            }))
+            .filter(range => range.minPrice !== null && range.maxPrice !== null);
+
+        const priceRange = convertedRanges.length > 0
+            ? {
+                minPrice: roundAmount(Math.min(...convertedRanges.map(range => range.minPrice)), currency),
+                maxPrice: roundAmount(Math.max(...convertedRanges.map(range => range.maxPrice)), currency),
+                currency
+            }
+            : { minPrice: 0, maxPrice: 0, currency };
+
         res.json({
             success: true,
             data: {
                 tags: tags.map(t => t._id),
                 organizers: organizers.map(o => o._id),
                 places: places.map(p => p._id),
-                priceRange: priceRange[0] || { minPrice: 0, maxPrice: 0 }
+                currencies: pricesByCurrency.map(group => group._id).sort(),
+                priceRange
             }
         });
     } catch (error) {
@@ -440,80 +684,61 @@ router.get('/filters/options', userAuth, async (req, res) => {
 });
 
 // @route   PUT /api/events-users/:id/update-slots
-// @desc    Update available slots for an event based on number of registrations
+// @desc    Recompute an event's available slots from its registrations. The
+//          count is derived on the server; a registrationsCount sent by the
+//          client is ignored. Each event can be refreshed once a minute.
 // @access  Private (User only)
 router.put('/:id/update-slots', userAuth, async (req, res) => {
     try {
         const { id } = req.params;
-        const { registrationsCount } = req.body;
-
-        console.log(`🔍 [${req.requestId}] Updating slots for event ${id} with ${registrationsCount} registrations`);
 
-        // Validate input
-        if (typeof registrationsCount !== 'number' || registrationsCount < 0) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'registrationsCount must be a non-negative number'
+                message: 'Invalid event ID'
             });
         }
 
-        // Find the event
-        const event = await Event.findById(id);
-        if (!event) {
-            return res.status(404).json({
+        if (!(await takeSlotRefresh(id))) {
+            if (!(await Event.exists({ _id: id }))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Event not found'
+                });
+            }
+
+            return res.status(429).json({
                 success: false,
-                message: 'Event not found'
+                message: 'Available slots were refreshed moments ago; try again shortly'
             });
         }
 
-        // Check if user has permission to update this event
-        // (Optional: Add organizer check if needed)
-        // if (event.createdBy.toString() !== req.customer._id.toString()) {
-        //     return res.status(403).json({
-        //         success: false,
-        //         message: 'Not authorized to update this event'
-        //     });
-        // }
-
-        // Calculate new available slots
-        const maxAttendees = event.maxAttendees;
-        const newAvailableSlots = Math.max(0, maxAttendees - registrationsCount);
-
-        console.log(`🔍 [${req.requestId}] Event: ${event.eventName}`);
-        console.log(`🔍 [${req.requestId}] Max attendees: ${maxAttendees}`);
-        console.log(`🔍 [${req.requestId}] Current available slots: ${event.availableSlots}`);
-        console.log(`🔍 [${req.requestId}] New registrations count: ${registrationsCount}`);
-        console.log(`🔍 [${req.requestId}] New available slots: ${newAvailableSlots}`);
-
-        // Update the event with new available slots
-        const updatedEvent = await Event.findByIdAndUpdate(
-            id,
-            { 
-                availableSlots: newAvailableSlots,
-                attendeesCount: registrationsCount
-            },
-            { new: true }
-        ).populate('createdBy', 'name email');
-
-        if (!updatedEvent) {
-            return res.status(500).json({
+        const result = await recomputeEventCapacity(id);
+        if (!result) {
+            return res.status(404).json({
                 success: false,
-                message: 'Failed to update event slots'
+                message: 'Event not found'
             });
         }
 
-        console.log(`✅ [${req.requestId}] Successfully updated slots for event ${id}`);
+        // A recompute that can't run safely right now still reports the current counters
+        const event = result.event;
 
         res.json({
             success: true,
-            message: 'Available slots updated successfully',
+            message: result.updated ? 'Available slots updated successfully' : result.reason,
             data: {
-                eventId: updatedEvent._id,
-                eventName: updatedEvent.eventName,
-                maxAttendees: updatedEvent.maxAttendees,
-                availableSlots: updatedEvent.availableSlots,
-                attendeesCount: updatedEvent.attendeesCount,
-                updatedAt: updatedEvent.updatedAt
+                eventId: event._id,
+                eventName: event.eventName,
+                maxAttendees: event.maxAttendees,
+                availableSlots: event.availableSlots,
+                pricing: event.pricing.map(tier => ({
+                    name: tier.name,
+                    slotsAvailable: tier.slotsAvailable
+                })),
+                attendeesCount: event.attendees.length,
+                updated: result.updated,
+                updatedAt: event.updatedAt
             }
         });
 
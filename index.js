@@ -31,6 +31,13 @@ const fs = require('fs');
 const http = require('http');
 const { v4: uuidv4 } = require('uuid');
 const WebSocket = require('ws');
+const { LOCAL_DIR: LOCAL_MEDIA_DIR } = require('./mediaStorage');
+const { assertPaymentConfig } = require('./paymentGateway');
+const { assertTicketConfig } = require('./tickets');
+
+// Refuse to start in production without an explicit payment gateway, webhook and ticket secrets
+assertPaymentConfig();
+assertTicketConfig();
 
 // Initialize Express application
 const app = express();
@@ -73,7 +80,13 @@ const OTP = mongoose.models.OTP || mongoose.model('OTP', otpSchema);
 // ============================================================================
 
 // Body parsing middleware with increased limits for file uploads
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying signed payment webhooks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // CORS configuration for cross-origin requests
@@ -84,8 +97,8 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
 }));
 
-// Serve static files (uploaded images)
-app.use('/uploads', express.static('uploads'));
+// Serve static files (uploaded images and their thumbnails)
+app.use('/uploads', express.static(LOCAL_MEDIA_DIR));
 
 // Import additional route modules
 const forumRoutes = require('./forumRoutes');
@@ -95,6 +108,17 @@ const followersRouter = require('./followersRoutes');
 const chatRoutes = require('./chatRoutes');
 const publicEventsRoutes = require('./publicEventsRoutes');
 const eventRegistrationRoutes = require('./eventRegistrationRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const adminRegistrationRoutes = require('./adminRegistrationRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const eventNotificationRoutes = require('./eventNotificationRoutes');
+const adminPromoCodeRoutes = require('./adminPromoCodeRoutes');
+const adminVenueRoutes = require('./adminVenueRoutes');
+const { startExpirySweep } = require('./payments');
+const { startWaitlistSweep } = require('./waitlist');
+const { startLifecycleJobs } = require('./lifecycleJobs');
+const { backfillEventSchedules } = require('./eventSchedule');
+const { backfillTierCapacities } = require('./capacity');
 
 // ============================================================================
 // ROUTE MOUNTING
@@ -109,6 +133,12 @@ app.use('/api/admin-events', adminEventsRoutes);
 app.use('/api/events-users', eventsUsersRoutes);
 app.use('/api/events', publicEventsRoutes);
 app.use('/api/event-registrations', eventRegistrationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/admin-registrations', adminRegistrationRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/event-notifications', eventNotificationRoutes);
+app.use('/api/admin-promo-codes', adminPromoCodeRoutes);
+app.use('/api/admin-venues', adminVenueRoutes);
 
 // ============================================================================
 // SESSION AND PASSPORT CONFIGURATION
@@ -822,6 +852,25 @@ server.listen(PORT, () => {
     });
   }, 30000); // Check every 30 seconds
 
+  // Release seats held by registrations that were never paid
+  startExpirySweep();
+
+  // Expire unclaimed waitlist offers and offer free seats to waiting customers
+  startWaitlistSweep();
+
+  // Complete ended events, close registration at cutoffs and send reminders
+  startLifecycleJobs();
+
+  // Derive start/end instants for events saved before they existed
+  backfillEventSchedules()
+    .then(count => count > 0 && console.log(`🕒 Backfilled start/end times for ${count} event(s)`))
+    .catch(err => console.error('❌ Event schedule backfill failed:', err));
+
+  // Give pricing tiers saved before capacities existed a capacity
+  backfillTierCapacities()
+    .then(count => count > 0 && console.log(`🎟️ Backfilled tier capacities for ${count} event(s)`))
+    .catch(err => console.error('❌ Tier capacity backfill failed:', err));
+
   // Create middleware directory if it doesn't exist
   const middlewareDir = path.join(__dirname, 'middleware');
   if (!fs.existsSync(middlewareDir)) {
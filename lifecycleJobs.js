@@ -0,0 +1,354 @@
+/**
+ * Event Lifecycle Jobs
+ *
+ * This module runs the scheduled jobs that move events through their
+ * lifecycle without an admin: completing events that have ended, closing
+ * registration at each event's cutoff and reminding registered customers
+ * before the start. Every automatic change is recorded in the EventAuditLog.
+ *
+ * Jobs:
+ * - complete-past-events - Moves published events that have ended to completed
+ * - close-registration - Closes registration registrationCutoffMinutes before the start
+ * - send-reminders - Notifies customers with confirmed registrations 24 hours
+ *   and 1 hour before the start
+ * - refresh-analytics - Rebuilds the analytics rollups (every 15 minutes)
+ *
+ * Running under PM2 cluster mode:
+ * - Each job holds a JobLock lease while it runs, so only one instance runs it at a time
+ * - Every change is a conditional update that only matches items not handled
+ *   yet, so a job that is rerun (or runs on two instances after a lease
+ *   expired) never repeats a change or a reminder
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const os = require('os');
+const { Event, Registration, JobLock } = require('./models');
+const { notifyCustomer } = require('./notifications');
+const { recordEventAudit } = require('./eventAudit');
+const { ANALYTICS_REFRESH_MS, refreshAnalyticsRollups } = require('./analytics');
+
+// Identifies this server instance in job leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// A lease outlives any normal run; a crashed instance's lease simply expires
+const JOB_LEASE_MS = 5 * 60 * 1000;
+
+// Items handled per job run; the rest are picked up by the next run
+const BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Events without usable times are treated as lasting their whole start day
+const DAY_MS = 24 * HOUR_MS;
+
+// Reminders sent before an event starts, furthest first
+const REMINDERS = [
+  { key: '24h', offsetMs: 24 * HOUR_MS },
+  { key: '1h', offsetMs: HOUR_MS }
+];
+
+// ============================================================================
+// JOB LOCKS
+// ============================================================================
+
+/**
+ * Acquire Job Lock
+ *
+ * Takes the lease on a job if nobody holds an unexpired one and the job is
+ * due. When two instances race to create the lease, the unique job name lets
+ * only one win.
+ *
+ * @param {string} name - Job name
+ * @param {Date} now - Reference time
+ * @param {number} intervalMs - Least time between two runs of the job (default: 0)
+ * @returns {Promise<boolean>} True if this instance now holds the lease
+ */
+async function acquireJobLock(name, now, intervalMs = 0) {
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        name,
+        $and: [
+          { $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }] },
+          { $or: [{ lastRunAt: { $lte: new Date(now.getTime() - intervalMs) } }, { lastRunAt: null }] }
+        ]
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + JOB_LEASE_MS),
+          lastRunAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // Another instance holds the lease or the job isn't due, so the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Release Job Lock
+ *
+ * @param {string} name - Job name
+ * @returns {Promise<void>}
+ */
+async function releaseJobLock(name) {
+  await JobLock.updateOne(
+    { name, owner: INSTANCE_ID },
+    { $set: { lockedUntil: new Date() } }
+  );
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+/**
+ * Complete Past Events
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of events completed
+ */
+async function completePastEvents(now = new Date()) {
+  const candidates = await Event.find({
+    status: 'published',
+    $or: [
+      { endsAt: { $lte: now } },
+      { endsAt: null, startsAt: { $lte: new Date(now.getTime() - DAY_MS) } }
+    ]
+  })
+  .select('_id')
+  .limit(BATCH_SIZE);
+
+  let completedCount = 0;
+
+  for (const candidate of candidates) {
+    const event = await Event.findOneAndUpdate(
+      { _id: candidate._id, status: 'published' },
+      { $set: { status: 'completed', pendingChanges: null, updatedAt: now } }
+    );
+
+    if (!event) continue;
+
+    await recordEventAudit({
+      eventId: event._id,
+      action: 'status-change',
+      from: 'published',
+      to: 'completed',
+      job: 'complete-past-events',
+      details: { endsAt: event.endsAt || null }
+    });
+    completedCount++;
+  }
+
+  return completedCount;
+}
+
+/**
+ * Close Registrations
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of events whose registration was closed
+ */
+async function closeRegistrations(now = new Date()) {
+  const candidates = await Event.find({
+    status: 'published',
+    registrationClosedAt: null,
+    $expr: {
+      $lte: [
+        { $subtract: ['$startsAt', { $multiply: [{ $ifNull: ['$registrationCutoffMinutes', 0] }, 60 * 1000] }] },
+        now
+      ]
+    }
+  })
+  .select('_id')
+  .limit(BATCH_SIZE);
+
+  let closedCount = 0;
+
+  for (const candidate of candidates) {
+    const event = await Event.findOneAndUpdate(
+      { _id: candidate._id, registrationClosedAt: null },
+      { $set: { registrationClosedAt: now } }
+    );
+
+    if (!event) continue;
+
+    await recordEventAudit({
+      eventId: event._id,
+      action: 'registration-closed',
+      from: 'open',
+      to: 'closed',
+      job: 'close-registration',
+      details: {
+        startsAt: event.startsAt,
+        registrationCutoffMinutes: event.registrationCutoffMinutes || 0
+      }
+    });
+    closedCount++;
+  }
+
+  return closedCount;
+}
+
+/**
+ * Format Time Until
+ *
+ * @param {number} ms - Milliseconds until the event starts
+ * @returns {string} e.g. "24 hours", "1 hour", "35 minutes"
+ */
+function formatTimeUntil(ms) {
+  const minutes = Math.max(1, Math.round(ms / (60 * 1000)));
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Send Reminders
+ *
+ * Sends each confirmed registration of an upcoming event the latest reminder
+ * that is due. Reminders are keyed by the event's start, so a rescheduled
+ * event is reminded about again. A reminder whose time has passed is still
+ * sent late, worded with the real time left (a registration made 3 hours
+ * before the start gets the 24 hour reminder as "starts in 3 hours"); any
+ * earlier reminders it passed over are skipped.
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendReminders(now = new Date()) {
+  const events = await Event.find({
+    status: 'published',
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + REMINDERS[0].offsetMs) }
+  })
+  .select('eventName place startsAt');
+
+  let sentCount = 0;
+
+  for (const event of events) {
+    const startsAt = event.startsAt.getTime();
+    const dueKeys = REMINDERS
+      .filter(reminder => startsAt - reminder.offsetMs <= now.getTime())
+      .map(reminder => `${reminder.key}@${event.startsAt.toISOString()}`);
+    const latestKey = dueKeys[dueKeys.length - 1];
+
+    const registrations = await Registration.find({
+      eventId: event._id,
+      status: 'confirmed',
+      remindersSent: { $ne: latestKey }
+    })
+    .select('_id customerId')
+    .limit(BATCH_SIZE);
+
+    let eventSentCount = 0;
+
+    for (const registration of registrations) {
+      // Claim the reminder first, so it is sent once even if two runs overlap
+      const claimed = await Registration.updateOne(
+        { _id: registration._id, status: 'confirmed', remindersSent: { $ne: latestKey } },
+        { $addToSet: { remindersSent: { $each: dueKeys } } }
+      );
+
+      if (claimed.modifiedCount === 0) continue;
+
+      const timeUntil = formatTimeUntil(startsAt - now.getTime());
+      await notifyCustomer(registration.customerId, {
+        type: 'event-reminder',
+        title: `${event.eventName} starts in ${timeUntil}`,
+        message: `Reminder: ${event.eventName} at ${event.place} starts in ${timeUntil}.`,
+        data: {
+          eventId: event._id,
+          registrationId: registration._id,
+          startsAt: event.startsAt
+        }
+      });
+      eventSentCount++;
+    }
+
+    if (eventSentCount > 0) {
+      await recordEventAudit({
+        eventId: event._id,
+        action: 'reminders-sent',
+        to: latestKey,
+        job: 'send-reminders',
+        details: { count: eventSentCount }
+      });
+      sentCount += eventSentCount;
+    }
+  }
+
+  return sentCount;
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+const JOBS = [
+  { name: 'complete-past-events', run: completePastEvents, label: 'completed event(s)' },
+  { name: 'close-registration', run: closeRegistrations, label: 'closed registration(s)' },
+  { name: 'send-reminders', run: sendReminders, label: 'reminder(s) sent' },
+  { name: 'refresh-analytics', run: refreshAnalyticsRollups, label: 'analytics rollup(s) refreshed', intervalMs: ANALYTICS_REFRESH_MS }
+];
+
+/**
+ * Run Job
+ *
+ * Runs a job if it is due and this instance can take its lease.
+ *
+ * @param {Object} job - Entry of JOBS
+ * @returns {Promise<number|null>} Items handled, or null if the job isn't due or another instance holds the lease
+ */
+async function runJob(job) {
+  const now = new Date();
+  if (!(await acquireJobLock(job.name, now, job.intervalMs))) return null;
+
+  try {
+    return await job.run(now);
+  } finally {
+    await releaseJobLock(job.name);
+  }
+}
+
+/**
+ * Start Lifecycle Jobs
+ *
+ * Runs every lifecycle job on a fixed interval. A failing job is logged and
+ * doesn't stop the others.
+ *
+ * @param {number} intervalMs - Interval between runs (default: 60 seconds)
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startLifecycleJobs(intervalMs = 60000) {
+  return setInterval(async () => {
+    for (const job of JOBS) {
+      try {
+        const count = await runJob(job);
+        if (count > 0) {
+          console.log(`⏰ Lifecycle: ${count} ${job.label}`);
+        }
+      } catch (error) {
+        console.error(`Error running lifecycle job ${job.name}:`, error);
+      }
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  REMINDERS,
+  completePastEvents,
+  closeRegistrations,
+  sendReminders,
+  runJob,
+  startLifecycleJobs
+};
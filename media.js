@@ -0,0 +1,277 @@
+/**
+ * Media
+ *
+ * This module stores event images. Uploads (multipart files or legacy
+ * base64 data URLs) are checked by size and by their actual content, stored
+ * under a content-hashed name on the configured storage backend, and
+ * resized into thumbnails. Events keep only URLs, never image bytes.
+ *
+ * Files per image:
+ * - events/<sha256>.<ext> - The original upload
+ * - events/<sha256>-<size>.webp - Thumbnails (small, medium, large)
+ *
+ * Configuration:
+ * - MEDIA_MAX_UPLOAD_MB - Largest accepted image (default: 5)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Event, EventSeries } = require('./models');
+const { getMediaStorage } = require('./mediaStorage');
+
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.MEDIA_MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Accepted image types and the extension their originals are stored with
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Thumbnails are scaled to these widths (never enlarged)
+const THUMBNAIL_SIZES = [
+  { name: 'small', width: 160 },
+  { name: 'medium', width: 480 },
+  { name: 'large', width: 1024 }
+];
+
+/**
+ * Media Error
+ *
+ * @param {string} message - Message for the client
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error} Error carrying the status
+ */
+function mediaError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Detect Image Type
+ *
+ * Identifies an image by its leading bytes rather than a client-declared type.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if it isn't an accepted image
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'image/gif';
+  }
+  return null;
+}
+
+/**
+ * Is Accepted Image Type
+ *
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean} True for image types the pipeline accepts
+ */
+function isAcceptedImageType(mimeType) {
+  return Boolean(IMAGE_TYPES[mimeType]);
+}
+
+/**
+ * Decode Data URL
+ *
+ * @param {string} dataUrl - base64 data URL (data:image/png;base64,...)
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeDataUrl(dataUrl) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!match || !match[2]) {
+    throw mediaError('image must be a base64 data URL');
+  }
+
+  return Buffer.from(match[3], 'base64');
+}
+
+// ============================================================================
+// STORING IMAGES
+// ============================================================================
+
+/**
+ * Store Image
+ *
+ * Validates an image and stores it with its thumbnails. Files already stored
+ * under the same content hash are reused.
+ *
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} options - { folder } to store under (default: events)
+ * @returns {Promise<Object>} Image asset { hash, mimeType, size, width, height, url, key, thumbnails }
+ */
+async function storeImage(buffer, { folder = 'events' } = {}) {
+  if (buffer.length === 0) {
+    throw mediaError('Image file is empty');
+  }
+
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw mediaError(`Image must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`, 413);
+  }
+
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw mediaError('Only JPEG, PNG, WebP and GIF images are allowed');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw mediaError('Image could not be read');
+  }
+
+  const storage = getMediaStorage();
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const key = `${folder}/${hash}.${IMAGE_TYPES[mimeType]}`;
+  if (!(await storage.exists(key))) {
+    await storage.put(key, buffer, mimeType);
+  }
+
+  const thumbnails = [];
+  for (const size of THUMBNAIL_SIZES) {
+    let data;
+    let info;
+    try {
+      // rotate() applies the EXIF orientation before resizing
+      ({ data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width: size.width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true }));
+    } catch (error) {
+      throw mediaError('Image could not be read');
+    }
+
+    const thumbnailKey = `${folder}/${hash}-${size.name}.webp`;
+    if (!(await storage.exists(thumbnailKey))) {
+      await storage.put(thumbnailKey, data, 'image/webp');
+    }
+
+    thumbnails.push({
+      size: size.name,
+      width: info.width,
+      height: info.height,
+      key: thumbnailKey,
+      url: storage.url(thumbnailKey)
+    });
+  }
+
+  return {
+    hash,
+    mimeType,
+    size: buffer.length,
+    width: metadata.width,
+    height: metadata.height,
+    storage: storage.name,
+    key,
+    url: storage.url(key),
+    thumbnails
+  };
+}
+
+/**
+ * Resolve Image Input
+ *
+ * Turns the image of a create/update request into what the event stores:
+ * an uploaded file or data URL is stored through the pipeline, while a
+ * plain URL is kept as given.
+ *
+ * @param {Object} options - { file } from multer and/or { image } from the body
+ * @returns {Promise<Object|null>} { image, imageAsset }, or null when no image was given
+ */
+async function resolveImageInput({ file, image }) {
+  if (file) {
+    const asset = await storeImage(file.buffer);
+    return { image: asset.url, imageAsset: asset };
+  }
+
+  if (typeof image === 'string' && image.startsWith('data:')) {
+    const asset = await storeImage(decodeDataUrl(image));
+    return { image: asset.url, imageAsset: asset };
+  }
+
+  if (image === undefined) return null;
+
+  return { image: image || null, imageAsset: null };
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Migrate Base64 Images
+ *
+ * Moves base64 data URLs still stored on events and series templates into
+ * the storage backend. Documents are processed one at a time; images that
+ * fail validation are logged and left untouched.
+ *
+ * @returns {Promise<Object>} { migrated, failed } counts
+ */
+async function migrateBase64Images() {
+  const result = { migrated: 0, failed: 0 };
+
+  const events = Event.find({ image: /^data:/ }).select('_id image').cursor();
+  for await (const event of events) {
+    try {
+      const asset = await storeImage(decodeDataUrl(event.image));
+      await Event.updateOne(
+        { _id: event._id },
+        { $set: { image: asset.url, imageAsset: asset } }
+      );
+      result.migrated++;
+    } catch (error) {
+      console.error(`Failed to migrate image of event ${event._id}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  const seriesList = EventSeries.find({ 'template.image': /^data:/ }).select('_id template').cursor();
+  for await (const series of seriesList) {
+    try {
+      const asset = await storeImage(decodeDataUrl(series.template.image));
+      await EventSeries.updateOne(
+        { _id: series._id },
+        { $set: { 'template.image': asset.url, 'template.imageAsset': asset } }
+      );
+      result.migrated++;
+    } catch (error) {
+      console.error(`Failed to migrate image of series ${series._id}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  THUMBNAIL_SIZES,
+  detectImageType,
+  isAcceptedImageType,
+  decodeDataUrl,
+  storeImage,
+  resolveImageInput,
+  migrateBase64Images
+};
@@ -0,0 +1,121 @@
+/**
+ * Media Storage Backends
+ *
+ * This module defines the storage interface the media pipeline writes files
+ * through, and the backends that implement it. Only the local disk backend
+ * ships today; an S3-compatible backend is added by implementing the same
+ * methods and registering it in BACKENDS below.
+ *
+ * Backend interface:
+ * - name - Identifier of the backend
+ * - put(key, buffer, contentType) - Stores a file under a key such as "events/<hash>.jpg"
+ * - exists(key) - Resolves to true if a file is stored under the key
+ * - remove(key) - Deletes the file stored under the key, if any
+ * - url(key) - Public URL the file is served from
+ *
+ * Keys are content-hashed by the pipeline, so a key always names the same
+ * bytes and backends may treat stored files as immutable.
+ *
+ * Configuration:
+ * - MEDIA_STORAGE - Backend to use (default: local)
+ * - MEDIA_LOCAL_DIR - Directory of the local backend (default: ./uploads, served at /uploads)
+ * - MEDIA_PUBLIC_URL - URL prefix of stored files (default: /uploads)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCAL_DIR = path.resolve(__dirname, process.env.MEDIA_LOCAL_DIR || './uploads');
+const PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+// ============================================================================
+// LOCAL DISK BACKEND
+// ============================================================================
+
+/**
+ * Local File Path
+ *
+ * @param {string} key - Storage key
+ * @returns {string} Absolute path of the key inside LOCAL_DIR
+ */
+function localPath(key) {
+  const filePath = path.resolve(LOCAL_DIR, key);
+
+  // Keys come from the pipeline, but never let one escape the storage directory
+  if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Local Disk Storage
+ *
+ * Stores files under LOCAL_DIR, which index.js serves statically at /uploads.
+ */
+const localStorage = {
+  name: 'local',
+
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+  },
+
+  async exists(key) {
+    try {
+      await fs.promises.access(localPath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  },
+
+  url(key) {
+    return `${PUBLIC_URL}/${key}`;
+  }
+};
+
+// ============================================================================
+// BACKEND REGISTRY
+// ============================================================================
+
+const BACKENDS = {
+  local: localStorage
+};
+
+/**
+ * Get Media Storage
+ *
+ * Returns the backend selected by the MEDIA_STORAGE environment variable,
+ * or a specific backend by name.
+ *
+ * @param {string} name - Backend name (optional)
+ * @returns {Object} Media storage backend
+ */
+function getMediaStorage(name = process.env.MEDIA_STORAGE || 'local') {
+  const backend = BACKENDS[name];
+
+  if (!backend) {
+    throw new Error(`Unknown media storage: ${name}`);
+  }
+
+  return backend;
+}
+
+module.exports = {
+  LOCAL_DIR,
+  getMediaStorage
+};
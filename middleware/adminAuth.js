@@ -0,0 +1,103 @@
+/**
+ * Admin Bearer Authentication Middleware
+ *
+ * Validates `Authorization: Bearer <token>` headers for admin routes, the
+ * same scheme used by the admin events API. Routers that only need admin
+ * access should use this instead of defining their own copy.
+ *
+ * Usage:
+ * - Add to routes that require admin authentication
+ * - Expects 'Authorization: Bearer <token>' header with valid JWT
+ * - Sets req.admin with the authenticated admin object (without password)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const jwt = require('jsonwebtoken');
+const { Admin } = require('../models');
+
+/**
+ * Admin Authentication Middleware Function
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports = async function(req, res, next) {
+  const requestId = Math.random().toString(36).substring(2, 8);
+
+  try {
+    // Extract authorization header
+    const authHeader = req.header('Authorization');
+
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    if (!authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token format'
+      });
+    }
+
+    const token = authHeader.replace('Bearer ', '').trim();
+
+    try {
+      // Verify JWT token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+
+      // Extract admin ID from various possible token structures
+      const adminId = decoded._id ||
+                      (decoded.admin && decoded.admin.id) ||
+                      decoded.id ||
+                      (decoded.admin && decoded.admin._id);
+
+      if (!adminId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      // Find admin by ID
+      const admin = await Admin.findById(adminId).select('-password');
+      if (!admin) {
+        return res.status(401).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      // Attach admin to request
+      req.admin = admin;
+      req.requestId = requestId;
+
+      next();
+    } catch (error) {
+      const errorMessage = error.name === 'TokenExpiredError'
+        ? 'Token has expired'
+        : 'Invalid token';
+
+      return res.status(401).json({
+        success: false,
+        message: errorMessage
+      });
+    }
+  } catch (err) {
+    console.error('Unexpected error in admin auth middleware:', err.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+      requestId: requestId || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
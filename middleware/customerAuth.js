@@ -0,0 +1,103 @@
+/**
+ * Customer Authentication Middleware
+ *
+ * Validates `Authorization: Bearer <token>` headers issued to customers by
+ * the OTP and Google sign-in flows.
+ *
+ * Usage:
+ * - Add to routes that require customer authentication
+ * - Expects 'Authorization: Bearer <token>' header with valid JWT
+ * - Sets req.customer with the authenticated customer object
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const jwt = require('jsonwebtoken');
+const { Customer } = require('../models');
+
+/**
+ * Customer Authentication Middleware Function
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports = async function(req, res, next) {
+  const requestId = Math.random().toString(36).substring(2, 8);
+
+  try {
+    // Extract authorization header
+    const authHeader = req.header('Authorization');
+
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    if (!authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token format'
+      });
+    }
+
+    const token = authHeader.replace('Bearer ', '').trim();
+
+    try {
+      // Verify JWT token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+
+      // Extract customer ID from various possible token structures
+      const customerId = decoded._id ||
+                         (decoded.customer && decoded.customer.id) ||
+                         decoded.id ||
+                         (decoded.customer && decoded.customer._id) ||
+                         decoded.customerId;
+
+      if (!customerId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      // Find customer by ID
+      const customer = await Customer.findById(customerId);
+      if (!customer) {
+        return res.status(401).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      // Attach customer to request
+      req.customer = customer;
+      req.requestId = requestId;
+
+      next();
+    } catch (error) {
+      const errorMessage = error.name === 'TokenExpiredError'
+        ? 'Token has expired'
+        : 'Invalid token';
+
+      return res.status(401).json({
+        success: false,
+        message: errorMessage
+      });
+    }
+  } catch (err) {
+    console.error('Unexpected error in customer auth middleware:', err.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+      requestId: requestId || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Image Upload Middleware
+ *
+ * Accepts one image from a multipart/form-data request in the `image` field
+ * and keeps it in memory for the media pipeline (media.js). Requests that
+ * aren't multipart pass through untouched.
+ *
+ * Usage:
+ * - Add before handlers that accept an event image
+ * - Sets req.file ({ buffer, mimetype, size, ... }) when an image was sent
+ * - Other form fields arrive as strings in req.body
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES, isAcceptedImageType } = require('../media');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!isAcceptedImageType(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG, WebP and GIF images are allowed');
+      error.status = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('image');
+
+/**
+ * Image Upload Middleware Function
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports = function(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `Image must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+          : `Invalid upload: ${error.message}`
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to process upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  });
+};
@@ -0,0 +1,46 @@
+/**
+ * Migrate Event Images
+ *
+ * One-off script that moves base64 data URL images stored on events and
+ * series templates into the media storage backend, replacing them with
+ * URLs and thumbnails. Safe to run more than once; only data URLs are
+ * migrated.
+ *
+ * Usage:
+ *   MONGODB_URI=mongodb://localhost:27017/saath node migrate-event-images.js
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateBase64Images } = require('./media');
+
+const migrate = async () => {
+    if (!process.env.MONGODB_URI) {
+        console.error('❌ Set MONGODB_URI to the database to migrate');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        console.log('🖼️ Migrating base64 event images...');
+        const { migrated, failed } = await migrateBase64Images();
+
+        console.log(`✅ Migrated ${migrated} image(s)`);
+        if (failed > 0) {
+            console.log(`⚠️ ${failed} image(s) could not be migrated and were left as they are`);
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+// Run the migration
+migrate();
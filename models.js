@@ -12,12 +12,34 @@
  * - Comment: Forum comments and replies
  * - Message: Real-time chat messages
  * - Event: Event management and details
+ * - EventSeries: Recurring event series and their occurrence template
+ * - Venue: Saved venues with their address and coordinates, reused across events
+ * - Registration: Customer registrations for events
+ * - PromoCode: Admin-managed promo codes for event registrations
+ * - WaitlistEntry: Customers waiting for a sold-out pricing tier
+ * - Notification: In-app notifications for customers
+ * - EventAuditLog: Trail of automatic and cascading changes to events
+ * - EventVersion: Versioned change history of events, made by admins
+ * - JobLock: Leases that keep scheduled jobs to one server instance at a time
  * 
  * @author Saath Team
  * @version 1.0.0
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('./currency');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./timezone');
+
+// ISO-4217 currency code, stored uppercase
+const currencyField = {
+  type: String,
+  uppercase: true,
+  trim: true,
+  validate: {
+    validator: (value) => value === undefined || value === null || isValidCurrency(value),
+    message: (props) => `${props.value} is not an ISO-4217 currency code`
+  }
+};
 
 // ============================================================================
 // CUSTOMER MODEL
@@ -37,6 +59,9 @@ const mongoose = require('mongoose');
  * @field updatedAt - Last update timestamp
  * @field follower - Array of customers this user follows
  * @field followed - Array of customers following this user
+ * @field calendarFeedToken - Secret of the customer's iCal registrations feed
+ * @field attendanceVisibility - Who sees the events the customer is going to
+ *        (connections: mutual connections, hidden: nobody)
  */
 const customerSchema = new mongoose.Schema({
   name: { type: String },
@@ -46,7 +71,13 @@ const customerSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   follower: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }],
-  followed: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }]
+  followed: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }],
+  calendarFeedToken: { type: String, unique: true, sparse: true, select: false },
+  attendanceVisibility: {
+    type: String,
+    enum: ['connections', 'hidden'],
+    default: 'connections'
+  }
 });
 
 // ============================================================================
@@ -163,6 +194,71 @@ const messageSchema = new mongoose.Schema({
 // EVENT MODEL
 // ============================================================================
 
+/**
+ * Image Asset Schema
+ * 
+ * An image stored by the media pipeline (see media.js). Files are named by
+ * the SHA-256 of the original upload.
+ */
+const imageAssetSchema = new mongoose.Schema({
+  hash: { type: String },
+  mimeType: { type: String },
+  size: { type: Number },
+  width: { type: Number },
+  height: { type: Number },
+  storage: { type: String },
+  key: { type: String },
+  url: { type: String },
+  thumbnails: [{
+    _id: false,
+    size: { type: String },
+    width: { type: Number },
+    height: { type: Number },
+    key: { type: String },
+    url: { type: String }
+  }]
+}, { _id: false });
+
+/**
+ * GeoJSON Point Schema
+ * 
+ * Coordinates are [longitude, latitude], as 2dsphere indexes expect.
+ */
+const geoPointSchema = new mongoose.Schema({
+  type: { 
+    type: String, 
+    enum: ['Point'], 
+    required: true 
+  },
+  coordinates: { 
+    type: [Number], 
+    required: true,
+    validate: {
+      validator: (value) => value.length === 2 &&
+        value[0] >= -180 && value[0] <= 180 &&
+        value[1] >= -90 && value[1] <= 90,
+      message: 'coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Event Venue Schema
+ * 
+ * An event's copy of its venue (see venues.js). venueId refers to the saved
+ * venue it was copied from, if any.
+ */
+const eventVenueSchema = new mongoose.Schema({
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue' },
+  name: { type: String, trim: true },
+  address: { type: String, trim: true },
+  city: { type: String, trim: true },
+  region: { type: String, trim: true },
+  postalCode: { type: String, trim: true },
+  country: { type: String, trim: true },
+  location: { type: geoPointSchema }
+}, { _id: false });
+
 /**
  * Event Schema
  * 
@@ -170,20 +266,41 @@ const messageSchema = new mongoose.Schema({
  * structures, discount options, and status management.
  * 
  * @field eventName - Name of the event
- * @field date - Event date
- * @field eventTime - Start and end times
- * @field place - Event location
+ * @field date - Event calendar date (in the event's timezone)
+ * @field eventTime - Local start and end times
+ * @field timezone - IANA time zone of the date and times
+ * @field startsAt - Instant the event starts (derived)
+ * @field endsAt - Instant the event ends (derived)
+ * @field place - Event location, as shown to customers
+ * @field venue - Structured venue: address, city and GeoJSON coordinates (optional)
+ * @field attendanceMode - How customers attend (in-person/online/hybrid)
+ * @field meetingUrl - Link to join an online or hybrid event (only shown to registered customers)
  * @field tags - Array of tags for categorization
  * @field image - Event image URL
- * @field pricing - Array of pricing tiers with different options
+ * @field imageAsset - Stored image file, its metadata and thumbnails
+ * @field currency - ISO-4217 currency of the event's prices
+ * @field pricing - Array of pricing tiers with their capacity (a tier may set its own currency)
  * @field discountOptions - Group discount configurations
+ * @field refundPolicy - Refund percentage by days before the event
  * @field organizer - Event organizer name
  * @field description - Detailed event description
  * @field duration - Event duration
  * @field maxAttendees - Maximum number of attendees
- * @field availableSlots - Current available slots
+ * @field availableSlots - Current available slots (derived, see capacity.js)
+ * @field seatsChangedAt - Last time seats were held or released
+ * @field slotsRefreshedAt - Last time a customer refreshed the available slots
+ * @field registrationCutoffMinutes - Registration closes this many minutes before the start
+ * @field registrationClosedAt - When the lifecycle jobs closed registration
+ * @field cancellation - Reason, time and admin of the event's cancellation
+ * @field archivedAt - When the event was archived instead of deleted
+ * @field archivedBy - Admin who archived the event
  * @field status - Event status (draft/published/cancelled/completed)
- * @field createdBy - Reference to admin who created the event
+ * @field createdBy - Reference to admin who created (and owns) the event
+ * @field collaborators - Other admins working on the event, with their role (editor/check-in-staff/viewer)
+ * @field seriesId - Series this event is an occurrence of (optional)
+ * @field clonedFrom - Event this event was cloned from (optional)
+ * @field version - Number of the event's latest version (see EventVersion)
+ * @field pendingChanges - Edits of a published event staged until it is published again: { fields, stagedBy, stagedAt }
  * @field attendees - Array of registered customers
  * @field createdAt - Event creation timestamp
  * @field updatedAt - Last update timestamp
@@ -208,11 +325,38 @@ const eventSchema = new mongoose.Schema({
       required: true 
     }
   },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: (value) => isValidTimeZone(value),
+      message: (props) => `${props.value} is not an IANA time zone`
+    }
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
   place: { 
     type: String, 
     required: true,
     trim: true
   },
+  venue: { 
+    type: eventVenueSchema, 
+    default: null 
+  },
+  attendanceMode: { 
+    type: String, 
+    enum: ['in-person', 'online', 'hybrid'],
+    default: 'in-person'
+  },
+  meetingUrl: { 
+    type: String, 
+    trim: true 
+  },
   tags: [{ 
     type: String, 
     trim: true 
@@ -220,12 +364,21 @@ const eventSchema = new mongoose.Schema({
   image: { 
     type: String 
   },
+  imageAsset: {
+    type: imageAssetSchema,
+    default: null
+  },
+  currency: {
+    ...currencyField,
+    default: DEFAULT_CURRENCY
+  },
   pricing: [{
     name: { 
       type: String, 
       required: true,
       trim: true
     },
+    currency: currencyField, // Overrides the event currency for this tier
     description: { 
       type: String, 
       trim: true
@@ -239,10 +392,14 @@ const eventSchema = new mongoose.Schema({
       type: String, 
       trim: true 
     }],
+    capacity: {
+      type: Number,
+      min: 1 // Seats of the tier; slotsAvailable is derived from it (see capacity.js)
+    },
     slotsAvailable: { 
       type: Number, 
       required: true,
-      min: 1
+      min: 0 // Reaches 0 when the tier sells out
     }
   }],
   discountOptions: [{
@@ -263,6 +420,22 @@ const eventSchema = new mongoose.Schema({
       max: 100
     }
   }],
+  refundPolicy: {
+    type: [{
+      daysBefore: { 
+        type: Number, 
+        required: true,
+        min: 0
+      },
+      refundPercentage: { 
+        type: Number, 
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }],
+    default: [{ daysBefore: 0, refundPercentage: 100 }] // Full refund until the event starts
+  },
   organizer: { 
     type: String, 
     required: true,
@@ -286,7 +459,34 @@ const eventSchema = new mongoose.Schema({
   availableSlots: { 
     type: Number, 
     required: true,
-    min: 1
+    min: 0 // Reaches 0 when the event sells out
+  },
+  seatsChangedAt: {
+    type: Date // Last time seats were held or released
+  },
+  slotsRefreshedAt: {
+    type: Date // Last time a customer refreshed the available slots
+  },
+  registrationCutoffMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  registrationClosedAt: {
+    type: Date
+  },
+  cancellation: {
+    reason: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
   },
   status: { 
     type: String, 
@@ -298,6 +498,33 @@ const eventSchema = new mongoose.Schema({
     ref: 'Admin', 
     required: true 
   },
+  collaborators: [{
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+    role: { 
+      type: String, 
+      enum: ['editor', 'check-in-staff', 'viewer'],
+      required: true
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  seriesId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'EventSeries' 
+  },
+  clonedFrom: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Event' 
+  },
+  version: { 
+    type: Number, 
+    default: 0 
+  },
+  pendingChanges: { 
+    type: mongoose.Schema.Types.Mixed, 
+    default: null,
+    select: false // Unpublished; only admin routes load it
+  },
   attendees: [{ 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Customer' 
@@ -322,6 +549,854 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+// Occurrences of a series are listed and edited in date order
+eventSchema.index({ seriesId: 1, date: 1 });
+
+// Listings filter and sort by the real start time
+eventSchema.index({ status: 1, startsAt: 1 });
+
+// The lifecycle jobs look for published events that have ended
+eventSchema.index({ status: 1, endsAt: 1 });
+
+// Admins list the events they collaborate on
+eventSchema.index({ 'collaborators.adminId': 1 });
+
+// Customers search for events near them
+eventSchema.index({ 'venue.location': '2dsphere' });
+
+// Event searches rank matches in the name above tags, organizer, place and
+// description (see eventSearch.js)
+eventSchema.index(
+  { eventName: 'text', tags: 'text', organizer: 'text', place: 'text', description: 'text' },
+  {
+    name: 'event_text_search',
+    weights: { eventName: 10, tags: 5, organizer: 3, place: 2, description: 1 },
+    default_language: 'english'
+  }
+);
+
+// ============================================================================
+// EVENT SERIES MODEL
+// ============================================================================
+
+/**
+ * Event Series Schema
+ * 
+ * Represents a recurring event. The series keeps the recurrence rule and the
+ * template (pricing, discounts, details) its occurrences are created from;
+ * each occurrence is a regular Event with its own slots and registrations.
+ * 
+ * @field recurrence - Recurrence rule
+ * @field recurrence.frequency - 'weekly' or 'monthly'
+ * @field recurrence.interval - Every N weeks/months (default: 1)
+ * @field recurrence.daysOfWeek - Weekdays for weekly series (0 = Sunday)
+ * @field recurrence.dayOfMonth - Day of the month for monthly series
+ * @field recurrence.startDate - First possible occurrence (its time of day is kept)
+ * @field recurrence.endDate - Last possible occurrence
+ * @field recurrence.exceptions - Dates skipped by the series
+ * @field template - Event fields shared by the occurrences
+ * @field createdBy - Reference to admin who created the series
+ * @field createdAt - Series creation timestamp
+ * @field updatedAt - Last update timestamp
+ */
+const eventSeriesSchema = new mongoose.Schema({
+  recurrence: {
+    frequency: { 
+      type: String, 
+      enum: ['weekly', 'monthly'],
+      required: true
+    },
+    interval: { 
+      type: Number, 
+      default: 1,
+      min: 1
+    },
+    daysOfWeek: [{ 
+      type: Number, 
+      min: 0,
+      max: 6
+    }],
+    dayOfMonth: { 
+      type: Number, 
+      min: 1,
+      max: 31
+    },
+    startDate: { 
+      type: Date, 
+      required: true 
+    },
+    endDate: { 
+      type: Date, 
+      required: true 
+    },
+    exceptions: [{ 
+      type: Date 
+    }]
+  },
+  template: { 
+    type: mongoose.Schema.Types.Mixed, 
+    required: true 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Admin', 
+    required: true 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+eventSeriesSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// ============================================================================
+// EVENT TEMPLATE MODEL
+// ============================================================================
+
+/**
+ * Event Template Schema
+ * 
+ * A named set of event fields (details, pricing tiers with capacities,
+ * discount options, refund policy, image) an admin reuses to create events.
+ * Templates are private to the admin who saved them.
+ * 
+ * @field name - Template name (unique per admin)
+ * @field template - Event fields the template fills in
+ * @field sourceEventId - Event the template was saved from (optional)
+ * @field createdBy - Reference to admin who owns the template
+ * @field createdAt - Template creation timestamp
+ * @field updatedAt - Last update timestamp
+ */
+const eventTemplateSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    trim: true 
+  },
+  template: { 
+    type: mongoose.Schema.Types.Mixed, 
+    required: true 
+  },
+  sourceEventId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Event' 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Admin', 
+    required: true 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+eventTemplateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Template names are unique per admin
+eventTemplateSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+// ============================================================================
+// VENUE MODEL
+// ============================================================================
+
+/**
+ * Venue Schema
+ * 
+ * A venue saved for reuse. Events copy its fields when they are created or
+ * updated with its venueId, so changing it doesn't change those events.
+ * 
+ * @field name - Venue name
+ * @field address - Street address
+ * @field city - City
+ * @field region - State, province or region
+ * @field postalCode - Postal code
+ * @field country - Country
+ * @field location - GeoJSON point of the venue
+ * @field createdBy - Admin who saved the venue
+ * @field createdAt - Creation timestamp
+ * @field updatedAt - Last update timestamp
+ */
+const venueSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true,
+    trim: true
+  },
+  address: { 
+    type: String, 
+    trim: true 
+  },
+  city: { 
+    type: String, 
+    trim: true 
+  },
+  region: { 
+    type: String, 
+    trim: true 
+  },
+  postalCode: { 
+    type: String, 
+    trim: true 
+  },
+  country: { 
+    type: String, 
+    trim: true 
+  },
+  location: { 
+    type: geoPointSchema, 
+    required: true 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Admin', 
+    required: true 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+venueSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Admins search saved venues by name and by distance
+venueSchema.index({ name: 1 });
+venueSchema.index({ location: '2dsphere' });
+
+// ============================================================================
+// REGISTRATION MODEL
+// ============================================================================
+
+/**
+ * Registration Schema
+ * 
+ * Defines the structure for event registrations with comprehensive
+ * tracking of pricing, discounts, payment status, and check-in information.
+ * 
+ * @field eventId - Reference to the event
+ * @field customerId - Reference to the customer
+ * @field pricingTier - Selected pricing tier details
+ * @field currency - Currency the registration is priced and paid in
+ * @field attendeeCount - Number of attendees
+ * @field attendees - Named attendees, each with their own check-in record
+ * @field appliedDiscount - Applied discount information
+ * @field promoCode - Promo code redeemed by the registration
+ * @field finalPrice - Amount charged for the registration
+ * @field registrationDate - Registration timestamp
+ * @field status - Registration status (pending/confirmed/cancelled/refunded)
+ * @field paymentStatus - Payment status (pending/paid/failed/refunded)
+ * @field payment - Payment intent opened with the gateway
+ * @field holdExpiresAt - When an unpaid registration releases its seats
+ * @field cancellationReason - Why the registration was cancelled
+ * @field refund - Refund request and its review/processing state
+ * @field specialRequests - Customer special requests
+ * @field hideAttendance - Keeps the registration from being shown to the customer's connections
+ * @field ticket - Secret behind the signed ticket token (QR code)
+ * @field checkInStatus - Check-in status (not-checked-in/partially-checked-in/checked-in)
+ * @field checkInTime - Check-in timestamp
+ * @field remindersSent - Reminders already sent, keyed by offset and event start
+ * @field checkInLog - Ticket scans with the admin who scanned and the outcome
+ */
+const registrationSchema = new mongoose.Schema({
+  eventId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Event', 
+    required: true 
+  },
+  customerId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Customer', 
+    required: true 
+  },
+  pricingTier: {
+    name: { type: String, required: true },
+    price: { type: Number, required: true },
+    currency: { type: String },
+    description: { type: String }
+  },
+  currency: currencyField,
+  attendeeCount: { 
+    type: Number, 
+    required: true, 
+    default: 1,
+    min: 1 
+  },
+  attendees: [{
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    checkInStatus: { 
+      type: String, 
+      enum: ['not-checked-in', 'checked-in'],
+      default: 'not-checked-in'
+    },
+    checkInTime: { type: Date },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  }],
+  appliedDiscount: {
+    name: { type: String },
+    percentageDiscount: { type: Number },
+    originalPrice: { type: Number },
+    finalPrice: { type: Number }
+  },
+  promoCode: {
+    codeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode' },
+    code: { type: String },
+    discountType: { type: String, enum: ['percentage', 'fixed'] },
+    value: { type: Number },
+    discountAmount: { type: Number },
+    redeemedAt: { type: Date }
+  },
+  finalPrice: { 
+    type: Number, 
+    min: 0 
+  },
+  registrationDate: { 
+    type: Date, 
+    default: Date.now 
+  },
+  status: { 
+    type: String, 
+    enum: ['pending', 'confirmed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  paymentStatus: { 
+    type: String, 
+    enum: ['pending', 'paid', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  payment: {
+    provider: { type: String },
+    intentId: { type: String },
+    amount: { type: Number }, // Minor currency units (e.g. cents)
+    currency: { type: String },
+    paidAt: { type: Date },
+    failureReason: { type: String }
+  },
+  holdExpiresAt: { 
+    type: Date 
+  },
+  cancellationReason: { 
+    type: String 
+  },
+  refund: {
+    status: { 
+      type: String, 
+      enum: ['requested', 'processing', 'denied', 'refunded']
+    },
+    reason: { type: String },
+    requestedAt: { type: Date },
+    refundPercentage: { type: Number },
+    amount: { type: Number }, // Minor currency units (e.g. cents)
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date },
+    adminNote: { type: String },
+    gatewayRefundId: { type: String },
+    refundedAt: { type: Date }
+  },
+  specialRequests: { 
+    type: String 
+  },
+  hideAttendance: {
+    type: Boolean,
+    default: false
+  },
+  ticket: {
+    nonce: { type: String },
+    issuedAt: { type: Date }
+  },
+  checkInStatus: { 
+    type: String, 
+    enum: ['not-checked-in', 'partially-checked-in', 'checked-in'],
+    default: 'not-checked-in'
+  },
+  checkInTime: { 
+    type: Date 
+  },
+  checkInLog: [{
+    scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    scannedAt: { type: Date, default: Date.now },
+    outcome: { type: String },
+    attendeeIds: [{ type: mongoose.Schema.Types.ObjectId }]
+  }],
+  remindersSent: [{ 
+    type: String // e.g. "24h@2024-01-15T14:00:00.000Z"
+  }]
+});
+
+// Webhooks look registrations up by the gateway's payment intent id
+registrationSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+
+// The expiry sweep looks for unpaid registrations whose hold has run out
+registrationSchema.index({ status: 1, paymentStatus: 1, holdExpiresAt: 1 });
+
+// Admins list refund requests by state
+registrationSchema.index({ 'refund.status': 1, eventId: 1 });
+
+// Admins list and export an event's roster by tier
+registrationSchema.index({ eventId: 1, 'pricingTier.name': 1, registrationDate: 1 });
+
+// Event pages look up which of a customer's connections are going
+registrationSchema.index({ eventId: 1, customerId: 1, status: 1 });
+
+// Promo code limits and reports count redemptions by code
+registrationSchema.index({ 'promoCode.codeId': 1, customerId: 1 }, { sparse: true });
+
+// ============================================================================
+// PROMO CODE MODEL
+// ============================================================================
+
+/**
+ * Promo Code Schema
+ * 
+ * Represents a promo code an admin offers on their events. A code takes a
+ * percentage or a fixed amount off a registration and can be limited to
+ * specific events, pricing tiers or event tags (empty lists mean any).
+ * 
+ * @field code - Code customers enter (stored uppercase)
+ * @field description - Internal description
+ * @field discountType - 'percentage' or 'fixed'
+ * @field value - Percentage (1-100) or fixed amount off the registration
+ * @field currency - Currency of a fixed amount (fixed codes only apply in it)
+ * @field scope - Events, pricing tier names and event tags the code applies to
+ * @field maxRedemptions - Total redemptions allowed (null for unlimited)
+ * @field redemptionCount - Redemptions made so far
+ * @field perCustomerLimit - Redemptions allowed per customer
+ * @field validFrom - Start of the validity window (optional)
+ * @field validUntil - End of the validity window (optional)
+ * @field stackable - Whether the code combines with group discounts
+ * @field active - Whether the code can currently be redeemed
+ * @field createdBy - Reference to admin who created the code
+ * @field createdAt - Creation timestamp
+ * @field updatedAt - Last update timestamp
+ */
+const promoCodeSchema = new mongoose.Schema({
+  code: { 
+    type: String, 
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: { 
+    type: String, 
+    trim: true 
+  },
+  discountType: { 
+    type: String, 
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: { 
+    type: Number, 
+    required: true,
+    min: 0
+  },
+  currency: currencyField,
+  scope: {
+    events: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }],
+    pricingTiers: [{ type: String, trim: true }],
+    tags: [{ type: String, trim: true }]
+  },
+  maxRedemptions: { 
+    type: Number, 
+    default: null,
+    min: 1
+  },
+  redemptionCount: { 
+    type: Number, 
+    default: 0,
+    min: 0
+  },
+  perCustomerLimit: { 
+    type: Number, 
+    default: 1,
+    min: 1
+  },
+  validFrom: { 
+    type: Date 
+  },
+  validUntil: { 
+    type: Date 
+  },
+  stackable: { 
+    type: Boolean, 
+    default: false 
+  },
+  active: { 
+    type: Boolean, 
+    default: true 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Admin', 
+    required: true 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+// Update the updatedAt field before saving
+promoCodeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// ============================================================================
+// WAITLIST MODEL
+// ============================================================================
+
+/**
+ * Waitlist Entry Schema
+ * 
+ * Represents a customer waiting for seats in a sold-out pricing tier. When
+ * seats free up, the next entry is offered them for a limited claim window
+ * while the seats are held for it.
+ * 
+ * @field eventId - Reference to the event
+ * @field pricingTierName - Name of the sold-out pricing tier
+ * @field customerId - Reference to the waiting customer
+ * @field attendeeCount - Number of seats wanted
+ * @field status - Entry status (waiting/offered/claimed/expired/cancelled)
+ * @field offeredAt - When seats were offered
+ * @field offerExpiresAt - When an unclaimed offer lapses
+ * @field registrationId - Registration created by claiming the offer
+ * @field createdAt - When the customer joined the waitlist (queue order)
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Event', 
+    required: true 
+  },
+  pricingTierName: { 
+    type: String, 
+    required: true 
+  },
+  customerId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Customer', 
+    required: true 
+  },
+  attendeeCount: { 
+    type: Number, 
+    required: true, 
+    default: 1,
+    min: 1 
+  },
+  status: { 
+    type: String, 
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: { 
+    type: Date 
+  },
+  offerExpiresAt: { 
+    type: Date 
+  },
+  registrationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Registration' 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+// Queue order per tier, and the offer expiry sweep
+waitlistEntrySchema.index({ eventId: 1, pricingTierName: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// ============================================================================
+// NOTIFICATION MODEL
+// ============================================================================
+
+/**
+ * Notification Schema
+ * 
+ * Represents an in-app notification shown to a customer.
+ * 
+ * @field recipient - Reference to the customer being notified
+ * @field type - Notification type (e.g. 'waitlist-offer')
+ * @field title - Short heading
+ * @field message - Notification text
+ * @field data - Extra identifiers for the client (event, registration, ...)
+ * @field read - Whether the customer has read it
+ * @field createdAt - Notification creation timestamp
+ */
+const notificationSchema = new mongoose.Schema({
+  recipient: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Customer', 
+    required: true 
+  },
+  type: { 
+    type: String, 
+    required: true 
+  },
+  title: { 
+    type: String, 
+    required: true 
+  },
+  message: { 
+    type: String, 
+    required: true 
+  },
+  data: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  read: { 
+    type: Boolean, 
+    default: false 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+
+// ============================================================================
+// EVENT AUDIT LOG MODEL
+// ============================================================================
+
+/**
+ * Event Audit Log Schema
+ * 
+ * Records a change made to an event by the scheduled lifecycle jobs, by a
+ * cascade such as cancelling or archiving the event, or by an admin
+ * messaging its registrants or changing its collaborators.
+ * 
+ * @field eventId - Reference to the changed event
+ * @field action - What happened (status-change/registration-closed/reminders-sent/archived/message-sent/collaborator-changed)
+ * @field from - Value before the change (e.g. previous status)
+ * @field to - Value after the change
+ * @field actor - Who made the change ('system' for scheduled jobs, otherwise the admin ID)
+ * @field job - Name of the job that made the change
+ * @field details - Extra information (e.g. number of reminders sent)
+ * @field createdAt - When the change was made
+ */
+const eventAuditLogSchema = new mongoose.Schema({
+  eventId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Event', 
+    required: true 
+  },
+  action: { 
+    type: String, 
+    required: true 
+  },
+  from: { 
+    type: String 
+  },
+  to: { 
+    type: String 
+  },
+  actor: { 
+    type: String, 
+    default: 'system' 
+  },
+  job: { 
+    type: String 
+  },
+  details: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+eventAuditLogSchema.index({ eventId: 1, createdAt: -1 });
+
+// ============================================================================
+// EVENT VERSION MODEL
+// ============================================================================
+
+/**
+ * Event Version Schema
+ * 
+ * One version in the change history of an event: a create, edit, status
+ * change, revert or publish made by an admin (see eventVersions.js).
+ * 
+ * @field eventId - Reference to the changed event
+ * @field version - Version number, counting from 1 per event
+ * @field action - What happened (created/updated/status-changed/published-changes/reverted)
+ * @field changes - Fields that changed, with their values before and after
+ * @field snapshot - Versioned fields of the event after the change
+ * @field changedBy - Admin who made the change
+ * @field details - Extra information (e.g. the version reverted to)
+ * @field createdAt - When the change was made
+ */
+const eventVersionSchema = new mongoose.Schema({
+  eventId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Event', 
+    required: true 
+  },
+  version: { 
+    type: Number, 
+    required: true 
+  },
+  action: { 
+    type: String, 
+    enum: ['created', 'updated', 'status-changed', 'published-changes', 'reverted'],
+    required: true 
+  },
+  changes: [{
+    _id: false,
+    field: { type: String },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  }],
+  snapshot: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  changedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Admin' 
+  },
+  details: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+// Each version number is used once per event; history is read newest first
+eventVersionSchema.index({ eventId: 1, version: -1 }, { unique: true });
+
+// ============================================================================
+// JOB LOCK MODEL
+// ============================================================================
+
+/**
+ * Job Lock Schema
+ * 
+ * A lease on a scheduled job. Only the server instance holding an unexpired
+ * lease runs the job, so PM2 cluster instances don't all run it at once.
+ * 
+ * @field name - Job name (unique)
+ * @field owner - Instance holding the lease
+ * @field lockedUntil - When the lease expires
+ * @field lastRunAt - When the job last started
+ */
+const jobLockSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    unique: true 
+  },
+  owner: { 
+    type: String 
+  },
+  lockedUntil: { 
+    type: Date 
+  },
+  lastRunAt: { 
+    type: Date 
+  }
+});
+
+// ============================================================================
+// EVENT STATS ROLLUP MODEL
+// ============================================================================
+
+/**
+ * Event Stats Rollup Schema
+ * 
+ * Registration totals of one event, pricing tier, currency and registration
+ * day (UTC), pre-aggregated from registrations by the refresh-analytics job
+ * so the analytics dashboard doesn't scan registrations. Money is in the
+ * currency's major units.
+ * 
+ * @field _id - "<eventId>|<tier>|<currency>|<YYYY-MM-DD>"
+ * @field eventId - Event the registrations are for
+ * @field createdBy - Admin who created the event
+ * @field organizer - Organizer of the event
+ * @field tier - Pricing tier name
+ * @field currency - Currency of the registrations
+ * @field day - Registration day (UTC midnight)
+ * @field eventStartsAt - Start of the event
+ * @field registrations - Registrations made
+ * @field attendees - Seats requested by those registrations
+ * @field confirmed - Registrations still confirmed
+ * @field confirmedAttendees - Seats of confirmed registrations
+ * @field cancelled - Registrations cancelled
+ * @field refunded - Registrations refunded
+ * @field payments - Registrations that were paid for
+ * @field grossRevenue - finalPrice of registrations that were paid for
+ * @field refunds - Amount refunded
+ * @field discountCost - Group discounts and promo codes given on confirmed or refunded registrations
+ * @field attended - Confirmed registrations of started events with a check-in
+ * @field noShows - Confirmed registrations of started events without a check-in
+ * @field refreshedAt - When the job last wrote the rollup
+ */
+const eventStatsRollupSchema = new mongoose.Schema({
+  _id: { type: String },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  organizer: { type: String },
+  tier: { type: String },
+  currency: { type: String },
+  day: { type: Date },
+  eventStartsAt: { type: Date },
+  registrations: { type: Number, default: 0 },
+  attendees: { type: Number, default: 0 },
+  confirmed: { type: Number, default: 0 },
+  confirmedAttendees: { type: Number, default: 0 },
+  cancelled: { type: Number, default: 0 },
+  refunded: { type: Number, default: 0 },
+  payments: { type: Number, default: 0 },
+  grossRevenue: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  discountCost: { type: Number, default: 0 },
+  attended: { type: Number, default: 0 },
+  noShows: { type: Number, default: 0 },
+  refreshedAt: { type: Date }
+}, { versionKey: false });
+
+// Dashboards read an admin's rollups by day, optionally for one organizer
+eventStatsRollupSchema.index({ createdBy: 1, day: 1 });
+eventStatsRollupSchema.index({ createdBy: 1, organizer: 1, day: 1 });
+
 // ============================================================================
 // MODEL CREATION AND EXPORT
 // ============================================================================
@@ -333,6 +1408,17 @@ const Forum = mongoose.models.Forum || mongoose.model('Forum', forumSchema, 'For
 const Comment = mongoose.models.Comment || mongoose.model('Comment', commentSchema);
 const Message = mongoose.models.Message || mongoose.model('Message', messageSchema);
 const Event = mongoose.models.Event || mongoose.model('Event', eventSchema);
+const EventSeries = mongoose.models.EventSeries || mongoose.model('EventSeries', eventSeriesSchema);
+const EventTemplate = mongoose.models.EventTemplate || mongoose.model('EventTemplate', eventTemplateSchema);
+const Venue = mongoose.models.Venue || mongoose.model('Venue', venueSchema);
+const Registration = mongoose.models.Registration || mongoose.model('Registration', registrationSchema);
+const PromoCode = mongoose.models.PromoCode || mongoose.model('PromoCode', promoCodeSchema);
+const WaitlistEntry = mongoose.models.WaitlistEntry || mongoose.model('WaitlistEntry', waitlistEntrySchema);
+const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
+const EventAuditLog = mongoose.models.EventAuditLog || mongoose.model('EventAuditLog', eventAuditLogSchema);
+const EventVersion = mongoose.models.EventVersion || mongoose.model('EventVersion', eventVersionSchema);
+const JobLock = mongoose.models.JobLock || mongoose.model('JobLock', jobLockSchema);
+const EventStatsRollup = mongoose.models.EventStatsRollup || mongoose.model('EventStatsRollup', eventStatsRollupSchema);
 
 // Export all models
 module.exports = {
@@ -341,5 +1427,16 @@ module.exports = {
   Forum,
   Comment,
   Message,
-  Event
+  Event,
+  EventSeries,
+  EventTemplate,
+  Venue,
+  Registration,
+  PromoCode,
+  WaitlistEntry,
+  Notification,
+  EventAuditLog,
+  EventVersion,
+  JobLock,
+  EventStatsRollup
 };
@@ -0,0 +1,49 @@
+/**
+ * Notifications
+ *
+ * This module creates in-app notifications for customers. Other modules call
+ * notifyCustomer when something happens that a customer should hear about;
+ * customers read them through the event notifications API.
+ *
+ * Notification types:
+ * - waitlist-offer - Seats opened up and are held for a waitlisted customer
+ * - waitlist-offer-expired - A waitlist offer lapsed without being claimed
+ * - event-reminder - An event the customer registered for starts soon
+ * - event-cancelled - An event the customer registered or waited for was cancelled
+ * - event-updated - The date, time or place of an event the customer registered for changed
+ * - event-message - A message from an event's organizer to its registrants
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Notification } = require('./models');
+
+/**
+ * Notify Customer
+ *
+ * Stores an in-app notification for a customer. Failures are logged and
+ * swallowed so a notification problem never undoes the change it reports.
+ *
+ * @param {string} customerId - Customer to notify
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Promise<Object|null>} Created notification, or null if it could not be stored
+ */
+async function notifyCustomer(customerId, { type, title, message, data }) {
+  try {
+    return await Notification.create({
+      recipient: customerId,
+      type,
+      title,
+      message,
+      data
+    });
+  } catch (error) {
+    console.error(`Failed to notify customer ${customerId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  notifyCustomer
+};
@@ -0,0 +1,336 @@
+/**
+ * Payment Gateway Adapters
+ *
+ * This module defines the adapter interface the payments subsystem talks to,
+ * and the gateways that implement it: Stripe, and a fake gateway for
+ * development. Another provider is added by implementing the same methods and
+ * registering it in GATEWAYS below.
+ *
+ * Adapter interface:
+ * - name - Identifier stored on Registration.payment.provider
+ * - requiredSettings - Environment variables the gateway can't run without
+ * - createPaymentIntent({ amount, currency, metadata }) - Opens an intent, resolves to { id, clientSecret, status }
+ * - cancelPaymentIntent(intentId) - Voids an intent that will never be paid
+ * - refundPayment(intentId, amount) - Refunds part or all of a paid intent, resolves to { id, status }
+ * - parseWebhook(rawBody, headers) - Verifies the signature and resolves to { type, intentId, reason }
+ *
+ * Normalised webhook types:
+ * - payment.succeeded - The customer paid
+ * - payment.failed - The payment attempt failed
+ *
+ * Configuration:
+ * - PAYMENT_GATEWAY - 'stripe' or 'fake' (default: 'fake'; production must use a real gateway)
+ * - PAYMENT_WEBHOOK_SECRET - Secret the gateway signs webhooks with
+ * - STRIPE_SECRET_KEY - Stripe API secret key
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// The fallback secret is public; assertPaymentConfig refuses it in production
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'your_webhook_secret';
+
+// Settings production must set rather than fall back to the fake gateway's defaults
+const REQUIRED_PRODUCTION_SETTINGS = ['PAYMENT_GATEWAY', 'PAYMENT_WEBHOOK_SECRET'];
+
+// ============================================================================
+// WEBHOOK SIGNING
+// ============================================================================
+
+/**
+ * Sign Webhook Payload
+ *
+ * Computes the HMAC-SHA256 signature sent in the `x-payment-signature` header.
+ *
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @returns {string} Hex encoded signature
+ */
+function signWebhookPayload(rawBody) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+/**
+ * Verify Webhook Signature
+ *
+ * Compares the provided signature with the expected one in constant time.
+ *
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {string} signature - Value of the `x-payment-signature` header
+ * @returns {boolean} True if the signature matches
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature) return false;
+
+  const expected = Buffer.from(signWebhookPayload(rawBody), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// ============================================================================
+// FAKE GATEWAY
+// ============================================================================
+
+/**
+ * Fake Payment Gateway
+ *
+ * Local gateway for development and test scripts. Intents are never charged;
+ * they are settled by posting a signed webhook (see the simulate route in
+ * paymentRoutes.js).
+ */
+const fakeGateway = {
+  name: 'fake',
+  requiredSettings: [],
+
+  async createPaymentIntent({ amount, currency }) {
+    const id = `fake_pi_${uuidv4().replace(/-/g, '')}`;
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment',
+      amount,
+      currency
+    };
+  },
+
+  async cancelPaymentIntent(intentId) {
+    return { id: intentId, status: 'cancelled' };
+  },
+
+  async refundPayment(intentId, amount) {
+    return {
+      id: `fake_re_${uuidv4().replace(/-/g, '')}`,
+      intentId,
+      amount,
+      status: 'succeeded'
+    };
+  },
+
+  async parseWebhook(rawBody, headers) {
+    if (!verifyWebhookSignature(rawBody, headers['x-payment-signature'])) {
+      const error = new Error('Invalid webhook signature');
+      error.status = 401;
+      throw error;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      type: payload.type,
+      intentId: payload.data && payload.data.intentId,
+      reason: payload.data && payload.data.reason
+    };
+  }
+};
+
+// ============================================================================
+// STRIPE GATEWAY
+// ============================================================================
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+// Oldest webhook timestamp accepted, against replays of captured webhooks
+const STRIPE_WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Stripe event types and the normalised types they map to
+const STRIPE_EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed'
+};
+
+/**
+ * Stripe Request
+ *
+ * @param {string} path - API path, e.g. '/payment_intents'
+ * @param {Object} params - Form parameters; nested objects become key[subkey]
+ * @param {string} idempotencyKey - Makes retries of the same request safe (optional)
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} With the Stripe error message if the request fails
+ */
+async function stripeRequest(path, params = {}, idempotencyKey) {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'object') {
+      for (const [subkey, subvalue] of Object.entries(value)) {
+        body.append(`${key}[${subkey}]`, String(subvalue));
+      }
+    } else {
+      body.append(key, String(value));
+    }
+  }
+
+  const response = await fetch(`${STRIPE_API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+    },
+    body
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Stripe request failed (${response.status}): ${(payload.error && payload.error.message) || 'unknown error'}`);
+  }
+
+  return payload;
+}
+
+/**
+ * Verify Stripe Signature
+ *
+ * Checks the `stripe-signature` header ("t=<timestamp>,v1=<signature>,...")
+ * against the HMAC-SHA256 of "<timestamp>.<body>" in constant time.
+ *
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {string} header - Value of the `stripe-signature` header
+ * @returns {boolean} True if a v1 signature matches and the timestamp is recent
+ */
+function verifyStripeSignature(rawBody, header) {
+  if (!rawBody || !header) return false;
+
+  const parts = String(header).split(',').map(part => part.split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > STRIPE_WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody.toString()}`)
+    .digest();
+
+  return signatures.some(signature => {
+    const provided = Buffer.from(signature, 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(expected, provided);
+  });
+}
+
+/**
+ * Stripe Payment Gateway
+ *
+ * Talks to the Stripe API directly. Amounts are already in minor units, as
+ * Stripe expects. Configure a Stripe webhook endpoint for
+ * payment_intent.succeeded and payment_intent.payment_failed pointing at
+ * /api/payments/webhook, and set its signing secret as PAYMENT_WEBHOOK_SECRET.
+ */
+const stripeGateway = {
+  name: 'stripe',
+  requiredSettings: ['STRIPE_SECRET_KEY'],
+
+  async createPaymentIntent({ amount, currency, metadata }) {
+    const intent = await stripeRequest('/payment_intents', {
+      amount,
+      currency: currency.toLowerCase(),
+      metadata
+    }, metadata && metadata.registrationId && `registration-${metadata.registrationId}`);
+
+    return {
+      id: intent.id,
+      clientSecret: intent.client_secret,
+      status: intent.status,
+      amount,
+      currency
+    };
+  },
+
+  async cancelPaymentIntent(intentId) {
+    const intent = await stripeRequest(`/payment_intents/${encodeURIComponent(intentId)}/cancel`);
+    return { id: intent.id, status: intent.status };
+  },
+
+  async refundPayment(intentId, amount) {
+    const refund = await stripeRequest('/refunds', { payment_intent: intentId, amount });
+    return {
+      id: refund.id,
+      intentId,
+      amount: refund.amount,
+      status: refund.status
+    };
+  },
+
+  async parseWebhook(rawBody, headers) {
+    if (!verifyStripeSignature(rawBody, headers['stripe-signature'])) {
+      const error = new Error('Invalid webhook signature');
+      error.status = 401;
+      throw error;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    const intent = (payload.data && payload.data.object) || {};
+    return {
+      type: STRIPE_EVENT_TYPES[payload.type] || payload.type,
+      intentId: intent.id,
+      reason: intent.last_payment_error && intent.last_payment_error.message
+    };
+  }
+};
+
+// ============================================================================
+// GATEWAY REGISTRY
+// ============================================================================
+
+const GATEWAYS = {
+  stripe: stripeGateway,
+  fake: fakeGateway
+};
+
+/**
+ * Get Payment Gateway
+ *
+ * Returns the adapter selected by the PAYMENT_GATEWAY environment variable,
+ * or a specific adapter by name (e.g. the provider a payment was made with).
+ *
+ * @param {string} name - Gateway name (optional)
+ * @returns {Object} Payment gateway adapter
+ */
+function getPaymentGateway(name = process.env.PAYMENT_GATEWAY || 'fake') {
+  const gateway = GATEWAYS[name];
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  return gateway;
+}
+
+/**
+ * Assert Payment Config
+ *
+ * Throws in production unless a real gateway, its settings and the webhook
+ * secret are set explicitly, so a deployment never runs on the fake gateway
+ * or with the public fallback secret.
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @throws {Error} If a required setting is missing, or the gateway is unknown or the fake one
+ */
+function assertPaymentConfig(env = process.env) {
+  if (env.NODE_ENV !== 'production') return;
+
+  const missing = REQUIRED_PRODUCTION_SETTINGS.filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(' and ')} must be set in production`);
+  }
+
+  const gateway = getPaymentGateway(env.PAYMENT_GATEWAY);
+  if (gateway === fakeGateway) {
+    throw new Error('The fake payment gateway cannot be used in production; set PAYMENT_GATEWAY to a real gateway');
+  }
+
+  const missingGatewaySettings = gateway.requiredSettings.filter(name => !env[name]);
+  if (missingGatewaySettings.length > 0) {
+    throw new Error(`${missingGatewaySettings.join(' and ')} must be set for the ${gateway.name} payment gateway`);
+  }
+}
+
+module.exports = {
+  getPaymentGateway,
+  assertPaymentConfig,
+  signWebhookPayload,
+  verifyWebhookSignature
+};
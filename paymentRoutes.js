@@ -0,0 +1,120 @@
+/**
+ * Payment Routes
+ *
+ * This module handles payment gateway callbacks for event registrations.
+ * The gateway reports payment outcomes through a signed webhook, which
+ * confirms or fails the matching registration.
+ *
+ * Features:
+ * - Signed payment webhook
+ * - Payment simulation for the local fake gateway
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { getPaymentGateway } = require('./paymentGateway');
+const { applyPaymentEvent } = require('./payments');
+
+// ============================================================================
+// WEBHOOK ROUTES
+// ============================================================================
+
+/**
+ * Payment Webhook
+ * POST /api/payments/webhook
+ *
+ * Receives payment outcomes from the gateway. The request signature is
+ * verified against the raw body before anything is applied.
+ *
+ * @returns {Object} Acknowledgement with the applied outcome
+ */
+router.post('/webhook', async (req, res) => {
+    try {
+        const gateway = getPaymentGateway();
+        const paymentEvent = await gateway.parseWebhook(req.rawBody, req.headers);
+        const result = await applyPaymentEvent(paymentEvent);
+
+        res.json({
+            success: true,
+            received: true,
+            outcome: result.outcome
+        });
+    } catch (error) {
+        if (error.status === 401) {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error processing payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process payment webhook',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ============================================================================
+// DEVELOPMENT ROUTES
+// ============================================================================
+
+if (process.env.NODE_ENV !== 'production') {
+    /**
+     * Simulate Payment Outcome (Fake Gateway Only)
+     * POST /api/payments/fake/:intentId/:outcome
+     *
+     * Settles a fake gateway intent as if the gateway had sent a webhook.
+     * Only mounted outside production, and only available while
+     * PAYMENT_GATEWAY is the fake gateway. It is unauthenticated, so anyone
+     * reaching it can mark a registration paid.
+     *
+     * @param {string} intentId - Fake payment intent ID
+     * @param {string} outcome - 'succeeded' or 'failed'
+     * @returns {Object} Applied outcome and registration
+     */
+    router.post('/fake/:intentId/:outcome', async (req, res) => {
+        try {
+            if (getPaymentGateway().name !== 'fake') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Not found'
+                });
+            }
+
+            const { intentId, outcome } = req.params;
+            if (!['succeeded', 'failed'].includes(outcome)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Outcome must be one of: succeeded, failed'
+                });
+            }
+
+            const result = await applyPaymentEvent({
+                type: `payment.${outcome}`,
+                intentId,
+                reason: req.body && req.body.reason
+            });
+
+            res.json({
+                success: true,
+                outcome: result.outcome,
+                data: result.registration || null
+            });
+        } catch (error) {
+            console.error('Error simulating payment:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to simulate payment',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,373 @@
+/**
+ * Payments
+ *
+ * This module drives the payment lifecycle of event registrations. A paid
+ * registration opens a payment intent with the configured gateway and holds
+ * its seats for a limited window; the gateway webhook then confirms or fails
+ * it, and registrations that are never paid expire and release their seats.
+ *
+ * Lifecycle:
+ * - pending/pending - Seats held, waiting for payment
+ * - confirmed/paid - Payment succeeded
+ * - cancelled/failed - Payment failed or the hold window expired (seats and
+ *   promo code redemption are given back)
+ *
+ * Refunds:
+ * - A refund request is quoted against the event's refund policy
+ * - An admin approves it, the gateway refunds it and the seats are released
+ *
+ * Configuration:
+ * - PAYMENT_HOLD_MINUTES - How long seats are held for an unpaid registration (default: 15)
+ * - PAYMENT_GATEWAY - Gateway adapter to use (default: fake)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Registration } = require('./models');
+const { getPaymentGateway } = require('./paymentGateway');
+const { reserveSeats, releaseSeats } = require('./seatInventory');
+const { redeemPromoCode, releasePromoRedemption } = require('./promoCodes');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('./currency');
+const { eventStart } = require('./eventSchedule');
+
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES) || 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PAYMENT INTENTS
+// ============================================================================
+
+/**
+ * Open Payment Intent
+ *
+ * Creates a payment intent for a pending registration and starts its hold
+ * window. The registration is saved with the intent details.
+ *
+ * @param {Object} registration - Registration document with finalPrice set
+ * @returns {Promise<Object>} Intent details to hand to the client
+ */
+async function openPaymentIntent(registration) {
+  const gateway = getPaymentGateway();
+  const currency = registration.currency || DEFAULT_CURRENCY;
+  const amount = toMinorUnits(registration.finalPrice, currency);
+
+  const intent = await gateway.createPaymentIntent({
+    amount,
+    currency,
+    metadata: {
+      registrationId: registration._id.toString(),
+      eventId: registration.eventId.toString(),
+      customerId: registration.customerId.toString()
+    }
+  });
+
+  registration.payment = {
+    provider: gateway.name,
+    intentId: intent.id,
+    amount,
+    currency
+  };
+  registration.holdExpiresAt = new Date(Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000);
+  await registration.save();
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount,
+    currency,
+    expiresAt: registration.holdExpiresAt
+  };
+}
+
+/**
+ * Void Payment Intent
+ *
+ * Cancels the gateway intent of a registration that will not be paid.
+ * Gateway errors are logged and swallowed; the registration state is the
+ * source of truth.
+ *
+ * @param {Object} registration - Registration document
+ * @returns {Promise<void>}
+ */
+async function voidPaymentIntent(registration) {
+  if (!registration.payment || !registration.payment.intentId) return;
+
+  try {
+    await getPaymentGateway(registration.payment.provider).cancelPaymentIntent(registration.payment.intentId);
+  } catch (error) {
+    console.error(`Failed to cancel payment intent ${registration.payment.intentId}:`, error.message);
+  }
+}
+
+// ============================================================================
+// WEBHOOK EVENTS
+// ============================================================================
+
+/**
+ * Apply Payment Event
+ *
+ * Moves a registration according to a verified gateway webhook. Every
+ * transition is a conditional update, so replayed webhooks are no-ops.
+ *
+ * @param {Object} paymentEvent - Normalised webhook event { type, intentId, reason }
+ * @returns {Promise<Object>} Outcome name and the affected registration
+ */
+async function applyPaymentEvent({ type, intentId, reason }) {
+  if (!intentId) {
+    return { outcome: 'ignored' };
+  }
+
+  if (type === 'payment.succeeded') {
+    const registration = await Registration.findOneAndUpdate(
+      { 'payment.intentId': intentId, status: 'pending', paymentStatus: 'pending' },
+      {
+        $set: { status: 'confirmed', paymentStatus: 'paid', 'payment.paidAt': new Date() },
+        $unset: { holdExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (registration) {
+      return { outcome: 'confirmed', registration };
+    }
+
+    return confirmLatePayment(intentId);
+  }
+
+  if (type === 'payment.failed') {
+    const registration = await Registration.findOneAndUpdate(
+      { 'payment.intentId': intentId, status: 'pending', paymentStatus: 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          paymentStatus: 'failed',
+          cancellationReason: 'payment-failed',
+          'payment.failureReason': reason || 'Payment failed'
+        },
+        $unset: { holdExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (registration) {
+      await releaseSeats(registration.eventId, registration.pricingTier.name, registration.attendeeCount);
+      await releasePromoRedemption(registration);
+      return { outcome: 'failed', registration };
+    }
+  }
+
+  return { outcome: 'ignored' };
+}
+
+/**
+ * Confirm Late Payment
+ *
+ * Handles a payment that succeeded after the registration was already
+ * cancelled. If it was cancelled only because the hold window expired, the
+ * seats are taken back when still available. Otherwise the registration is
+ * marked paid but left cancelled, with a full refund requested for an admin
+ * to approve.
+ *
+ * @param {string} intentId - Gateway payment intent id
+ * @returns {Promise<Object>} Outcome name and the affected registration
+ */
+async function confirmLatePayment(intentId) {
+  const cancelled = await Registration.findOne({
+    'payment.intentId': intentId,
+    status: 'cancelled',
+    paymentStatus: { $ne: 'paid' }
+  });
+
+  if (!cancelled) {
+    return { outcome: 'ignored' };
+  }
+
+  if (cancelled.cancellationReason === 'payment-expired') {
+    const heldEvent = await reserveSeats(cancelled.eventId, cancelled.pricingTier.name, cancelled.attendeeCount);
+    if (heldEvent) {
+      const registration = await Registration.findOneAndUpdate(
+        { _id: cancelled._id, status: 'cancelled', paymentStatus: { $ne: 'paid' } },
+        {
+          $set: { status: 'confirmed', paymentStatus: 'paid', 'payment.paidAt': new Date() },
+          $unset: { cancellationReason: 1, 'payment.failureReason': 1 }
+        },
+        { new: true }
+      );
+
+      if (registration) {
+        // The expiry gave the promo code use back; the paid registration keeps it
+        if (registration.promoCode && registration.promoCode.codeId) {
+          await redeemPromoCode(registration.promoCode.codeId, { ignoreLimit: true });
+        }
+        return { outcome: 'confirmed', registration };
+      }
+
+      // Another webhook delivery won the race; give the seats back
+      await releaseSeats(cancelled.eventId, cancelled.pricingTier.name, cancelled.attendeeCount);
+      return { outcome: 'ignored' };
+    }
+  }
+
+  // Queue a full refund for an admin to approve (e.g. the event was cancelled meanwhile)
+  const now = new Date();
+  const registration = await Registration.findOneAndUpdate(
+    { _id: cancelled._id, status: 'cancelled', paymentStatus: { $ne: 'paid' } },
+    {
+      $set: {
+        paymentStatus: 'paid',
+        'payment.paidAt': now,
+        'refund.status': 'requested',
+        'refund.reason': 'Paid after the registration was cancelled',
+        'refund.requestedAt': now,
+        'refund.refundPercentage': 100,
+        'refund.amount': cancelled.payment.amount
+      }
+    },
+    { new: true }
+  );
+
+  if (registration) {
+    console.warn(`Registration ${registration._id} was paid after it was cancelled and needs a refund`);
+    return { outcome: 'paid-without-seat', registration };
+  }
+
+  return { outcome: 'ignored' };
+}
+
+// ============================================================================
+// REFUNDS
+// ============================================================================
+
+/**
+ * Quote Refund
+ *
+ * Works out how much of a paid registration is refundable under the event's
+ * refund policy. The rule with the largest `daysBefore` that the remaining
+ * time still satisfies wins; no matching rule means no refund. Registrations
+ * that were already cancelled (paid after losing their seat) are refunded in
+ * full.
+ *
+ * @param {Object} event - Event document with refundPolicy and start time
+ * @param {Object} registration - Paid registration document
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Object} { refundPercentage, amount } with amount in minor units
+ */
+function quoteRefund(event, registration, now = new Date()) {
+  const paidAmount = (registration.payment && registration.payment.amount) || 0;
+
+  if (registration.status === 'cancelled') {
+    return { refundPercentage: 100, amount: paidAmount };
+  }
+
+  const daysUntilEvent = (eventStart(event).getTime() - now.getTime()) / DAY_MS;
+  let refundPercentage = 0;
+
+  if (daysUntilEvent >= 0) {
+    const rules = [...(event.refundPolicy || [])].sort((a, b) => b.daysBefore - a.daysBefore);
+    const rule = rules.find(r => daysUntilEvent >= r.daysBefore);
+    refundPercentage = rule ? rule.refundPercentage : 0;
+  }
+
+  return {
+    refundPercentage,
+    amount: Math.floor(paidAmount * refundPercentage / 100)
+  };
+}
+
+/**
+ * Refund Payment
+ *
+ * Sends the approved refund amount to the gateway the registration was paid
+ * through.
+ *
+ * @param {Object} registration - Registration with payment and refund.amount set
+ * @returns {Promise<Object>} Gateway refund { id, status }
+ */
+async function refundPayment(registration) {
+  const gateway = getPaymentGateway(registration.payment.provider);
+  return gateway.refundPayment(registration.payment.intentId, registration.refund.amount);
+}
+
+// ============================================================================
+// HOLD EXPIRY
+// ============================================================================
+
+/**
+ * Expire Unpaid Registrations
+ *
+ * Cancels pending registrations whose hold window has passed and releases
+ * their seats. Each registration is claimed with a conditional update, so the
+ * sweep is safe to run from several server instances at once.
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of registrations expired
+ */
+async function expireUnpaidRegistrations(now = new Date()) {
+  const candidates = await Registration.find({
+    status: 'pending',
+    paymentStatus: 'pending',
+    holdExpiresAt: { $lte: now }
+  })
+  .select('_id')
+  .limit(100);
+
+  let expiredCount = 0;
+
+  for (const candidate of candidates) {
+    const registration = await Registration.findOneAndUpdate(
+      { _id: candidate._id, status: 'pending', paymentStatus: 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          paymentStatus: 'failed',
+          cancellationReason: 'payment-expired',
+          'payment.failureReason': 'Payment window expired'
+        },
+        $unset: { holdExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!registration) continue;
+
+    await releaseSeats(registration.eventId, registration.pricingTier.name, registration.attendeeCount);
+    await releasePromoRedemption(registration);
+    await voidPaymentIntent(registration);
+    expiredCount++;
+  }
+
+  return expiredCount;
+}
+
+/**
+ * Start Expiry Sweep
+ *
+ * Runs expireUnpaidRegistrations on a fixed interval.
+ *
+ * @param {number} intervalMs - Interval between sweeps (default: 60 seconds)
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startExpirySweep(intervalMs = 60000) {
+  return setInterval(async () => {
+    try {
+      const expiredCount = await expireUnpaidRegistrations();
+      if (expiredCount > 0) {
+        console.log(`⏰ Expired ${expiredCount} unpaid registration(s)`);
+      }
+    } catch (error) {
+      console.error('Error expiring unpaid registrations:', error);
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  PAYMENT_HOLD_MINUTES,
+  openPaymentIntent,
+  voidPaymentIntent,
+  applyPaymentEvent,
+  quoteRefund,
+  refundPayment,
+  expireUnpaidRegistrations,
+  startExpirySweep
+};
@@ -0,0 +1,168 @@
+/**
+ * Promo Codes
+ *
+ * This module validates and redeems admin-managed promo codes on event
+ * registrations. A code only works on events created by the admin who owns
+ * it, inside its validity window and scope, and while it has redemptions
+ * left overall and for the customer.
+ *
+ * Redemptions:
+ * - Counted when the registration is created (atomic against maxRedemptions)
+ * - Returned when the registration is cancelled without being paid for
+ * - Kept by refunded registrations, which did use the code
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { PromoCode, Registration } = require('./models');
+const { DEFAULT_CURRENCY, roundAmount } = require('./currency');
+
+// Registration statuses that hold on to their promo code redemption
+const REDEEMED_STATUSES = ['pending', 'confirmed', 'refunded'];
+
+/**
+ * Normalize Promo Code
+ *
+ * @param {string} code - Code as entered
+ * @returns {string} Trimmed, uppercase code
+ */
+function normalizePromoCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Find Applicable Promo Code
+ *
+ * Looks up a code and checks that it can be used by the customer on the
+ * given event and pricing tier.
+ *
+ * @param {Object} options - { code, event, pricingTier, customerId, currency, now }
+ * @returns {Promise<Object>} { promoCode } or { error } with a message
+ */
+async function findApplicablePromoCode({ code, event, pricingTier, customerId, currency, now = new Date() }) {
+  const promoCode = await PromoCode.findOne({ code: normalizePromoCode(code) });
+
+  // Codes only work on events of the admin who created them
+  if (!promoCode || !promoCode.active || promoCode.createdBy.toString() !== event.createdBy.toString()) {
+    return { error: 'Invalid promo code' };
+  }
+
+  if (promoCode.validFrom && promoCode.validFrom > now) {
+    return { error: 'Promo code is not valid yet' };
+  }
+
+  if (promoCode.validUntil && promoCode.validUntil < now) {
+    return { error: 'Promo code has expired' };
+  }
+
+  const { events = [], pricingTiers = [], tags = [] } = promoCode.scope || {};
+
+  if (events.length > 0 && !events.some(eventId => eventId.toString() === event._id.toString())) {
+    return { error: 'Promo code does not apply to this event' };
+  }
+
+  if (pricingTiers.length > 0 && !pricingTiers.includes(pricingTier.name)) {
+    return { error: 'Promo code does not apply to this pricing tier' };
+  }
+
+  if (tags.length > 0 && !(event.tags || []).some(tag => tags.includes(tag))) {
+    return { error: 'Promo code does not apply to this event' };
+  }
+
+  // Fixed amounts are only meaningful in the currency they were set in
+  if (promoCode.discountType === 'fixed' && (promoCode.currency || DEFAULT_CURRENCY) !== currency) {
+    return { error: `Promo code only applies to prices in ${promoCode.currency || DEFAULT_CURRENCY}` };
+  }
+
+  if (promoCode.maxRedemptions !== null && promoCode.redemptionCount >= promoCode.maxRedemptions) {
+    return { error: 'Promo code has reached its usage limit' };
+  }
+
+  const customerRedemptions = await Registration.countDocuments({
+    customerId,
+    'promoCode.codeId': promoCode._id,
+    status: { $in: REDEEMED_STATUSES }
+  });
+
+  if (customerRedemptions >= promoCode.perCustomerLimit) {
+    return { error: 'You have already used this promo code' };
+  }
+
+  return { promoCode };
+}
+
+/**
+ * Calculate Promo Discount
+ *
+ * @param {Object} promoCode - Promo code document
+ * @param {number} subtotal - Price the code is applied to
+ * @param {string} currency - Currency of the subtotal
+ * @returns {number} Amount taken off, never more than the subtotal
+ */
+function calculatePromoDiscount(promoCode, subtotal, currency) {
+  const discount = promoCode.discountType === 'percentage'
+    ? subtotal * promoCode.value / 100
+    : promoCode.value;
+
+  return roundAmount(Math.min(discount, subtotal), currency);
+}
+
+// ============================================================================
+// REDEMPTIONS
+// ============================================================================
+
+/**
+ * Redeem Promo Code
+ *
+ * Counts one redemption. The update only matches while the code is below its
+ * usage cap, so concurrent registrations can't overrun it.
+ *
+ * @param {string} promoCodeId - Promo code ID
+ * @param {Object} options - { ignoreLimit } to count a redemption regardless of the cap
+ * @returns {Promise<boolean>} True if the redemption was counted
+ */
+async function redeemPromoCode(promoCodeId, { ignoreLimit = false } = {}) {
+  const filter = { _id: promoCodeId };
+  if (!ignoreLimit) {
+    filter.$or = [
+      { maxRedemptions: null },
+      { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+    ];
+  }
+
+  const result = await PromoCode.updateOne(filter, { $inc: { redemptionCount: 1 } });
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Release Promo Redemption
+ *
+ * Gives back the redemption of a registration that was cancelled or rolled
+ * back. Callers invoke it once per registration, right after the transition
+ * that ended it.
+ *
+ * @param {Object} registration - Registration document
+ * @returns {Promise<void>}
+ */
+async function releasePromoRedemption(registration) {
+  if (!registration.promoCode || !registration.promoCode.codeId) return;
+
+  await PromoCode.updateOne(
+    { _id: registration.promoCode.codeId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+}
+
+module.exports = {
+  REDEEMED_STATUSES,
+  normalizePromoCode,
+  findApplicablePromoCode,
+  calculatePromoDiscount,
+  redeemPromoCode,
+  releasePromoRedemption
+};
@@ -7,6 +7,7 @@
  * 
  * Features:
  * - Browse published events with filtering and pagination
+ * - Find events near a location, nearest first
  * - Search events by name, description, place, organizer, or tags
  * - Get event details and statistics
  * - Featured and upcoming events
@@ -21,10 +22,30 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Import database models
-const { Event, Customer } = require('./models');
-
-// Registration model is defined in eventRegistrationRoutes.js
-// We can access it via mongoose.model('Registration')
+const { Event, Customer, Registration } = require('./models');
+const {
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+    hasExchangeRate,
+    roundAmount,
+    getPriceRange,
+    buildPriceFilter
+} = require('./currency');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { buildStartRange } = require('./eventSchedule');
+const { buildCalendar, sendCalendar } = require('./calendar');
+const { parseNearQuery, nearFilter, distanceKm } = require('./venues');
+const { escapeRegex, parseSearch, resolveEventSearch, addSearchResult, searchSummary } = require('./eventSearch');
+const { parseListOptions, listQuery, listPage } = require('./eventListQuery');
+
+// Public feeds include events that started up to this many days ago
+const FEED_PAST_DAYS = 30;
+
+// Upper bound on the events in one feed
+const FEED_MAX_EVENTS = 500;
+
+// Fields never sent publicly: who is attending, and the meeting link only registrants get
+const PRIVATE_EVENT_FIELDS = '-attendees -meetingUrl';
 
 // ============================================================================
 // DEBUG ROUTES (FOR DEVELOPMENT)
@@ -44,18 +65,18 @@ router.get('/test', async (req, res) => {
         // Get only future events
         const now = new Date();
         const events = await Event.find({
-            date: { $gt: now } // Only events with date greater than now
+            startsAt: { $gt: now } // Only events that haven't started yet
         })
             .populate('createdBy', 'name email')
-            .select('-attendees')
-            .sort({ date: 1 }); // Sort by date ascending
+            .select(PRIVATE_EVENT_FIELDS)
+            .sort({ startsAt: 1 }); // Sort by start time ascending
 
         // Calculate attendees count for each event
         const eventsWithAttendeesCount = await Promise.all(events.map(async (event) => {
             const eventObj = event.toObject();
             
             // Count total attendees from registrations
-            const registrations = await mongoose.model('Registration').find({
+            const registrations = await Registration.find({
                 eventId: event._id,
                 status: { $in: ['pending', 'confirmed'] }
             });
@@ -99,10 +120,10 @@ router.get('/test/:id', async (req, res) => {
         const now = new Date();
         const event = await Event.findOne({ 
             _id: req.params.id,
-            date: { $gt: now } // Only future events
+            startsAt: { $gt: now } // Only future events
         })
         .populate('createdBy', 'name email')
-        .select('-attendees'); // Don't expose attendee list publicly
+        .select(PRIVATE_EVENT_FIELDS); // Don't expose attendee list publicly
 
         if (!event) {
             return res.status(404).json({
@@ -115,7 +136,7 @@ router.get('/test/:id', async (req, res) => {
         const eventObj = event.toObject();
         
         // Count total attendees from registrations
-        const registrations = await mongoose.model('Registration').find({
+        const registrations = await Registration.find({
             eventId: event._id,
             status: { $in: ['pending', 'confirmed'] }
         });
@@ -149,49 +170,56 @@ router.get('/test/:id', async (req, res) => {
  * GET /api/events
  * 
  * Retrieves all published events with advanced filtering, sorting, and pagination.
- * Supports search by text, tags, date range, and price range.
+ * Supports search by text, tags, date range, price range and distance.
+ * Searches are ranked by relevance (see eventSearch.js).
  * 
  * Query Parameters:
  * @param {number} page - Page number for pagination (default: 1)
- * @param {number} limit - Items per page (default: 10)
- * @param {string} search - Search term for event name, description, place, organizer, or tags
+ * @param {string} cursor - nextCursor of the previous page, instead of page
+ * @param {number} limit - Items per page (default: 10, max: 50)
+ * @param {string} search - Search term for event name, tags, organizer, place or description
  * @param {string} tags - Comma-separated list of tags to filter by
- * @param {string} sortBy - Field to sort by (default: 'date')
+ * @param {string} sortBy - 'date' (the event's start time), 'eventName', 'createdAt',
+ *                          'availableSlots', 'relevance' with search or 'distance' with near
+ *                          (default: 'relevance' when searching, else 'distance' when near is
+ *                          given, else 'date')
  * @param {string} sortOrder - Sort order: 'asc' or 'desc' (default: 'asc')
- * @param {number} minPrice - Minimum price filter
- * @param {number} maxPrice - Maximum price filter
- * @param {string} dateFrom - Start date for date range filter
- * @param {string} dateTo - End date for date range filter
+ * @param {number} minPrice - Minimum price of a tier
+ * @param {number} maxPrice - Maximum price of a tier
+ * @param {string} currency - Currency of minPrice/maxPrice (default: DEFAULT_CURRENCY)
+ * @param {string} dateFrom - Earliest event start (date or date-time)
+ * @param {string} dateTo - Latest event start (a date includes that whole day)
+ * @param {string} near - "lat,lng" to only list events whose venue is within radiusKm
+ * @param {number} radiusKm - Search radius around near in km (default: 25, max: 500)
  * 
- * @returns {Object} Paginated list of events with metadata
+ * @returns {Object} Paginated list of events with metadata (distanceKm with near, search
+ *                   scores and highlights with search) and the nextCursor of the next page
  */
 router.get('/', async (req, res) => {
     try {
         const { 
-            page = 1, 
-            limit = 10, 
             search,
             tags,
-            sortBy = 'date',
-            sortOrder = 'asc',
             minPrice,
             maxPrice,
+            currency = DEFAULT_CURRENCY,
             dateFrom,
             dateTo
         } = req.query;
 
         // Build filter object - only published events
         const filter = { status: 'published' };
-        
-        // Add search filter if provided
-        if (search) {
-            filter.$or = [
-                { eventName: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { place: { $regex: search, $options: 'i' } },
-                { organizer: { $regex: search, $options: 'i' } },
-                { tags: { $in: [new RegExp(search, 'i')] } }
-            ];
+
+        // Add price range filter if provided (range given in `currency`, matched against each event's currency)
+        if (minPrice || maxPrice) {
+            const priceFilter = buildPriceFilter({ minPrice, maxPrice, currency });
+            if (priceFilter.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: priceFilter.error
+                });
+            }
+            filter.$and = [priceFilter.filter];
         }
 
         // Add tags filter if provided
@@ -200,37 +228,60 @@ router.get('/', async (req, res) => {
             filter.tags = { $in: tagArray };
         }
 
-        // Add date range filter if provided
-        if (dateFrom || dateTo) {
-            filter.date = {};
-            if (dateFrom) filter.date.$gte = new Date(dateFrom);
-            if (dateTo) filter.date.$lte = new Date(dateTo);
+        // Add start time range filter if provided
+        const startRange = buildStartRange(dateFrom, dateTo);
+        if (startRange.error) {
+            return res.status(400).json({
+                success: false,
+                message: startRange.error
+            });
         }
+        if (startRange.range) filter.startsAt = startRange.range;
 
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        // Add distance filter if provided (events without coordinates are left out)
+        const { near, error: nearError } = parseNearQuery(req.query);
+        if (nearError) {
+            return res.status(400).json({
+                success: false,
+                message: nearError
+            });
+        }
+        if (near) Object.assign(filter, nearFilter(near));
 
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        // Add search filter if provided
+        const { search: parsedSearch, error: searchError } = parseSearch(search);
+        if (searchError) {
+            return res.status(400).json({
+                success: false,
+                message: searchError
+            });
+        }
+        const eventSearch = parsedSearch ? await resolveEventSearch(filter, parsedSearch) : null;
+        if (eventSearch) Object.assign(filter, eventSearch.filter);
 
-        // Get events with pagination
-        const events = await Event.find(filter)
-            .populate('createdBy', 'name email')
-            .sort(sort)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .select('-attendees'); // Don't expose attendee list publicly
+        // Sort and page (see eventListQuery.js)
+        const { list, error: listError } = parseListOptions(req.query, { eventSearch, near });
+        if (listError) {
+            return res.status(400).json({
+                success: false,
+                message: listError
+            });
+        }
 
-        // Get total count for pagination
-        const total = await Event.countDocuments(filter);
+        const [events, total] = await Promise.all([
+            listQuery(list, filter)
+                .populate('createdBy', 'name email')
+                .select(PRIVATE_EVENT_FIELDS), // Don't expose attendee list publicly
+            Event.countDocuments(filter)
+        ]);
+        const page = listPage(list, events, total);
 
         // Calculate attendees count for each event
-        const eventsWithAttendeesCount = await Promise.all(events.map(async (event) => {
+        const eventsWithAttendeesCount = await Promise.all(page.events.map(async (event) => {
             const eventObj = event.toObject();
             
             // Count total attendees from registrations
-            const registrations = await mongoose.model('Registration').find({
+            const registrations = await Registration.find({
                 eventId: event._id,
                 status: { $in: ['pending', 'confirmed'] }
             });
@@ -240,36 +291,16 @@ router.get('/', async (req, res) => {
             }, 0);
             
             eventObj.attendeesCount = totalAttendees;
+            if (near) eventObj.distanceKm = distanceKm(near.coordinates, event.venue && event.venue.location);
+            if (eventSearch) addSearchResult(eventObj, eventSearch);
             return eventObj;
         }));
 
-        // Filter by price range if specified
-        let filteredEvents = eventsWithAttendeesCount;
-        if (minPrice || maxPrice) {
-            filteredEvents = eventsWithAttendeesCount.filter(event => {
-                const minEventPrice = Math.min(...event.pricing.map(p => p.price));
-                const maxEventPrice = Math.max(...event.pricing.map(p => p.price));
-                
-                if (minPrice && maxPrice) {
-                    return minEventPrice >= parseFloat(minPrice) && maxEventPrice <= parseFloat(maxPrice);
-                } else if (minPrice) {
-                    return minEventPrice >= parseFloat(minPrice);
-                } else if (maxPrice) {
-                    return maxEventPrice <= parseFloat(maxPrice);
-                }
-                return true;
-            });
-        }
-
         res.json({
             success: true,
-            data: filteredEvents,
-            pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil(total / parseInt(limit)),
-                totalItems: total,
-                itemsPerPage: parseInt(limit)
-            }
+            data: eventsWithAttendeesCount,
+            pagination: page.pagination,
+            search: searchSummary(eventSearch)
         });
     } catch (error) {
         console.error('Error fetching public events:', error);
@@ -297,7 +328,7 @@ router.get('/:id', async (req, res) => {
             status: 'published' 
         })
         .populate('createdBy', 'name email')
-        .select('-attendees'); // Don't expose attendee list publicly
+        .select(PRIVATE_EVENT_FIELDS); // Don't expose attendee list publicly
 
         if (!event) {
             return res.status(404).json({
@@ -320,6 +351,142 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// ============================================================================
+// CALENDAR EXPORT
+// ============================================================================
+
+/**
+ * Download Event as iCalendar
+ * GET /api/events/:id/calendar.ics
+ * 
+ * Returns a single published event as an .ics file for adding to a calendar.
+ * 
+ * @param {string} id - Event ID
+ * @returns {string} iCalendar document (text/calendar)
+ */
+router.get('/:id/calendar.ics', async (req, res) => {
+    try {
+        const event = await Event.findOne({ 
+            _id: req.params.id, 
+            status: 'published' 
+        })
+        .select(PRIVATE_EVENT_FIELDS);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found or not published'
+            });
+        }
+
+        sendCalendar(res, buildCalendar([event]), `event-${event._id}.ics`);
+    } catch (error) {
+        console.error('Error exporting event calendar:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Public Events Calendar Feed
+ * GET /api/events/calendar/feed.ics
+ * 
+ * Subscribable iCal feed of published events, from 30 days ago onwards.
+ * 
+ * Query Parameters:
+ * @param {string} tags - Comma-separated list of tags to filter by
+ * @param {string} organizer - Organizer name to filter by (exact match)
+ * 
+ * @returns {string} iCalendar document (text/calendar)
+ */
+router.get('/calendar/feed.ics', async (req, res) => {
+    try {
+        const { tags, organizer } = req.query;
+
+        const since = new Date();
+        since.setDate(since.getDate() - FEED_PAST_DAYS);
+
+        const filter = {
+            status: 'published',
+            startsAt: { $gte: since }
+        };
+
+        if (tags) {
+            const tagArray = tags.split(',').map(tag => tag.trim());
+            filter.tags = { $in: tagArray };
+        }
+
+        if (organizer) {
+            filter.organizer = organizer;
+        }
+
+        const events = await Event.find(filter)
+            .sort({ startsAt: 1 })
+            .limit(FEED_MAX_EVENTS)
+            .select(PRIVATE_EVENT_FIELDS);
+
+        const name = ['Saath Events', organizer, tags].filter(Boolean).join(' - ');
+        sendCalendar(res, buildCalendar(events, { name }), 'saath-events.ics');
+    } catch (error) {
+        console.error('Error building events feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build events feed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Personal Registrations Calendar Feed
+ * GET /api/events/calendar/my/:token.ics
+ * 
+ * Subscribable iCal feed of a customer's confirmed registrations. Calendar
+ * apps can't send auth headers, so the secret token in the URL identifies
+ * the customer; get it from GET /api/event-registrations/my-registrations/calendar-feed.
+ * 
+ * @param {string} token - Customer's calendar feed token
+ * @returns {string} iCalendar document (text/calendar)
+ */
+router.get('/calendar/my/:token.ics', async (req, res) => {
+    try {
+        const customer = await Customer.findOne({ calendarFeedToken: req.params.token });
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const registrations = await Registration.find({
+            customerId: customer._id,
+            status: 'confirmed'
+        })
+        .populate('eventId', '-attendees');
+
+        // Events of the same customer may appear on several registrations
+        const events = new Map();
+        for (const registration of registrations) {
+            if (registration.eventId) {
+                events.set(registration.eventId._id.toString(), registration.eventId);
+            }
+        }
+
+        sendCalendar(res, buildCalendar([...events.values()], { name: 'My Saath Events' }), 'my-saath-events.ics');
+    } catch (error) {
+        console.error('Error building registrations feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build registrations feed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // ============================================================================
 // FEATURED AND UPCOMING EVENTS
 // ============================================================================
@@ -346,15 +513,15 @@ router.get('/featured/upcoming', async (req, res) => {
         
         const upcomingEvents = await Event.find({
             status: 'published',
-            date: { 
+            startsAt: { 
                 $gte: new Date(), 
                 $lte: thirtyDaysFromNow 
             }
         })
         .populate('createdBy', 'name email')
-        .sort({ date: 1 })
+        .sort({ startsAt: 1 })
         .limit(parseInt(limit))
-        .select('-attendees');
+        .select(PRIVATE_EVENT_FIELDS);
 
         res.json({
             success: true,
@@ -448,7 +615,7 @@ router.get('/search/suggestions', async (req, res) => {
                     eventNames: [
                         {
                             $match: {
-                                eventName: { $regex: q, $options: 'i' }
+                                eventName: { $regex: escapeRegex(q), $options: 'i' }
                             }
                         },
                         {
@@ -463,7 +630,7 @@ router.get('/search/suggestions', async (req, res) => {
                         { $unwind: '$tags' },
                         {
                             $match: {
-                                tags: { $regex: q, $options: 'i' }
+                                tags: { $regex: escapeRegex(q), $options: 'i' }
                             }
                         },
                         {
@@ -477,7 +644,7 @@ router.get('/search/suggestions', async (req, res) => {
                     organizers: [
                         {
                             $match: {
-                                organizer: { $regex: q, $options: 'i' }
+                                organizer: { $regex: escapeRegex(q), $options: 'i' }
                             }
                         },
                         {
@@ -521,12 +688,29 @@ router.get('/search/suggestions', async (req, res) => {
  * GET /api/events/stats/public
  * 
  * Provides public statistics about events including counts, upcoming events,
- * monthly distribution, and price ranges.
+ * monthly distribution, and price ranges. Prices are converted into the
+ * requested currency.
  * 
+ * @param {string} currency - Currency of the price statistics (default: DEFAULT_CURRENCY)
  * @returns {Object} Event statistics and analytics
  */
 router.get('/stats/public', async (req, res) => {
     try {
+        const currency = (req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+        if (!isValidCurrency(currency)) {
+            return res.status(400).json({
+                success: false,
+                message: 'currency must be an ISO-4217 currency code'
+            });
+        }
+
+        if (!hasExchangeRate(currency)) {
+            return res.status(400).json({
+                success: false,
+                message: `No exchange rate configured for ${currency.toUpperCase()}`
+            });
+        }
+
         const totalPublished = await Event.countDocuments({ status: 'published' });
         
         // Get upcoming events count
@@ -535,7 +719,7 @@ router.get('/stats/public', async (req, res) => {
         
         const upcomingCount = await Event.countDocuments({
             status: 'published',
-            date: { $gte: new Date(), $lte: thirtyDaysFromNow }
+            startsAt: { $gte: new Date(), $lte: thirtyDaysFromNow }
         });
 
         // Get events by month (next 6 months)
@@ -546,14 +730,15 @@ router.get('/stats/public', async (req, res) => {
             {
                 $match: {
                     status: 'published',
-                    date: { $gte: new Date(), $lte: sixMonthsFromNow }
+                    startsAt: { $gte: new Date(), $lte: sixMonthsFromNow }
                 }
             },
             {
+                // Months are counted in each event's own time zone
                 $group: {
                     _id: {
-                        year: { $year: '$date' },
-                        month: { $month: '$date' }
+                        year: { $year: { date: '$startsAt', timezone: { $ifNull: ['$timezone', DEFAULT_TIMEZONE] } } },
+                        month: { $month: { date: '$startsAt', timezone: { $ifNull: ['$timezone', DEFAULT_TIMEZONE] } } }
                     },
                     count: { $sum: 1 }
                 }
@@ -561,25 +746,21 @@ router.get('/stats/public', async (req, res) => {
             { $sort: { '_id.year': 1, '_id.month': 1 } }
         ]);
 
-        // Get price range statistics
-        const priceStats = await Event.aggregate([
-            { $match: { status: 'published' } },
-            {
-                $project: {
-                    minPrice: { $min: '$pricing.price' },
-                    maxPrice: { $max: '$pricing.price' }
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    overallMinPrice: { $min: '$minPrice' },
-                    overallMaxPrice: { $max: '$maxPrice' },
-                    avgMinPrice: { $avg: '$minPrice' },
-                    avgMaxPrice: { $avg: '$maxPrice' }
-                }
+        // Get price range statistics; events may be priced in different currencies
+        const pricedEvents = await Event.find({ status: 'published', 'pricing.0': { $exists: true } })
+            .select('currency pricing');
+        const eventRanges = pricedEvents.map(event => getPriceRange(event, currency));
+
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const priceStats = eventRanges.length > 0
+            ? {
+                overallMinPrice: Math.min(...eventRanges.map(range => range.min)),
+                overallMaxPrice: Math.max(...eventRanges.map(range => range.max)),
+                avgMinPrice: roundAmount(average(eventRanges.map(range => range.min)), currency),
+                avgMaxPrice: roundAmount(average(eventRanges.map(range => range.max)), currency),
+                currency
             }
-        ]);
+            : null;
 
         res.json({
             success: true,
@@ -590,11 +771,12 @@ router.get('/stats/public', async (req, res) => {
                     month: `${item._id.year}-${item._id.month.toString().padStart(2, '0')}`,
                     count: item.count
                 })),
-                priceRange: priceStats[0] || {
+                priceRange: priceStats || {
                     overallMinPrice: 0,
                     overallMaxPrice: 0,
                     avgMinPrice: 0,
-                    avgMaxPrice: 0
+                    avgMaxPrice: 0,
+                    currency
                 }
             }
         });
@@ -0,0 +1,291 @@
+/**
+ * Event Recommendations
+ *
+ * This module ranks upcoming published events for a customer from:
+ * - Mutual connections going - customers who follow each other with the
+ *   customer and have a confirmed registration for the event, unless they
+ *   hid their attendance (see socialProof.js)
+ * - Tags - tags of the events the customer registered or joined a
+ *   waitlist for
+ * - Organizers - organizers of the events the customer registered for
+ * - Proximity - distance from `near`, or else from the venues of the
+ *   events the customer registered for
+ *
+ * Each recommendation carries the reasons it was picked, strongest first,
+ * and an explanation to show with it ("3 people you follow are going").
+ * Events the customer is already registered for are left out; customers
+ * without any history get the next upcoming events.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Event, Registration, WaitlistEntry } = require('./models');
+const { ACTIVE_REGISTRATION_STATUSES } = require('./eventCancellation');
+const { nearFilter, distanceKm } = require('./venues');
+const { mutualConnections, visibleConnectionsGoing } = require('./socialProof');
+
+// How much each reason adds to a score at most
+const RECOMMENDATION_WEIGHTS = {
+  connections: 4,
+  tags: 3,
+  proximity: 2,
+  organizer: 1.5
+};
+
+// Events scored per request: matching the customer's interests, and the next upcoming ones
+const MAX_MATCHING_CANDIDATES = 300;
+const MAX_UPCOMING_CANDIDATES = 100;
+
+// Most recent registrations and waitlist entries the interests are taken from
+const HISTORY_LIMIT = 200;
+
+// Tags matched against candidates, most engaged first
+const MAX_INTEREST_TAGS = 20;
+
+// Tag engagements that give the full tag weight
+const FULL_TAG_ENGAGEMENTS = 3;
+
+// Radius around past venues within which events count as close
+const PAST_VENUE_RADIUS_KM = 25;
+
+// ============================================================================
+// CUSTOMER SIGNALS
+// ============================================================================
+
+/**
+ * Customer Interests
+ *
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} { registeredEventIds, tagCounts, organizers, venueLocations, historyCount }
+ */
+async function customerInterests(customerId) {
+  const [registrations, waitlistEntries] = await Promise.all([
+    Registration.find({ customerId, status: { $in: ACTIVE_REGISTRATION_STATUSES } })
+      .sort({ registrationDate: -1 })
+      .limit(HISTORY_LIMIT)
+      .select('eventId')
+      .lean(),
+    WaitlistEntry.find({ customerId, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT)
+      .select('eventId')
+      .lean()
+  ]);
+
+  const registeredEventIds = [...new Set(registrations.map(registration => registration.eventId.toString()))];
+  const waitlistedEventIds = waitlistEntries.map(entry => entry.eventId.toString());
+
+  const events = await Event.find({ _id: { $in: [...new Set([...registeredEventIds, ...waitlistedEventIds])] } })
+    .select('tags organizer venue')
+    .lean();
+  const eventsById = new Map(events.map(event => [event._id.toString(), event]));
+
+  const tagCounts = new Map();
+  const organizers = new Map();
+  const venueLocations = [];
+
+  // Tags count once per registration or waitlist entry
+  for (const eventId of [...registrations.map(registration => registration.eventId.toString()), ...waitlistedEventIds]) {
+    const event = eventsById.get(eventId);
+    if (!event) continue;
+    for (const tag of event.tags || []) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  for (const eventId of registeredEventIds) {
+    const event = eventsById.get(eventId);
+    if (!event) continue;
+    if (event.organizer) organizers.set(event.organizer, (organizers.get(event.organizer) || 0) + 1);
+    if (event.venue && event.venue.location) venueLocations.push(event.venue.location);
+  }
+
+  return {
+    registeredEventIds,
+    tagCounts,
+    organizers,
+    venueLocations,
+    historyCount: registrations.length + waitlistEntries.length
+  };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Plural
+ *
+ * @param {number} count - Count
+ * @param {string} one - Text for one
+ * @param {string} many - Text for several
+ * @returns {string} Count with the matching text
+ */
+function plural(count, one, many) {
+  return `${count} ${count === 1 ? one : many}`;
+}
+
+/**
+ * Score Event
+ *
+ * @param {Object} event - Candidate event
+ * @param {Object} signals - { interests, connectionsGoing (Map from visibleConnectionsGoing), near }
+ * @returns {Object} { score, reasons, distanceKm } with reasons strongest first
+ */
+function scoreEvent(event, { interests, connectionsGoing, near }) {
+  const reasons = [];
+
+  const going = (connectionsGoing.get(event._id.toString()) || []).length;
+  if (going > 0) {
+    reasons.push({
+      type: 'connections',
+      score: RECOMMENDATION_WEIGHTS.connections * going / (going + 1),
+      count: going,
+      text: `${plural(going, 'person', 'people')} you follow ${going === 1 ? 'is' : 'are'} going`
+    });
+  }
+
+  const matchedTags = (event.tags || [])
+    .filter(tag => interests.tagCounts.has(tag))
+    .sort((a, b) => interests.tagCounts.get(b) - interests.tagCounts.get(a));
+  if (matchedTags.length > 0) {
+    const engagements = matchedTags.reduce((sum, tag) => sum + interests.tagCounts.get(tag), 0);
+    reasons.push({
+      type: 'tags',
+      score: RECOMMENDATION_WEIGHTS.tags * Math.min(1, engagements / FULL_TAG_ENGAGEMENTS),
+      tags: matchedTags,
+      text: `Matches your interest in ${matchedTags.slice(0, 2).join(' and ')}`
+    });
+  }
+
+  if (event.organizer && interests.organizers.has(event.organizer)) {
+    reasons.push({
+      type: 'organizer',
+      score: RECOMMENDATION_WEIGHTS.organizer,
+      text: `From ${event.organizer}, whose events you've registered for`
+    });
+  }
+
+  const location = event.venue && event.venue.location;
+  let distance = null;
+  let radius = PAST_VENUE_RADIUS_KM;
+  if (near) {
+    distance = distanceKm(near.coordinates, location);
+    radius = near.radiusKm;
+  } else {
+    const distances = interests.venueLocations
+      .map(venueLocation => distanceKm(venueLocation.coordinates, location))
+      .filter(value => value !== null);
+    if (distances.length > 0) distance = Math.min(...distances);
+  }
+  if (distance !== null && distance <= radius) {
+    reasons.push({
+      type: 'proximity',
+      score: RECOMMENDATION_WEIGHTS.proximity * (1 - distance / radius),
+      distanceKm: distance,
+      text: near ? `${distance} km from you` : `${distance} km from a venue you've been to`
+    });
+  }
+
+  reasons.sort((a, b) => b.score - a.score);
+
+  return {
+    score: reasons.reduce((sum, reason) => sum + reason.score, 0),
+    reasons,
+    distanceKm: near ? distance : undefined
+  };
+}
+
+// ============================================================================
+// RECOMMENDING
+// ============================================================================
+
+/**
+ * Recommend Events
+ *
+ * @param {string} customerId - Customer ID
+ * @param {Object} options - { near (from parseNearQuery, optional), limit }
+ * @returns {Promise<Object>} { recommendations: [{ event, score, explanation, reasons, distanceKm }],
+ *                            basedOn: { history, connections, location } }
+ */
+async function recommendEvents(customerId, { near = null, limit }) {
+  const [interests, connectionIds] = await Promise.all([
+    customerInterests(customerId),
+    mutualConnections(customerId)
+  ]);
+
+  const upcoming = {
+    status: 'published',
+    startsAt: { $gt: new Date() },
+    archivedAt: null,
+    registrationClosedAt: null,
+    _id: { $nin: interests.registeredEventIds }
+  };
+
+  const interestTags = [...interests.tagCounts.keys()]
+    .sort((a, b) => interests.tagCounts.get(b) - interests.tagCounts.get(a))
+    .slice(0, MAX_INTEREST_TAGS);
+
+  // Events the customer's connections hold a visible confirmed registration for
+  const connectionEventIds = connectionIds.length > 0
+    ? await Registration.distinct('eventId', {
+      customerId: { $in: connectionIds },
+      status: 'confirmed',
+      hideAttendance: { $ne: true }
+    })
+    : [];
+
+  const matching = [];
+  if (connectionEventIds.length > 0) matching.push({ _id: { $in: connectionEventIds } });
+  if (interestTags.length > 0) matching.push({ tags: { $in: interestTags } });
+  if (interests.organizers.size > 0) matching.push({ organizer: { $in: [...interests.organizers.keys()] } });
+  if (near) matching.push(nearFilter(near));
+
+  const [matchingEvents, upcomingEvents] = await Promise.all([
+    matching.length > 0
+      ? Event.find({ ...upcoming, $or: matching })
+        .populate('createdBy', 'name email')
+        .sort({ startsAt: 1 })
+        .limit(MAX_MATCHING_CANDIDATES)
+      : [],
+    Event.find(upcoming)
+      .populate('createdBy', 'name email')
+      .sort({ startsAt: 1 })
+      .limit(MAX_UPCOMING_CANDIDATES)
+  ]);
+
+  const candidates = new Map();
+  for (const event of [...matchingEvents, ...upcomingEvents]) {
+    candidates.set(event._id.toString(), event);
+  }
+
+  const connectionsGoing = await visibleConnectionsGoing(customerId, [...candidates.keys()], connectionIds);
+
+  const signals = { interests, connectionsGoing, near };
+  const recommendations = [...candidates.values()]
+    .map(event => ({ event, ...scoreEvent(event, signals) }))
+    .sort((a, b) => b.score - a.score || a.event.startsAt - b.event.startsAt)
+    .slice(0, limit)
+    .map(({ event, score, reasons, distanceKm: distance }) => ({
+      event,
+      score: Math.round(score * 100) / 100,
+      explanation: reasons.length > 0 ? reasons[0].text : 'Coming up soon',
+      reasons: reasons.map(({ score: reasonScore, ...reason }) => reason),
+      distanceKm: distance
+    }));
+
+  return {
+    recommendations,
+    basedOn: {
+      history: interests.historyCount,
+      connections: connectionIds.length,
+      location: near ? 'near' : interests.venueLocations.length > 0 ? 'past-venues' : null
+    }
+  };
+}
+
+module.exports = {
+  RECOMMENDATION_WEIGHTS,
+  recommendEvents
+};
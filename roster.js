@@ -0,0 +1,346 @@
+/**
+ * Event Roster
+ *
+ * This module builds the attendee roster admins see for an event: its
+ * registrations filtered by tier, payment and check-in state, totals per
+ * pricing tier, CSV/XLSX exports for the door or the venue, and messages
+ * sent to a selection of registrants.
+ *
+ * Roster filters (query parameters):
+ * - tier - Pricing tier name
+ * - status - Registration status, or 'all' (default: pending and confirmed)
+ * - paymentStatus - pending, paid, failed or refunded
+ * - checkInStatus - not-checked-in, partially-checked-in or checked-in
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { Registration } = require('./models');
+const { notifyCustomer } = require('./notifications');
+const { recordEventAudit } = require('./eventAudit');
+
+// Registrations listed when no status filter is given
+const DEFAULT_ROSTER_STATUSES = ['pending', 'confirmed'];
+
+const REGISTRATION_STATUSES = ['pending', 'confirmed', 'cancelled', 'refunded'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunded'];
+const CHECK_IN_STATUSES = ['not-checked-in', 'partially-checked-in', 'checked-in'];
+
+// Columns of the CSV and XLSX exports, in order
+const EXPORT_COLUMNS = [
+  { header: 'Registration ID', key: 'registrationId', width: 26 },
+  { header: 'Customer', key: 'customerName', width: 24 },
+  { header: 'Email', key: 'customerEmail', width: 28 },
+  { header: 'Phone', key: 'customerPhone', width: 16 },
+  { header: 'Tier', key: 'tier', width: 16 },
+  { header: 'Attendees', key: 'attendeeCount', width: 10 },
+  { header: 'Attendee Names', key: 'attendeeNames', width: 36 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Payment Status', key: 'paymentStatus', width: 14 },
+  { header: 'Price', key: 'finalPrice', width: 10 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Promo Code', key: 'promoCode', width: 14 },
+  { header: 'Check-in Status', key: 'checkInStatus', width: 18 },
+  { header: 'Checked In', key: 'checkedIn', width: 11 },
+  { header: 'Registered At', key: 'registeredAt', width: 24 },
+  { header: 'Special Requests', key: 'specialRequests', width: 40 }
+];
+
+// Largest message admins can send to registrants
+const MAX_MESSAGE_LENGTH = 1000;
+
+// ============================================================================
+// FILTERS AND TOTALS
+// ============================================================================
+
+/**
+ * Build Roster Filter
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object} query - Roster filters (see module header)
+ * @returns {Object} { filter } or { error } when a filter value is invalid
+ */
+function buildRosterFilter(eventId, { tier, status, paymentStatus, checkInStatus } = {}) {
+  const filter = { eventId: new mongoose.Types.ObjectId(eventId) };
+
+  if (!status) {
+    filter.status = { $in: DEFAULT_ROSTER_STATUSES };
+  } else if (status !== 'all') {
+    if (!REGISTRATION_STATUSES.includes(status)) {
+      return { error: `status must be one of: all, ${REGISTRATION_STATUSES.join(', ')}` };
+    }
+    filter.status = status;
+  }
+
+  if (paymentStatus) {
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      return { error: `paymentStatus must be one of: ${PAYMENT_STATUSES.join(', ')}` };
+    }
+    filter.paymentStatus = paymentStatus;
+  }
+
+  if (checkInStatus) {
+    if (!CHECK_IN_STATUSES.includes(checkInStatus)) {
+      return { error: `checkInStatus must be one of: ${CHECK_IN_STATUSES.join(', ')}` };
+    }
+    filter.checkInStatus = checkInStatus;
+  }
+
+  if (tier) {
+    filter['pricingTier.name'] = tier;
+  }
+
+  return { filter };
+}
+
+/**
+ * Roster Totals
+ *
+ * Totals of the registrations matching a roster filter, overall and per
+ * pricing tier. Revenue only counts paid registrations, in each tier's
+ * currency's major units.
+ *
+ * @param {Object} filter - Filter from buildRosterFilter
+ * @returns {Promise<Object>} { overall, byTier: [{ tier, registrations, attendees, checkedIn, paid, revenue, currency }] }
+ */
+async function rosterTotals(filter) {
+  const byTier = await Registration.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$pricingTier.name',
+        registrations: { $sum: 1 },
+        attendees: { $sum: '$attendeeCount' },
+        checkedIn: {
+          $sum: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$attendees', []] },
+                cond: { $eq: ['$$this.checkInStatus', 'checked-in'] }
+              }
+            }
+          }
+        },
+        paid: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, 1, 0] } },
+        revenue: {
+          $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, { $ifNull: ['$finalPrice', 0] }, 0] }
+        },
+        currency: { $first: '$currency' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const overall = { registrations: 0, attendees: 0, checkedIn: 0, paid: 0 };
+  const tiers = byTier.map(({ _id, ...totals }) => {
+    overall.registrations += totals.registrations;
+    overall.attendees += totals.attendees;
+    overall.checkedIn += totals.checkedIn;
+    overall.paid += totals.paid;
+    return { tier: _id, ...totals };
+  });
+
+  return { overall, byTier: tiers };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Roster Row
+ *
+ * @param {Object} registration - Registration with customerId populated
+ * @returns {Object} Export row keyed by EXPORT_COLUMNS
+ */
+function rosterRow(registration) {
+  const customer = registration.customerId || {};
+  const attendees = registration.attendees || [];
+
+  return {
+    registrationId: registration._id.toString(),
+    customerName: customer.name || '',
+    customerEmail: customer.email || '',
+    customerPhone: customer.phone || '',
+    tier: registration.pricingTier.name,
+    attendeeCount: registration.attendeeCount,
+    attendeeNames: attendees.map(attendee => attendee.name).join('; '),
+    status: registration.status,
+    paymentStatus: registration.paymentStatus,
+    finalPrice: registration.finalPrice != null ? registration.finalPrice : '',
+    currency: registration.currency || '',
+    promoCode: (registration.promoCode && registration.promoCode.code) || '',
+    checkInStatus: registration.checkInStatus,
+    checkedIn: `${attendees.filter(attendee => attendee.checkInStatus === 'checked-in').length}/${registration.attendeeCount}`,
+    registeredAt: registration.registrationDate ? registration.registrationDate.toISOString() : '',
+    specialRequests: registration.specialRequests || ''
+  };
+}
+
+/**
+ * Load Roster Rows
+ *
+ * @param {Object} filter - Filter from buildRosterFilter
+ * @returns {Promise<Array<Object>>} Export rows, oldest registration first
+ */
+async function loadRosterRows(filter) {
+  const rows = [];
+  const registrations = Registration.find(filter)
+    .populate('customerId', 'name email phone')
+    .sort({ registrationDate: 1 })
+    .cursor();
+
+  for await (const registration of registrations) {
+    rows.push(rosterRow(registration));
+  }
+
+  return rows;
+}
+
+/**
+ * CSV Cell
+ *
+ * Quotes a value for CSV. Values a spreadsheet would run as a formula are
+ * prefixed with an apostrophe, since names and special requests are typed
+ * by customers.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Roster to CSV
+ *
+ * @param {Array<Object>} rows - Rows from loadRosterRows
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+function rosterToCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map(column => csvCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(column => csvCell(row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Roster to XLSX
+ *
+ * @param {Array<Object>} rows - Rows from loadRosterRows
+ * @param {string} sheetName - Worksheet name (e.g. the event name)
+ * @returns {Promise<Buffer>} XLSX workbook
+ */
+async function rosterToXlsx(rows, sheetName = 'Roster') {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Saath';
+  workbook.created = new Date();
+
+  // Worksheet names are limited to 31 characters and can't contain : \ / ? * [ ]
+  const worksheet = workbook.addWorksheet(sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Roster');
+  worksheet.columns = EXPORT_COLUMNS;
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  worksheet.addRows(rows);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ============================================================================
+// MESSAGING
+// ============================================================================
+
+/**
+ * Validate Roster Message
+ *
+ * @param {Object} body - { title, message }
+ * @returns {string|null} Error message, or null if the message can be sent
+ */
+function validateRosterMessage({ title, message }) {
+  if (typeof title !== 'string' || !title.trim()) {
+    return 'title is required';
+  }
+  if (title.trim().length > 120) {
+    return 'title must be at most 120 characters';
+  }
+  if (typeof message !== 'string' || !message.trim()) {
+    return 'message is required';
+  }
+  if (message.trim().length > MAX_MESSAGE_LENGTH) {
+    return `message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Message Registrants
+ *
+ * Sends an in-app notification to the customers of the selected
+ * registrations. A customer with several registrations is notified once.
+ *
+ * @param {Object} event - Event document
+ * @param {Object} filter - Filter from buildRosterFilter
+ * @param {Object} options - { registrationIds (optional), title, message, adminId }
+ * @returns {Promise<Object>} { recipients, sent }
+ */
+async function messageRegistrants(event, filter, { registrationIds, title, message, adminId }) {
+  const selection = { ...filter };
+  if (registrationIds) {
+    selection._id = { $in: registrationIds };
+  }
+
+  const customerIds = await Registration.find(selection).distinct('customerId');
+
+  let sent = 0;
+  for (const customerId of customerIds) {
+    const notification = await notifyCustomer(customerId, {
+      type: 'event-message',
+      title: title.trim(),
+      message: message.trim(),
+      data: {
+        eventId: event._id,
+        eventName: event.eventName,
+        sentBy: adminId
+      }
+    });
+    if (notification) sent++;
+  }
+
+  await recordEventAudit({
+    eventId: event._id,
+    action: 'message-sent',
+    actor: adminId.toString(),
+    details: {
+      title: title.trim(),
+      recipients: customerIds.length,
+      sent,
+      selectedRegistrations: registrationIds ? registrationIds.length : null
+    }
+  });
+
+  return { recipients: customerIds.length, sent };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  buildRosterFilter,
+  rosterTotals,
+  loadRosterRows,
+  rosterToCsv,
+  rosterToXlsx,
+  validateRosterMessage,
+  messageRegistrants
+};
@@ -0,0 +1,152 @@
+/**
+ * Seat Inventory
+ *
+ * This module owns every change to an event's seat counters. Seats are held
+ * and released with single conditional updates on the Event document, so two
+ * concurrent buyers can never both take the last seat of a pricing tier.
+ *
+ * Counters kept in step:
+ * - pricing[].slotsAvailable - Remaining seats in a pricing tier
+ * - availableSlots - Remaining seats for the whole event
+ * - seatsChangedAt - When seats were last held or released
+ *
+ * The counters are derived from the event's capacities; capacity.js
+ * validates those and can recompute the counters from registrations.
+ *
+ * Every release is announced on `seatEvents` ('released', { eventId, tierName })
+ * so the waitlist can offer the freed seats to the next customer in line.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const { Event, Registration, WaitlistEntry } = require('./models');
+
+// Event statuses that accept new registrations
+const REGISTRABLE_STATUSES = ['published', 'draft']; // Allow draft events for development
+
+// Announces seat releases to interested modules (see waitlist.js)
+const seatEvents = new EventEmitter();
+
+/**
+ * Reserve Seats
+ *
+ * Atomically takes `count` seats from a pricing tier and from the event total.
+ * The update only matches when both counters still have enough seats, so the
+ * check and the decrement happen as one operation inside MongoDB.
+ *
+ * @param {string} eventId - Event to reserve seats on
+ * @param {string} tierName - Name of the pricing tier
+ * @param {number} count - Number of seats to reserve
+ * @returns {Promise<Object|null>} Updated event, or null if the seats could not be held
+ */
+async function reserveSeats(eventId, tierName, count) {
+  return Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $in: REGISTRABLE_STATUSES },
+      availableSlots: { $gte: count },
+      pricing: { $elemMatch: { name: tierName, slotsAvailable: { $gte: count } } }
+    },
+    {
+      $inc: {
+        availableSlots: -count,
+        'pricing.$.slotsAvailable': -count
+      },
+      $set: { seatsChangedAt: new Date() }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Release Seats
+ *
+ * Returns `count` seats to a pricing tier and to the event total. If the tier
+ * no longer exists on the event (renamed or removed by an admin), the seats
+ * are still returned to the event total.
+ *
+ * @param {string} eventId - Event to release seats on
+ * @param {string} tierName - Name of the pricing tier the seats were taken from
+ * @param {number} count - Number of seats to release
+ * @returns {Promise<void>}
+ */
+async function releaseSeats(eventId, tierName, count) {
+  const result = await Event.updateOne(
+    { _id: eventId, 'pricing.name': tierName },
+    {
+      $inc: {
+        availableSlots: count,
+        'pricing.$.slotsAvailable': count
+      },
+      $set: { seatsChangedAt: new Date() }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    await Event.updateOne(
+      { _id: eventId },
+      { $inc: { availableSlots: count }, $set: { seatsChangedAt: new Date() } }
+    );
+  }
+
+  seatEvents.emit('released', { eventId: eventId.toString(), tierName });
+}
+
+/**
+ * Mark Seats Changing
+ *
+ * Bumps seatsChangedAt without changing the counters. Used before seats
+ * change holder without changing in number (a waitlist offer claimed by a
+ * registration), so a recompute leaves the counters alone while the hand-over
+ * is being written.
+ *
+ * @param {string} eventId - Event whose seats change holder
+ * @returns {Promise<void>}
+ */
+async function markSeatsChanging(eventId) {
+  await Event.updateOne({ _id: eventId }, { $set: { seatsChangedAt: new Date() } });
+}
+
+/**
+ * Count Held Seats
+ *
+ * Counts the seats of an event currently held by pending or confirmed
+ * registrations and by open waitlist offers, per pricing tier and in total.
+ *
+ * @param {string} eventId - Event to count
+ * @returns {Promise<Object>} { total, byTier } where byTier maps tier name to seats
+ */
+async function countHeldSeats(eventId) {
+  const eventObjectId = new mongoose.Types.ObjectId(String(eventId));
+  const [registrations, offers] = await Promise.all([
+    Registration.aggregate([
+      { $match: { eventId: eventObjectId, status: { $in: ['pending', 'confirmed'] } } },
+      { $group: { _id: '$pricingTier.name', seats: { $sum: '$attendeeCount' } } }
+    ]),
+    WaitlistEntry.aggregate([
+      { $match: { eventId: eventObjectId, status: 'offered' } },
+      { $group: { _id: '$pricingTierName', seats: { $sum: '$attendeeCount' } } }
+    ])
+  ]);
+
+  const byTier = {};
+  let total = 0;
+  for (const group of [...registrations, ...offers]) {
+    byTier[group._id] = (byTier[group._id] || 0) + group.seats;
+    total += group.seats;
+  }
+
+  return { total, byTier };
+}
+
+module.exports = {
+  REGISTRABLE_STATUSES,
+  seatEvents,
+  reserveSeats,
+  releaseSeats,
+  markSeatsChanging,
+  countHeldSeats
+};
@@ -0,0 +1,152 @@
+/**
+ * Social Proof
+ *
+ * This module tells customers which of their mutual connections - customers
+ * who follow each other - are going to an event. Only confirmed
+ * registrations count, and a connection is only shown when they let their
+ * attendance be seen:
+ * - Customer.attendanceVisibility - 'connections' (default) shows the
+ *   customer's attendance to their mutual connections, 'hidden' never does
+ * - Registration.hideAttendance - hides a single registration
+ *
+ * Everyone else going is only ever given as a count.
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { Customer, Registration } = require('./models');
+
+const ATTENDANCE_VISIBILITIES = ['connections', 'hidden'];
+
+// Connections listed per event; the rest are counted
+const MAX_CONNECTIONS_SHOWN = 10;
+
+// ============================================================================
+// CONNECTIONS
+// ============================================================================
+
+/**
+ * Mutual Connections
+ *
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<string[]>} IDs of the customers who follow the customer and are followed back
+ */
+async function mutualConnections(customerId) {
+  const customer = await Customer.findById(customerId).select('follower followed').lean();
+  if (!customer) return [];
+
+  const followed = new Set((customer.followed || []).map(id => id.toString()));
+  return [...new Set((customer.follower || []).map(id => id.toString()))].filter(id => followed.has(id));
+}
+
+/**
+ * Visible Connections Going
+ *
+ * @param {string} customerId - Customer ID
+ * @param {Array<string>} eventIds - Events to look at
+ * @param {Array<string>} connectionIds - The customer's mutual connections, if already known (optional)
+ * @returns {Promise<Map<string, Array<Object>>>} Event ID to the mutual connections with a visible
+ *                                               confirmed registration for it ({ _id, name, picture }),
+ *                                               for events with at least one
+ */
+async function visibleConnectionsGoing(customerId, eventIds, connectionIds = null) {
+  const going = new Map();
+  if (!connectionIds) connectionIds = await mutualConnections(customerId);
+  if (connectionIds.length === 0 || eventIds.length === 0) return going;
+
+  const registrations = await Registration.find({
+    eventId: { $in: eventIds },
+    customerId: { $in: connectionIds },
+    status: 'confirmed',
+    hideAttendance: { $ne: true }
+  })
+    .select('eventId customerId')
+    .lean();
+  if (registrations.length === 0) return going;
+
+  const customers = await Customer.find({
+    _id: { $in: [...new Set(registrations.map(registration => registration.customerId.toString()))] },
+    attendanceVisibility: { $ne: 'hidden' }
+  })
+    .select('name picture')
+    .lean();
+  const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+  for (const registration of registrations) {
+    const customer = customersById.get(registration.customerId.toString());
+    if (!customer) continue;
+
+    const eventId = registration.eventId.toString();
+    if (!going.has(eventId)) going.set(eventId, []);
+    // A customer may hold several registrations for the same event
+    if (!going.get(eventId).some(connection => connection._id.equals(customer._id))) {
+      going.get(eventId).push(customer);
+    }
+  }
+
+  for (const connections of going.values()) {
+    connections.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+
+  return going;
+}
+
+/**
+ * Attendee Counts
+ *
+ * @param {Array} eventIds - Events to count
+ * @returns {Promise<Map<string, number>>} Event ID to the number of customers with a confirmed
+ *                                        registration for it, for events with at least one
+ */
+async function attendeeCounts(eventIds) {
+  const ids = eventIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  const groups = await Registration.aggregate([
+    { $match: { eventId: { $in: ids }, status: 'confirmed' } },
+    // A customer may hold several registrations for the same event
+    { $group: { _id: { eventId: '$eventId', customerId: '$customerId' } } },
+    { $group: { _id: '$_id.eventId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(groups.map(group => [group._id.toString(), group.count]));
+}
+
+// ============================================================================
+// EVENT DETAIL
+// ============================================================================
+
+/**
+ * Friends Going
+ *
+ * @param {Object} event - Event
+ * @param {Object} customer - Customer viewing the event
+ * @param {Array<string>} attendeeIds - Customers with a confirmed registration for the event, if
+ *                                      already known (optional)
+ * @returns {Promise<Object>} { count, connections, othersCount } where connections are the first
+ *                            visible mutual connections going and othersCount everyone else going
+ *                            besides the customer
+ */
+async function friendsGoing(event, customer, attendeeIds = null) {
+  const [going, attendees] = await Promise.all([
+    visibleConnectionsGoing(customer._id, [event._id]),
+    attendeeIds || Registration.distinct('customerId', { eventId: event._id, status: 'confirmed' })
+  ]);
+  const connections = going.get(event._id.toString()) || [];
+
+  const self = attendees.some(id => id.toString() === customer._id.toString()) ? 1 : 0;
+
+  return {
+    count: connections.length,
+    connections: connections.slice(0, MAX_CONNECTIONS_SHOWN),
+    othersCount: Math.max(0, attendees.length - self - connections.length)
+  };
+}
+
+module.exports = {
+  ATTENDANCE_VISIBILITIES,
+  mutualConnections,
+  visibleConnectionsGoing,
+  attendeeCounts,
+  friendsGoing
+};
@@ -0,0 +1,191 @@
+const axios = require('axios');
+
+// Configuration
+const BASE_URL = 'http://localhost:5000';
+const PARALLEL_BUYERS = 20;
+let TOKEN = ''; // Admin token, set after login
+let EVENT_ID = ''; // Will be set after creating event
+
+// Event with a single seat in a single tier
+const oneSeatEvent = {
+  eventName: "Last Seat Concurrency Test",
+  date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+  eventTime: {
+    from: "18:00",
+    to: "20:00"
+  },
+  place: "Test Hall",
+  tags: ["test"],
+  pricing: [
+    {
+      name: "Last Seat",
+      description: "Only one seat available",
+      price: 10,
+      slotsAvailable: 1
+    }
+  ],
+  organizer: "Saath QA",
+  description: "Fires parallel registrations at a one-seat tier",
+  duration: "2 hours",
+  maxAttendees: 1,
+  availableSlots: 1,
+  status: "published"
+};
+
+const adminHeaders = () => ({
+  'Authorization': `Bearer ${TOKEN}`,
+  'Content-Type': 'application/json'
+});
+
+const loginAdmin = async () => {
+  console.log('🔐 Logging in as admin...');
+  try {
+    const response = await axios.post(`${BASE_URL}/api/admin/login`, {
+      email: 'admin@test.com',
+      password: 'password123'
+    });
+
+    if (response.data.success) {
+      TOKEN = response.data.token;
+      console.log('✅ Login successful');
+      return true;
+    }
+    console.log('❌ Login failed:', response.data.message);
+    return false;
+  } catch (error) {
+    console.log('❌ Login error:', error.response?.data?.message || error.message);
+    return false;
+  }
+};
+
+const createEvent = async () => {
+  console.log('\n📝 Creating one-seat event...');
+  try {
+    const response = await axios.post(`${BASE_URL}/api/admin-events`, oneSeatEvent, { headers: adminHeaders() });
+    EVENT_ID = response.data.data._id;
+    console.log('✅ Event created:', EVENT_ID);
+    return true;
+  } catch (error) {
+    console.log('❌ Failed to create event:', error.response?.data || error.message);
+    return false;
+  }
+};
+
+// Sign in a fresh customer through the OTP flow and return their token
+const createCustomer = async (index) => {
+  const phone = `9${Date.now().toString().slice(-7)}${index.toString().padStart(2, '0')}`;
+  const otpResponse = await axios.post(`${BASE_URL}/api/otp`, { phone });
+  const verifyResponse = await axios.post(`${BASE_URL}/api/verify-otp`, {
+    phone,
+    otp: otpResponse.data.otp
+  });
+  return verifyResponse.data.token;
+};
+
+const register = async (customerToken) => {
+  try {
+    const response = await axios.post(`${BASE_URL}/api/event-registrations`, {
+      eventId: EVENT_ID,
+      pricingTierName: 'Last Seat',
+      attendeeCount: 1
+    }, {
+      headers: { 'Authorization': `Bearer ${customerToken}` }
+    });
+    return { status: response.status, customerToken, registrationId: response.data.data._id };
+  } catch (error) {
+    return { status: error.response?.status || 0, customerToken };
+  }
+};
+
+// The paid seat stays pending with an open payment intent; cancelling voids it and frees the seat
+const cancelRegistration = async ({ customerToken, registrationId }) => {
+  try {
+    await axios.patch(`${BASE_URL}/api/event-registrations/${registrationId}/cancel`, {}, {
+      headers: { 'Authorization': `Bearer ${customerToken}` }
+    });
+    console.log('\n↩️ Winning registration cancelled');
+    return true;
+  } catch (error) {
+    console.log('\n❌ Could not cancel winning registration:', error.response?.data?.message || error.message);
+    return false;
+  }
+};
+
+// Events with registrations are archived rather than deleted
+const deleteEvent = async () => {
+  try {
+    const response = await axios.delete(`${BASE_URL}/api/admin-events/${EVENT_ID}`, {
+      headers: adminHeaders(),
+      data: { reason: 'Concurrency test finished' }
+    });
+    console.log(response.data.data?.archived ? '\n🗄️ Test event archived' : '\n🗑️ Test event deleted');
+    return true;
+  } catch (error) {
+    console.log('\n⚠️ Could not delete test event:', error.response?.data?.message || error.message);
+    return false;
+  }
+};
+
+// Main test runner
+const runTest = async () => {
+  console.log('🚀 Starting Concurrent Registration Test');
+  console.log('========================================');
+
+  if (!await loginAdmin()) {
+    console.log('❌ Cannot proceed without login');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!await createEvent()) {
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`\n👥 Signing in ${PARALLEL_BUYERS} customers...`);
+  const customerTokens = [];
+  for (let i = 0; i < PARALLEL_BUYERS; i++) {
+    customerTokens.push(await createCustomer(i));
+  }
+
+  console.log(`\n⚡ Firing ${PARALLEL_BUYERS} registrations in parallel...`);
+  const results = await Promise.all(customerTokens.map(register));
+  const winners = results.filter(result => result.status === 201);
+  const rejected = results.filter(result => result.status === 400 || result.status === 409).length;
+  console.log(`Succeeded: ${winners.length}, rejected: ${rejected}, other: ${results.length - winners.length - rejected}`);
+
+  const fetchEvent = async () => {
+    const eventResponse = await axios.get(`${BASE_URL}/api/admin-events/${EVENT_ID}`, { headers: adminHeaders() });
+    return eventResponse.data.data;
+  };
+
+  const event = await fetchEvent();
+  console.log(`Tier slots left: ${event.pricing[0].slotsAvailable}, event slots left: ${event.availableSlots}`);
+
+  if (winners.length === 1 && event.pricing[0].slotsAvailable === 0 && event.availableSlots === 0) {
+    console.log('\n✅ Exactly one registration got the seat');
+  } else {
+    console.log('\n❌ Seat was oversold or counters drifted');
+    process.exitCode = 1;
+  }
+
+  // Settle every winner so no payment intent is left open
+  for (const winner of winners) {
+    if (!await cancelRegistration(winner)) process.exitCode = 1;
+  }
+
+  if (winners.length > 0) {
+    const released = await fetchEvent();
+    if (released.pricing[0].slotsAvailable === 1 && released.availableSlots === 1) {
+      console.log('✅ Cancelling released the seat');
+    } else {
+      console.log(`❌ Seat not released (tier: ${released.pricing[0].slotsAvailable}, event: ${released.availableSlots})`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (!await deleteEvent()) process.exitCode = 1;
+};
+
+// Run test
+runTest();
@@ -0,0 +1,222 @@
+/**
+ * Tickets
+ *
+ * This module issues and verifies event tickets. A ticket is a signed token
+ * naming the registration and event plus a random per-registration secret,
+ * so it can't be guessed from a registration id and can be revoked by
+ * rotating the secret. The token is what the QR code encodes.
+ *
+ * Features:
+ * - Signed ticket tokens for confirmed registrations
+ * - QR code rendering (PNG or SVG)
+ * - Check-in of all or some attendees on a ticket
+ *
+ * Configuration:
+ * - TICKET_SECRET - Secret used to sign ticket tokens
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { Registration } = require('./models');
+
+// The fallback secret is public; assertTicketConfig refuses it in production
+const TICKET_SECRET = process.env.TICKET_SECRET || 'your_ticket_secret';
+
+// Registration fields may be populated documents or raw ObjectIds
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Assert Ticket Config
+ *
+ * Throws in production unless TICKET_SECRET is set, so tickets are never
+ * signed with the public fallback secret.
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @throws {Error} If TICKET_SECRET is missing in production
+ */
+function assertTicketConfig(env = process.env) {
+  if (env.NODE_ENV === 'production' && !env.TICKET_SECRET) {
+    throw new Error('TICKET_SECRET must be set in production');
+  }
+}
+
+/**
+ * Get Ticket Token
+ *
+ * Returns the signed ticket token for a registration, creating its secret on
+ * first use. The secret is only ever set once, so concurrent requests agree
+ * on the same token.
+ *
+ * @param {Object} registration - Registration document
+ * @returns {Promise<string>} Signed ticket token
+ */
+async function getTicketToken(registration) {
+  if (!registration.ticket || !registration.ticket.nonce) {
+    await Registration.updateOne(
+      { _id: registration._id, 'ticket.nonce': { $exists: false } },
+      { $set: { 'ticket.nonce': crypto.randomBytes(16).toString('hex'), 'ticket.issuedAt': new Date() } }
+    );
+
+    const issued = await Registration.findById(registration._id).select('ticket');
+    registration.ticket = issued.ticket;
+  }
+
+  return jwt.sign(
+    {
+      typ: 'ticket',
+      rid: idOf(registration._id),
+      eid: idOf(registration.eventId),
+      nonce: registration.ticket.nonce
+    },
+    TICKET_SECRET
+  );
+}
+
+/**
+ * Verify Ticket Token
+ *
+ * Checks the token signature and shape.
+ *
+ * @param {string} token - Ticket token from a scanned QR code
+ * @returns {Object|null} { registrationId, eventId, nonce } or null if invalid
+ */
+function verifyTicketToken(token) {
+  try {
+    const decoded = jwt.verify(token, TICKET_SECRET);
+    if (decoded.typ !== 'ticket' || !decoded.rid || !decoded.eid || !decoded.nonce) {
+      return null;
+    }
+
+    return {
+      registrationId: decoded.rid,
+      eventId: decoded.eid,
+      nonce: decoded.nonce
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render Ticket QR Code
+ *
+ * @param {string} token - Ticket token to encode
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+async function renderTicketQr(token, format) {
+  if (format === 'svg') {
+    return QRCode.toString(token, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+  }
+
+  return QRCode.toBuffer(token, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 320 });
+}
+
+// ============================================================================
+// CHECK-IN
+// ============================================================================
+
+/**
+ * Check In Attendees
+ *
+ * Marks attendees on a registration as checked in and records the scan.
+ * Without a selection everyone not yet checked in is admitted; `attendeeIds`
+ * picks named attendees and `count` admits that many of the remaining ones.
+ * Saves the registration; a concurrent scan of the same ticket makes the
+ * save fail with a VersionError, or for registrations without named
+ * attendees returns the already-checked-in error.
+ *
+ * @param {Object} registration - Registration document
+ * @param {Object} options - { attendeeIds, count, adminId }
+ * @returns {Promise<Object>} { checkedIn, registration } with the admitted attendees and the
+ *                            saved registration, or { error }
+ */
+async function checkInAttendees(registration, { attendeeIds, count, adminId } = {}) {
+  const now = new Date();
+
+  // Registrations made before attendees were named are checked in as a whole
+  if (registration.attendees.length === 0) {
+    // Only one of two simultaneous scans finds the registration still not checked in
+    const checkedInRegistration = await Registration.findOneAndUpdate(
+      { _id: registration._id, checkInStatus: 'not-checked-in' },
+      {
+        $set: { checkInStatus: 'checked-in', checkInTime: now },
+        $push: { checkInLog: { scannedBy: adminId, scannedAt: now, outcome: 'checked-in' } }
+      },
+      { new: true }
+    );
+
+    if (!checkedInRegistration) {
+      return { error: 'Attendee is already checked in' };
+    }
+    return { checkedIn: [], registration: checkedInRegistration };
+  }
+
+  const remaining = registration.attendees.filter(attendee => attendee.checkInStatus !== 'checked-in');
+  let selected;
+
+  if (Array.isArray(attendeeIds) && attendeeIds.length > 0) {
+    selected = [];
+    for (const attendeeId of new Set(attendeeIds.map(String))) {
+      const attendee = registration.attendees.id(attendeeId);
+      if (!attendee) {
+        return { error: `Attendee ${attendeeId} is not on this ticket` };
+      }
+      if (attendee.checkInStatus === 'checked-in') {
+        return { error: `${attendee.name} is already checked in` };
+      }
+      selected.push(attendee);
+    }
+  } else if (count !== undefined) {
+    const admitCount = Number(count);
+    if (!Number.isInteger(admitCount) || admitCount < 1) {
+      return { error: 'count must be a positive whole number' };
+    }
+    if (admitCount > remaining.length) {
+      return { error: `Only ${remaining.length} attendee(s) left to check in on this ticket` };
+    }
+    selected = remaining.slice(0, admitCount);
+  } else {
+    selected = remaining;
+  }
+
+  if (selected.length === 0) {
+    return { error: 'Everyone on this ticket is already checked in' };
+  }
+
+  selected.forEach(attendee => {
+    attendee.checkInStatus = 'checked-in';
+    attendee.checkInTime = now;
+    attendee.checkedInBy = adminId;
+  });
+
+  const allCheckedIn = registration.attendees.every(attendee => attendee.checkInStatus === 'checked-in');
+  registration.checkInStatus = allCheckedIn ? 'checked-in' : 'partially-checked-in';
+  registration.checkInTime = now;
+  registration.checkInLog.push({
+    scannedBy: adminId,
+    scannedAt: now,
+    outcome: 'checked-in',
+    attendeeIds: selected.map(attendee => attendee._id)
+  });
+
+  await registration.save();
+
+  return { checkedIn: selected, registration };
+}
+
+module.exports = {
+  assertTicketConfig,
+  getTicketToken,
+  verifyTicketToken,
+  renderTicketQr,
+  checkInAttendees
+};
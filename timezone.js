@@ -0,0 +1,152 @@
+/**
+ * Time Zones
+ *
+ * This module validates IANA time zones and turns a local calendar date and
+ * wall-clock time in a zone into the instant it refers to, using the time
+ * zone data built into Node (Intl), so daylight saving is accounted for.
+ *
+ * Configuration:
+ * - DEFAULT_TIMEZONE - Time zone of events without one (default: UTC)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Preferred spelling of each zone, looked up case-insensitively
+const ZONE_NAMES = new Map(
+  [...Intl.supportedValuesOf('timeZone'), 'UTC'].map(zone => [zone.toLowerCase(), zone])
+);
+
+// Formatters are costly to build, so one is kept per zone
+const formatters = new Map();
+
+/**
+ * Get Formatter
+ *
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter giving numeric date and time parts in the zone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Is Valid Time Zone
+ *
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True for an IANA time zone known to Node (e.g. Asia/Kolkata)
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+
+  try {
+    getFormatter(timeZone.trim());
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize Time Zone
+ *
+ * @param {string} timeZone - Valid time zone as entered
+ * @returns {string} Preferred spelling of the zone (e.g. "europe/paris" -> "Europe/Paris")
+ */
+function normalizeTimeZone(timeZone) {
+  const name = timeZone.trim();
+  return ZONE_NAMES.get(name.toLowerCase()) || name;
+}
+
+/**
+ * Parse Time Of Day
+ *
+ * Accepts 24-hour ("14:00") and 12-hour ("2:00 PM") times.
+ *
+ * @param {string} value - Time as entered
+ * @returns {Object|null} { hours, minutes }, or null if it isn't a time
+ */
+function parseTimeOfDay(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'pm') hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return { hours, minutes };
+}
+
+/**
+ * Time Zone Offset
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds the zone's wall clock is ahead of UTC at that instant
+ */
+function timeZoneOffset(instant, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[part.type] = parseInt(part.value, 10);
+  }
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Zoned Time To UTC
+ *
+ * Finds the instant at which the wall clock in a zone shows the given local
+ * date and time. Times skipped by a daylight saving change resolve to an
+ * instant next to the gap.
+ *
+ * @param {string} calendarDate - Local date (YYYY-MM-DD)
+ * @param {Object} time - { hours, minutes } from parseTimeOfDay
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+function zonedTimeToUtc(calendarDate, { hours, minutes }, timeZone) {
+  const [year, month, day] = calendarDate.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The offset depends on the instant, so correct once with the offset found there
+  const firstGuess = wallClock - timeZoneOffset(wallClock, timeZone);
+  const offset = timeZoneOffset(firstGuess, timeZone);
+
+  return new Date(wallClock - offset);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  normalizeTimeZone,
+  parseTimeOfDay,
+  zonedTimeToUtc
+};
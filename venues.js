@@ -0,0 +1,275 @@
+/**
+ * Venues and Geolocation
+ *
+ * This module handles where events take place: structured venues with an
+ * address and GeoJSON coordinates, saved venues reused across events, how
+ * customers attend (in person, online or both) and "near me" searches.
+ *
+ * An event keeps its own copy of its venue, taken from the Venue collection
+ * when the request names a saved venue (venueId), so editing or deleting a
+ * saved venue never changes events that already use it. Coordinates are
+ * GeoJSON points, [longitude, latitude].
+ *
+ * Near searches (query parameters):
+ * - near - "lat,lng" of the searcher
+ * - radiusKm - Search radius in kilometres (default: 25, at most 500)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { Venue } = require('./models');
+
+// How customers attend an event
+const ATTENDANCE_MODES = ['in-person', 'online', 'hybrid'];
+
+// Place shown for an online event created without one
+const ONLINE_PLACE = 'Online';
+
+// Address fields of a venue, all optional free text
+const VENUE_TEXT_FIELDS = ['name', 'address', 'city', 'region', 'postalCode', 'country'];
+
+// Earth radius MongoDB's spherical queries use, so distances match the search radius
+const EARTH_RADIUS_KM = 6378.1;
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// ============================================================================
+// VENUE FIELDS
+// ============================================================================
+
+/**
+ * Parse Coordinates
+ *
+ * @param {*} lat - Latitude (-90 to 90)
+ * @param {*} lng - Longitude (-180 to 180)
+ * @returns {Object} { location } as a GeoJSON point, or { error } with a message
+ */
+function parseCoordinates(lat, lng) {
+  const latitude = lat === '' || lat === null ? NaN : Number(lat);
+  const longitude = lng === '' || lng === null ? NaN : Number(lng);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { error: 'lat must be a number between -90 and 90' };
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { error: 'lng must be a number between -180 and 180' };
+  }
+
+  return { location: { type: 'Point', coordinates: [longitude, latitude] } };
+}
+
+/**
+ * Build Venue Fields
+ *
+ * Validates a venue given inline as { name, address, city, region,
+ * postalCode, country, lat, lng }. A stored GeoJSON location (e.g. from a
+ * template) is accepted in place of lat and lng.
+ *
+ * @param {Object} input - Venue fields
+ * @param {Object} options - { requireLocation } to reject venues without coordinates
+ * @returns {Object} { fields } or { error } with a message
+ */
+function buildVenueFields(input, { requireLocation = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'venue must be an object' };
+  }
+
+  const fields = {};
+  for (const field of VENUE_TEXT_FIELDS) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (typeof input[field] !== 'string') {
+      return { error: `venue ${field} must be a string` };
+    }
+    if (input[field].trim()) fields[field] = input[field].trim();
+  }
+
+  if (input.lat !== undefined || input.lng !== undefined) {
+    const { location, error } = parseCoordinates(input.lat, input.lng);
+    if (error) return { error: `venue ${error}` };
+    fields.location = location;
+  } else if (input.location && Array.isArray(input.location.coordinates)) {
+    const [lng, lat] = input.location.coordinates;
+    const { location, error } = parseCoordinates(lat, lng);
+    if (error) return { error: `venue ${error}` };
+    fields.location = location;
+  } else if (requireLocation) {
+    return { error: 'venue lat and lng are required' };
+  }
+
+  if (!fields.name && !fields.address && !fields.city && !fields.location) {
+    return { error: 'venue needs a name, address, city or coordinates' };
+  }
+
+  return { fields };
+}
+
+/**
+ * Resolve Event Venue
+ *
+ * @param {Object|null} input - { venueId } of a saved venue, inline venue fields, or null to clear
+ * @returns {Promise<Object>} { venue } to store on the event, or { error } with a message
+ */
+async function resolveEventVenue(input) {
+  if (input === null) return { venue: null };
+
+  if (input && input.venueId) {
+    const saved = mongoose.Types.ObjectId.isValid(input.venueId)
+      ? await Venue.findById(input.venueId).lean()
+      : null;
+    if (!saved) return { error: 'Venue not found' };
+
+    const venue = { venueId: saved._id, location: saved.location };
+    for (const field of VENUE_TEXT_FIELDS) {
+      if (saved[field]) venue[field] = saved[field];
+    }
+    return { venue };
+  }
+
+  const { fields, error } = buildVenueFields(input);
+  return error ? { error } : { venue: fields };
+}
+
+/**
+ * Venue Place
+ *
+ * @param {Object} venue - Event venue
+ * @returns {string} Name, address and city of the venue, to use as the event's place
+ */
+function venuePlace(venue) {
+  return [venue.name, venue.address, venue.city].filter(Boolean).join(', ');
+}
+
+/**
+ * Validate Attendance
+ *
+ * @param {Object} body - { attendanceMode, meetingUrl } of a create/update request
+ * @returns {string|null} Error message, or null when the provided fields are valid
+ */
+function validateAttendance({ attendanceMode, meetingUrl }) {
+  if (attendanceMode !== undefined && !ATTENDANCE_MODES.includes(attendanceMode)) {
+    return `attendanceMode must be one of: ${ATTENDANCE_MODES.join(', ')}`;
+  }
+
+  if (meetingUrl !== undefined && meetingUrl !== null && meetingUrl !== '') {
+    let url;
+    try {
+      url = new URL(meetingUrl);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return 'meetingUrl must be an http(s) URL';
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// NEAR SEARCHES
+// ============================================================================
+
+/**
+ * Parse Near Query
+ *
+ * @param {Object} query - { near, radiusKm } query parameters
+ * @returns {Object} { near: { coordinates, radiusKm } }, {} when no near search was asked for, or { error }
+ */
+function parseNearQuery({ near, radiusKm }) {
+  if (near === undefined) {
+    return radiusKm === undefined ? {} : { error: 'radiusKm needs near=lat,lng' };
+  }
+
+  const parts = String(near).split(',');
+  if (parts.length !== 2) {
+    return { error: 'near must be "lat,lng"' };
+  }
+
+  const { location, error } = parseCoordinates(parts[0].trim(), parts[1].trim());
+  if (error) return { error: `near ${error}` };
+
+  const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be a number above 0 and at most ${MAX_RADIUS_KM}` };
+  }
+
+  return { near: { coordinates: location.coordinates, radiusKm: radius } };
+}
+
+/**
+ * Near Filter
+ *
+ * Matches documents whose location lies within the search radius. Unlike
+ * nearSortFilter it can be counted.
+ *
+ * @param {Object} near - From parseNearQuery
+ * @param {string} path - GeoJSON field (default: the event's venue.location)
+ * @returns {Object} Query on the location field
+ */
+function nearFilter(near, path = 'venue.location') {
+  return {
+    [path]: {
+      $geoWithin: { $centerSphere: [near.coordinates, near.radiusKm / EARTH_RADIUS_KM] }
+    }
+  };
+}
+
+/**
+ * Near Sort Filter
+ *
+ * Matches the same documents as nearFilter, nearest first. Queries using it
+ * must not set another sort.
+ *
+ * @param {Object} near - From parseNearQuery
+ * @param {string} path - GeoJSON field (default: the event's venue.location)
+ * @returns {Object} Query on the location field
+ */
+function nearSortFilter(near, path = 'venue.location') {
+  return {
+    [path]: {
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates: near.coordinates },
+        $maxDistance: near.radiusKm * 1000
+      }
+    }
+  };
+}
+
+/**
+ * Distance (km)
+ *
+ * @param {number[]} coordinates - [lng, lat] searched from
+ * @param {Object} location - GeoJSON point (e.g. an event's venue.location)
+ * @returns {number|null} Great-circle distance in km (2 decimals), or null without a location
+ */
+function distanceKm(coordinates, location) {
+  if (!location || !Array.isArray(location.coordinates)) return null;
+
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const [lng1, lat1] = coordinates.map(toRadians);
+  const [lng2, lat2] = location.coordinates.map(toRadians);
+
+  const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+  const distance = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+
+  return Math.round(distance * 100) / 100;
+}
+
+module.exports = {
+  ATTENDANCE_MODES,
+  ONLINE_PLACE,
+  VENUE_TEXT_FIELDS,
+  parseCoordinates,
+  buildVenueFields,
+  resolveEventVenue,
+  venuePlace,
+  validateAttendance,
+  parseNearQuery,
+  nearFilter,
+  nearSortFilter,
+  distanceKm
+};
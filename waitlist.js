@@ -0,0 +1,263 @@
+/**
+ * Waitlist
+ *
+ * This module runs the per-tier waitlist of sold-out events. Whenever seats
+ * are released (a cancellation, refund, failed or expired payment, or a
+ * lapsed offer), the next waiting customer is offered them: the seats are
+ * held for that customer for a limited claim window and they are notified
+ * in-app. An offer that is not claimed in time expires, its seats are
+ * released again and the customer after them is offered them instead.
+ *
+ * Entry lifecycle:
+ * - waiting - In the queue for the tier
+ * - offered - Seats held, waiting for the customer to register
+ * - claimed - The customer registered with the offer
+ * - expired - The offer lapsed unclaimed
+ * - cancelled - The customer left the waitlist
+ *
+ * Offers go out strictly in queue order; a group at the head of the queue
+ * waits until enough seats are free for all of it.
+ *
+ * Configuration:
+ * - WAITLIST_CLAIM_MINUTES - How long an offer holds its seats (default: 60)
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const { Event, WaitlistEntry } = require('./models');
+const { seatEvents, reserveSeats, releaseSeats } = require('./seatInventory');
+const { notifyCustomer } = require('./notifications');
+const { registrationDeadline } = require('./eventSchedule');
+
+const WAITLIST_CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+
+// Entry statuses that still occupy a place in the queue
+const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+// ============================================================================
+// OFFERS
+// ============================================================================
+
+/**
+ * Offer Released Seats
+ *
+ * Offers the free seats of a tier to the customers at the head of its queue,
+ * holding the seats for each offer. Each entry moves from waiting to offered
+ * with a conditional update, so concurrent calls never offer it twice.
+ *
+ * @param {string} eventId - Event whose seats were released
+ * @param {string} tierName - Pricing tier the seats belong to
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of offers made
+ */
+async function offerReleasedSeats(eventId, tierName, now = new Date()) {
+  const event = await Event.findById(eventId).select('eventName date startsAt registrationCutoffMinutes registrationClosedAt');
+  if (!event || event.registrationClosedAt || registrationDeadline(event) <= now) return 0;
+
+  let offeredCount = 0;
+
+  while (true) {
+    const entry = await WaitlistEntry.findOne({
+      eventId,
+      pricingTierName: tierName,
+      status: 'waiting'
+    })
+    .sort({ createdAt: 1 });
+
+    if (!entry) break;
+
+    // Hold the seats so nobody else can take them during the claim window
+    const heldEvent = await reserveSeats(eventId, tierName, entry.attendeeCount);
+    if (!heldEvent) break;
+
+    // Offers never outlive the registration deadline of the event
+    const offerExpiresAt = new Date(Math.min(
+      now.getTime() + WAITLIST_CLAIM_MINUTES * 60 * 1000,
+      registrationDeadline(event).getTime()
+    ));
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', offeredAt: now, offerExpiresAt } },
+      { new: true }
+    );
+
+    if (!offered) {
+      // The customer left or another call offered first; the release starts the next round
+      await releaseSeats(eventId, tierName, entry.attendeeCount);
+      break;
+    }
+
+    await notifyCustomer(offered.customerId, {
+      type: 'waitlist-offer',
+      title: 'A spot opened up',
+      message: `${offered.attendeeCount} seat(s) in ${tierName} for ${event.eventName} are held for you until ${offerExpiresAt.toISOString()}. Register before then to claim them.`,
+      data: {
+        eventId: event._id,
+        pricingTierName: tierName,
+        waitlistEntryId: offered._id,
+        offerExpiresAt
+      }
+    });
+
+    offeredCount++;
+  }
+
+  return offeredCount;
+}
+
+/**
+ * Claim Waitlist Offer
+ *
+ * Hands an offer's held seats to the registration made with it. Only an
+ * offer that is still open can be claimed, and only once.
+ *
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} customerId - Customer claiming the offer
+ * @param {string} registrationId - Registration taking over the seats
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<Object|null>} Claimed entry, or null if the offer is gone
+ */
+async function claimWaitlistOffer(entryId, customerId, registrationId, now = new Date()) {
+  return WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, customerId, status: 'offered', offerExpiresAt: { $gt: now } },
+    { $set: { status: 'claimed', registrationId } },
+    { new: true }
+  );
+}
+
+/**
+ * Reopen Waitlist Offer
+ *
+ * Puts a claimed offer back to offered when its registration could not be
+ * completed, so the seats stay held for the customer until the offer expires.
+ *
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} registrationId - Registration that claimed the offer
+ * @returns {Promise<void>}
+ */
+async function reopenWaitlistOffer(entryId, registrationId) {
+  await WaitlistEntry.updateOne(
+    { _id: entryId, status: 'claimed', registrationId },
+    { $set: { status: 'offered' }, $unset: { registrationId: 1 } }
+  );
+}
+
+// ============================================================================
+// SWEEP
+// ============================================================================
+
+/**
+ * Expire Waitlist Offers
+ *
+ * Expires offers whose claim window has passed and releases their seats,
+ * which offers them to the next customer in line. Each offer is claimed with
+ * a conditional update, so the sweep is safe to run from several server
+ * instances at once.
+ *
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} Number of offers expired
+ */
+async function expireWaitlistOffers(now = new Date()) {
+  const candidates = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: now }
+  })
+  .select('_id')
+  .limit(100);
+
+  let expiredCount = 0;
+
+  for (const candidate of candidates) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: 'offered' },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+
+    if (!entry) continue;
+
+    await notifyCustomer(entry.customerId, {
+      type: 'waitlist-offer-expired',
+      title: 'Your waitlist offer expired',
+      message: `The seat(s) held for you in ${entry.pricingTierName} were not claimed in time and have been offered to the next person on the waitlist.`,
+      data: {
+        eventId: entry.eventId,
+        pricingTierName: entry.pricingTierName,
+        waitlistEntryId: entry._id
+      }
+    });
+
+    await releaseSeats(entry.eventId, entry.pricingTierName, entry.attendeeCount);
+    expiredCount++;
+  }
+
+  return expiredCount;
+}
+
+/**
+ * Offer Waiting Tiers
+ *
+ * Runs offerReleasedSeats for every tier with waiting customers. This picks
+ * up seats that were freed without a release notice reaching this process,
+ * such as releases on a server instance that stopped before offering them or
+ * slots added by an admin.
+ *
+ * @returns {Promise<number>} Number of offers made
+ */
+async function offerWaitingTiers() {
+  const tiers = await WaitlistEntry.aggregate([
+    { $match: { status: 'waiting' } },
+    { $group: { _id: { eventId: '$eventId', tierName: '$pricingTierName' } } },
+    { $limit: 100 }
+  ]);
+
+  let offeredCount = 0;
+  for (const tier of tiers) {
+    offeredCount += await offerReleasedSeats(tier._id.eventId, tier._id.tierName);
+  }
+
+  return offeredCount;
+}
+
+/**
+ * Start Waitlist Sweep
+ *
+ * Expires lapsed offers and offers free seats to waiting customers on a
+ * fixed interval.
+ *
+ * @param {number} intervalMs - Interval between sweeps (default: 60 seconds)
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startWaitlistSweep(intervalMs = 60000) {
+  return setInterval(async () => {
+    try {
+      const expiredCount = await expireWaitlistOffers();
+      const offeredCount = await offerWaitingTiers();
+      if (expiredCount > 0 || offeredCount > 0) {
+        console.log(`⏰ Waitlist: expired ${expiredCount} offer(s), made ${offeredCount} offer(s)`);
+      }
+    } catch (error) {
+      console.error('Error running waitlist sweep:', error);
+    }
+  }, intervalMs);
+}
+
+// Offer freed seats as soon as they are released in this process
+seatEvents.on('released', ({ eventId, tierName }) => {
+  offerReleasedSeats(eventId, tierName).catch(error => {
+    console.error('Error offering released seats to the waitlist:', error);
+  });
+});
+
+module.exports = {
+  WAITLIST_CLAIM_MINUTES,
+  ACTIVE_WAITLIST_STATUSES,
+  offerReleasedSeats,
+  claimWaitlistOffer,
+  reopenWaitlistOffer,
+  expireWaitlistOffers,
+  offerWaitingTiers,
+  startWaitlistSweep
+};
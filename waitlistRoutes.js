@@ -0,0 +1,271 @@
+/**
+ * Waitlist Routes
+ *
+ * This module lets customers join the waitlist of a sold-out pricing tier,
+ * see where they are in the queue and leave it. Offers made from the
+ * waitlist are claimed by registering with the offer's waitlistEntryId
+ * (POST /api/event-registrations).
+ *
+ * Features:
+ * - Per-tier waitlists for sold-out events
+ * - Queue position for each waiting entry
+ * - Leaving the waitlist gives held seats to the next customer
+ *
+ * @author Saath Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import database models
+const { Event, Registration, WaitlistEntry } = require('./models');
+const customerAuth = require('./middleware/customerAuth');
+const { REGISTRABLE_STATUSES, releaseSeats } = require('./seatInventory');
+const { ACTIVE_WAITLIST_STATUSES, offerReleasedSeats } = require('./waitlist');
+const { registrationDeadline } = require('./eventSchedule');
+
+// ============================================================================
+// WAITLIST ROUTES
+// ============================================================================
+
+/**
+ * Join Waitlist
+ * POST /api/waitlist
+ *
+ * Adds the authenticated customer to the waitlist of a pricing tier. Only
+ * tiers without enough free seats for the requested group can be joined.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} pricingTierName - Name of the sold-out pricing tier
+ * @param {number} attendeeCount - Number of seats wanted (default: 1)
+ * @returns {Object} Created waitlist entry and its queue position
+ */
+router.post('/', customerAuth, async (req, res) => {
+    try {
+        const { eventId, pricingTierName } = req.body;
+        const attendeeCount = Number(req.body.attendeeCount ?? 1);
+
+        if (!eventId || !pricingTierName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Event ID and pricing tier are required'
+            });
+        }
+
+        if (!Number.isInteger(attendeeCount) || attendeeCount < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'attendeeCount must be a positive whole number'
+            });
+        }
+
+        const event = await Event.findOne({
+            _id: eventId,
+            status: { $in: REGISTRABLE_STATUSES }
+        });
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found or not available for registration'
+            });
+        }
+
+        if (event.registrationClosedAt || registrationDeadline(event) <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Registration for this event has closed'
+            });
+        }
+
+        const pricingTier = event.pricing.find(tier => tier.name === pricingTierName);
+        if (!pricingTier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid pricing tier'
+            });
+        }
+
+        if (Math.min(pricingTier.slotsAvailable, event.availableSlots) >= attendeeCount) {
+            return res.status(400).json({
+                success: false,
+                message: 'Seats are still available for this tier. Please register instead.'
+            });
+        }
+
+        const existingRegistration = await Registration.findOne({
+            eventId,
+            customerId: req.customer._id,
+            status: { $in: ['pending', 'confirmed'] }
+        });
+
+        if (existingRegistration) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already registered for this event'
+            });
+        }
+
+        const existingEntry = await WaitlistEntry.findOne({
+            eventId,
+            customerId: req.customer._id,
+            status: { $in: ACTIVE_WAITLIST_STATUSES }
+        });
+
+        if (existingEntry) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already on the waitlist for this event'
+            });
+        }
+
+        const entry = await WaitlistEntry.create({
+            eventId,
+            pricingTierName: pricingTier.name,
+            customerId: req.customer._id,
+            attendeeCount
+        });
+
+        // Seats may have been freed between the sold-out check and joining
+        await offerReleasedSeats(event._id, pricingTier.name);
+
+        const latestEntry = await WaitlistEntry.findById(entry._id);
+        const position = await WaitlistEntry.countDocuments({
+            eventId,
+            pricingTierName: pricingTier.name,
+            status: 'waiting',
+            createdAt: { $lte: latestEntry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: latestEntry.status === 'offered'
+                ? 'Seats are held for you. Register before the offer expires.'
+                : 'Added to the waitlist',
+            data: {
+                ...latestEntry.toObject(),
+                position: latestEntry.status === 'waiting' ? position : null
+            }
+        });
+    } catch (error) {
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to join waitlist',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Get Customer's Waitlist Entries
+ * GET /api/waitlist/my-entries
+ *
+ * Lists the authenticated customer's active waitlist entries with their
+ * queue position, or the claim deadline of entries that have an offer.
+ *
+ * @returns {Object} List of waitlist entries
+ */
+router.get('/my-entries', customerAuth, async (req, res) => {
+    try {
+        const entries = await WaitlistEntry.find({
+            customerId: req.customer._id,
+            status: { $in: ACTIVE_WAITLIST_STATUSES }
+        })
+        .populate('eventId', 'eventName date place organizer')
+        .sort({ createdAt: 1 });
+
+        const data = await Promise.all(entries.map(async entry => {
+            let position = null;
+            if (entry.status === 'waiting') {
+                position = await WaitlistEntry.countDocuments({
+                    eventId: entry.eventId._id,
+                    pricingTierName: entry.pricingTierName,
+                    status: 'waiting',
+                    createdAt: { $lte: entry.createdAt }
+                });
+            }
+
+            return { ...entry.toObject(), position };
+        }));
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('Error fetching waitlist entries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist entries',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Leave Waitlist
+ * DELETE /api/waitlist/:id
+ *
+ * Removes the customer from the waitlist. If seats were already held for
+ * them, the seats go to the next customer in line.
+ *
+ * @param {string} id - Waitlist entry ID
+ * @returns {Object} Cancelled waitlist entry
+ */
+router.delete('/:id', customerAuth, async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findOne({
+            _id: req.params.id,
+            customerId: req.customer._id
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Waitlist entry is already ${entry.status}`
+            });
+        }
+
+        // Conditional on the status read above, so held seats are released only once
+        const cancelledEntry = await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: entry.status },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+
+        if (!cancelledEntry) {
+            return res.status(400).json({
+                success: false,
+                message: 'Waitlist entry changed in the meantime. Please try again.'
+            });
+        }
+
+        if (entry.status === 'offered') {
+            await releaseSeats(entry.eventId, entry.pricingTierName, entry.attendeeCount);
+        }
+
+        res.json({
+            success: true,
+            message: 'Left the waitlist',
+            data: cancelledEntry
+        });
+    } catch (error) {
+        console.error('Error leaving waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to leave waitlist',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;